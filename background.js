@@ -1,16 +1,38 @@
 // Background Service Worker for Kit Memory Extension
 // Handles all backend operations: storage, retrieval, and memory management
 
+import { createStore, findEncryptedStore, resolveStorageMode, STORAGE_MODES, SyncedStore } from './lib/storage.js';
+import { MemoryManager } from './lib/memory.js';
+import { FactStore } from './lib/facts.js';
+import { extractConversationId, findAdapter } from './lib/sites.js';
+import { getCaptureBlock, CAPTURE_BLOCK_REASONS, EXCLUSION_SETTINGS, PAUSE_DURATION_MS } from './lib/exclusions.js';
+import { VectorIndex } from './lib/vector-index.js';
+import { KeywordIndex } from './lib/keyword-index.js';
+import { MemoryCipher, generateSalt, PBKDF2_ITERATIONS } from './lib/crypto.js';
+
 // Initialize state
 let supabaseUrl = '';
 let supabaseKey = '';
+let storageMode = STORAGE_MODES.LOCAL;
+let store = null;
+let memoryManager = null;
+let encryptionSettings = null;
+let cipher = null;
 let userId = null;
 
+// Captures made while encryption is locked. There is no key to seal them
+// with, so they wait in the worker's memory rather than on disk as plaintext
+// and are lost if it restarts; the popup warns while any are waiting
+let heldQueue = [];
+
 // Load configuration from storage
 async function loadConfig() {
-  const config = await chrome.storage.local.get(['supabaseUrl', 'supabaseKey', 'userId']);
+  const config = await chrome.storage.local.get(['supabaseUrl', 'supabaseKey', 'storageMode', 'userId']);
   supabaseUrl = config.supabaseUrl || '';
   supabaseKey = config.supabaseKey || '';
+  storageMode = resolveStorageMode(config);
+  await loadEncryption();
+  await setupStore();
   userId = config.userId || null;
   
   // Create user if needed
@@ -20,8 +42,36 @@ async function loadConfig() {
   }
 }
 
+// Build the storage backend and the manager that fronts it
+async function setupStore() {
+  const encryption = encryptionSettings?.enabled ? { cipher } : null;
+  store = createStore({ supabaseUrl, supabaseKey, storageMode }, encryption);
+  memoryManager = store
+    ? new MemoryManager(store, {
+      vectorIndex: new VectorIndex(),
+      keywordIndex: new KeywordIndex(),
+      factStore: new FactStore()
+    })
+    : null;
+  
+  if (memoryManager) {
+    await memoryManager.initialize();
+  }
+}
+
+// Index anything stored before local search was available
+async function backfillIndexes() {
+  try {
+    const count = await memoryManager?.backfillIndexes(userId);
+    if (count) console.log(`Indexed ${count} existing memories`);
+  } catch (error) {
+    console.error('Index backfill error:', error);
+  }
+}
+
 // Initialize on startup
-loadConfig();
+const configReady = loadConfig();
+configReady.then(backfillIndexes);
 
 // Message handler
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
@@ -31,12 +81,33 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 async function handleMessage(request, sender) {
   try {
+    await configReady;
+    
     switch (request.type) {
       case 'STORE_MEMORY':
         return await storeMemory(request.data, sender);
         
       case 'SEARCH_MEMORIES':
-        return await searchMemories(request.query);
+        return await searchMemories(request.query, sender, {
+          includeArchive: request.archive,
+          conversation: request.conversation,
+          site: request.site
+        });
+        
+      case 'LIST_FACTS':
+        return await listFacts();
+        
+      case 'SAVE_FACT':
+        return await saveFact(request.fact);
+        
+      case 'DELETE_FACT':
+        return await deleteFact(request.id);
+        
+      case 'REVIEW_FACT':
+        return await reviewFact(request.id, request.approve);
+        
+      case 'GET_RECALL_SUGGESTIONS':
+        return await getRecallSuggestions();
         
       case 'GET_STATS':
         return await getStats();
@@ -45,7 +116,23 @@ async function handleMessage(request, sender) {
         return await clearRecentMemories();
         
       case 'EXPORT_MEMORIES':
-        return await exportMemories();
+      case 'LIST_MEMORIES':
+        return await exportMemories(request.filters);
+        
+      case 'UPDATE_MEMORY':
+        return await updateMemory(request.id, request.content, request.tier, request.redactions);
+        
+      case 'TRASH_MEMORIES':
+        return await trashMemories(request.filters);
+        
+      case 'RESTORE_MEMORIES':
+        return await restoreMemories(request.memories);
+        
+      case 'DELETE_MEMORIES':
+        return await deleteMemories(request.memories);
+        
+      case 'IMPORT_MEMORIES':
+        return await importMemories(request.memories);
         
       case 'UPDATE_CONFIG':
         return await updateConfig(request.config);
@@ -53,6 +140,30 @@ async function handleMessage(request, sender) {
       case 'TOGGLE_ENABLED':
         return await toggleEnabled(request.enabled);
         
+      case 'PAUSE_CAPTURE':
+        return await pauseCapture(request.paused);
+        
+      case 'GET_CAPTURE_STATUS':
+        return await getCaptureStatus(request.url, request.incognito);
+        
+      case 'SET_CONVERSATION_EXCLUDED':
+        return await setConversationExcluded(request.url, request.excluded, request.title);
+        
+      case 'GET_ENCRYPTION_STATUS':
+        return getEncryptionStatus();
+        
+      case 'ENABLE_ENCRYPTION':
+        return await enableEncryption(request.passphrase, request.keyStorage);
+        
+      case 'UNLOCK_ENCRYPTION':
+        return await unlockEncryption(request.passphrase, request.keyStorage);
+        
+      case 'CHANGE_PASSPHRASE':
+        return await changePassphrase(request.currentPassphrase, request.newPassphrase);
+        
+      case 'REPORT_SELECTOR_HEALTH':
+        return await reportSelectorHealth(request.health, sender);
+        
       default:
         return { error: 'Unknown message type' };
     }
@@ -62,23 +173,36 @@ async function handleMessage(request, sender) {
   }
 }
 
-// Store memory in Supabase
+// Captured things that aren't chat messages
+const ITEM_KINDS = ['artifact', 'attachment'];
+
+// Store memory in the configured backend
 async function storeMemory(memory, sender) {
   try {
-    // Check if enabled
-    const { enabled = true } = await chrome.storage.local.get('enabled');
-    if (!enabled) return { success: false, reason: 'disabled' };
+    // Off, paused, or left out for this page
+    const block = getCaptureBlock(
+      { url: memory.url, incognito: sender.tab?.incognito },
+      await chrome.storage.local.get(EXCLUSION_SETTINGS)
+    );
+    if (block) return { success: false, reason: block };
     
-    // Check for Supabase config
-    if (!supabaseUrl || !supabaseKey) {
+    // Supabase mode without credentials has nowhere to write yet
+    if (!memoryManager) {
       return queueForLater(memory);
     }
     
     // Extract conversation ID
     const conversationId = extractConversationId(memory.url);
     
+    // Messages with a turn are checked against their conversation instead,
+    // so switching back to an older branch isn't mistaken for a repeat
+    const lineage = conversationId && typeof memory.lineage?.turn === 'number' ? memory.lineage : null;
+    
+    // Artifacts and attachments are matched by name within their conversation
+    const item = conversationId && ITEM_KINDS.includes(memory.item?.kind) ? memory.item : null;
+    
     // Check for duplicates
-    if (await isDuplicate(memory)) {
+    if (!lineage && !item && await isDuplicate(memory)) {
       return { success: true, duplicate: true };
     }
     
@@ -92,29 +216,46 @@ async function storeMemory(memory, sender) {
       metadata: {
         url: memory.url,
         timestamp: memory.timestamp,
-        tabId: sender.tab?.id
+        tabId: sender.tab?.id,
+        ...lineage
       }
     };
     
-    // Store in Supabase
-    const response = await fetch(`${supabaseUrl}/rest/v1/memories`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'apikey': supabaseKey,
-        'Authorization': `Bearer ${supabaseKey}`
-      },
-      body: JSON.stringify(memoryData)
-    });
+    // What the content script replaced, as { TYPE: count }
+    if (memory.redactions) {
+      memoryData.metadata.redactions = memory.redactions;
+    }
+    
+    let stored;
+    if (item) {
+      const { kind, ...details } = item;
+      memoryData.kind = kind;
+      Object.assign(memoryData.metadata, details);
+      
+      const result = await memoryManager.storeItem(memoryData);
+      if (result.duplicate) {
+        return { success: true, duplicate: true, id: result.id };
+      }
+      stored = result.memory;
+    } else if (lineage) {
+      const result = await memoryManager.storeTurn(memoryData);
+      if (result.duplicate) {
+        return { success: true, duplicate: true, id: result.id };
+      }
+      stored = result.memory;
+    } else {
+      stored = await memoryManager.storeMemory(memoryData);
+    }
     
-    if (!response.ok) {
-      throw new Error(`Storage failed: ${response.status}`);
+    if (memory.role === 'user' && !item) {
+      await suggestFacts({ ...memoryData, id: stored?.id });
     }
     
     // Update statistics
     await updateStats('stored');
     
-    return { success: true };
+    // Lets the content script update the row when a reply changes
+    return { success: true, id: stored?.id };
     
   } catch (error) {
     console.error('Store memory error:', error);
@@ -123,44 +264,33 @@ async function storeMemory(memory, sender) {
 }
 
 // Search memories
-async function searchMemories(query) {
+async function searchMemories(query, sender, options = {}) {
   try {
-    if (!supabaseUrl || !supabaseKey) {
+    if (!memoryManager) {
       return [];
     }
     
-    // Determine search strategy
-    const searchParams = analyzeQuery(query);
-    
-    // Build Supabase query
-    let url = `${supabaseUrl}/rest/v1/memories?user_id=eq.${userId}`;
-    
-    // Add search filters
-    if (searchParams.conversationId) {
-      url += `&conversation_id=eq.${searchParams.conversationId}`;
-    }
+    const { excludedConversations = {} } = await chrome.storage.local.get('excludedConversations');
     
-    // Add text search if available
-    if (searchParams.searchTerms) {
-      url += `&content=ilike.*${encodeURIComponent(searchParams.searchTerms)}*`;
+    // `/kit conv` asks for one conversation by id or title
+    if (options.conversation) {
+      return await memoryManager.recallConversation(userId, options.conversation, {
+        excludeConversations: Object.keys(excludedConversations)
+      });
     }
     
-    // Order by recency and limit
-    url += '&order=created_at.desc&limit=5';
+    // Lets the manager favour the conversation the user is in
+    const conversationId = sender.tab?.url ? extractConversationId(sender.tab.url) : null;
     
-    const response = await fetch(url, {
-      headers: {
-        'apikey': supabaseKey,
-        'Authorization': `Bearer ${supabaseKey}`
-      }
+    const memories = await memoryManager.searchMemories(userId, query, {
+      conversationId,
+      includeArchive: Boolean(options.includeArchive),
+      site: options.site,
+      url: sender.tab?.url,
+      excludeConversations: Object.keys(excludedConversations),
+      limit: 5
     });
     
-    if (!response.ok) {
-      throw new Error(`Search failed: ${response.status}`);
-    }
-    
-    const memories = await response.json();
-    
     // Update statistics
     await updateStats('searched');
     
@@ -172,6 +302,109 @@ async function searchMemories(query) {
   }
 }
 
+// Pinned facts
+async function listFacts() {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    return { success: true, facts: await memoryManager.listFacts(userId) };
+    
+  } catch (error) {
+    console.error('List facts error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function saveFact(fact = {}) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    if (!fact.content?.trim()) {
+      return { success: false, error: 'Fact cannot be empty' };
+    }
+    
+    const saved = await memoryManager.saveFact(userId, {
+      id: fact.id,
+      content: fact.content.trim(),
+      site: fact.site || null,
+      project: fact.project?.trim() || null
+    });
+    
+    return { success: true, fact: saved };
+    
+  } catch (error) {
+    console.error('Save fact error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function deleteFact(id) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    return { success: await memoryManager.deleteFact(userId, id) };
+    
+  } catch (error) {
+    console.error('Delete fact error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function reviewFact(id, approve) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    return { success: true, fact: await memoryManager.reviewFact(userId, id, Boolean(approve)) };
+    
+  } catch (error) {
+    console.error('Review fact error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Suggestions wait in the options page until the user approves them;
+// a failure here must not fail the capture
+async function suggestFacts(memory) {
+  try {
+    const { extractFacts = true } = await chrome.storage.local.get('extractFacts');
+    if (!extractFacts) return;
+    
+    await memoryManager.suggestFacts(userId, memory);
+    
+  } catch (error) {
+    console.error('Suggest facts error:', error);
+  }
+}
+
+// Conversations and tags for `/kit` command autocomplete
+async function getRecallSuggestions() {
+  try {
+    if (!memoryManager) {
+      return { conversations: [], tags: [] };
+    }
+    
+    const { excludedConversations = {} } = await chrome.storage.local.get('excludedConversations');
+    const suggestions = await memoryManager.getRecallSuggestions(userId);
+    
+    // `/kit conv` doesn't offer what it won't recall
+    return {
+      ...suggestions,
+      conversations: suggestions.conversations.filter(conversation => !excludedConversations[conversation.id])
+    };
+    
+  } catch (error) {
+    console.error('Suggestions error:', error);
+    return { conversations: [], tags: [] };
+  }
+}
+
 // Get statistics
 async function getStats() {
   try {
@@ -182,39 +415,25 @@ async function getStats() {
       lastSync: null
     };
     
-    if (!supabaseUrl || !supabaseKey) {
+    if (!memoryManager) {
       return { ...defaultStats, ...stats.stats };
     }
     
-    // Get count from Supabase
-    const response = await fetch(
-      `${supabaseUrl}/rest/v1/memories?user_id=eq.${userId}&select=count`,
-      {
-        headers: {
-          'apikey': supabaseKey,
-          'Authorization': `Bearer ${supabaseKey}`,
-          'Prefer': 'count=exact'
-        }
-      }
-    );
+    const memoryStats = await memoryManager.getStats(userId);
     
-    if (response.ok) {
-      const count = response.headers.get('content-range')?.split('/')[1] || 0;
-      
-      // Calculate days active
-      const { firstUse } = await chrome.storage.local.get('firstUse');
-      const daysActive = firstUse 
-        ? Math.floor((Date.now() - firstUse) / (1000 * 60 * 60 * 24))
-        : 0;
-      
-      return {
-        totalMemories: parseInt(count),
-        daysActive,
-        lastSync: new Date().toISOString()
-      };
-    }
+    // Calculate days active
+    const { firstUse } = await chrome.storage.local.get('firstUse');
+    const daysActive = firstUse 
+      ? Math.floor((Date.now() - firstUse) / (1000 * 60 * 60 * 24))
+      : 0;
     
-    return { ...defaultStats, ...stats.stats };
+    return {
+      ...memoryStats,
+      totalMemories: memoryStats.total,
+      daysActive,
+      // Nothing is synced in local-only mode
+      lastSync: storageMode === STORAGE_MODES.LOCAL ? null : memoryStats.lastSync
+    };
     
   } catch (error) {
     console.error('Stats error:', error);
@@ -225,78 +444,146 @@ async function getStats() {
 // Clear recent memories (last 24 hours)
 async function clearRecentMemories() {
   try {
-    if (!supabaseUrl || !supabaseKey) {
+    if (!memoryManager) {
       return { success: false, error: 'Not configured' };
     }
     
     const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
     
-    const response = await fetch(
-      `${supabaseUrl}/rest/v1/memories?user_id=eq.${userId}&created_at=gte.${cutoff}`,
-      {
-        method: 'DELETE',
-        headers: {
-          'apikey': supabaseKey,
-          'Authorization': `Bearer ${supabaseKey}`
-        }
-      }
-    );
+    // Goes to the trash so the popup can offer undo
+    const memories = await memoryManager.trashMemories(userId, { after: cutoff });
+    return { success: true, memories, count: memories.length };
     
-    if (!response.ok) {
-      throw new Error(`Delete failed: ${response.status}`);
+  } catch (error) {
+    console.error('Clear memories error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Memories matching the filters, for export or the memory browser.
+// The options page formats and downloads the file; workers can't create blob URLs
+async function exportMemories(filters = {}) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
     }
     
-    return { success: true };
+    const memories = await memoryManager.exportMemories(userId, {
+      after: filters.after,
+      before: filters.before,
+      site: filters.site,
+      conversation_id: filters.conversationId,
+      trashed: filters.trashed
+    });
+    
+    return { success: true, memories, count: memories.length };
     
   } catch (error) {
-    console.error('Clear memories error:', error);
+    console.error('Export error:', error);
     return { success: false, error: error.message };
   }
 }
 
-// Export memories to JSON
-async function exportMemories() {
+// Edit one memory from the memory browser
+async function updateMemory(id, content, tier, redactions = null) {
   try {
-    if (!supabaseUrl || !supabaseKey) {
+    if (!memoryManager) {
       return { success: false, error: 'Not configured' };
     }
+    if (!content?.trim()) {
+      return { success: false, error: 'Memory content cannot be empty' };
+    }
     
-    // Fetch all memories
-    const response = await fetch(
-      `${supabaseUrl}/rest/v1/memories?user_id=eq.${userId}&order=created_at.desc`,
-      {
-        headers: {
-          'apikey': supabaseKey,
-          'Authorization': `Bearer ${supabaseKey}`
-        }
-      }
-    );
-    
-    if (!response.ok) {
-      throw new Error(`Export failed: ${response.status}`);
+    const memory = await memoryManager.updateMemory(userId, id, content.trim(), tier, redactions && { redactions });
+    if (!memory) {
+      return { success: false, error: 'Memory not found' };
     }
     
-    const memories = await response.json();
+    return { success: true, memory };
     
-    // Create downloadable file
-    const blob = new Blob([JSON.stringify(memories, null, 2)], {
-      type: 'application/json'
+  } catch (error) {
+    console.error('Update memory error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Move memories to the trash by id, conversation, site, date range or keyword
+async function trashMemories(filters = {}) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    const memories = await memoryManager.trashMemories(userId, {
+      ids: filters.ids,
+      conversation_id: filters.conversationId,
+      site: filters.site,
+      after: filters.after,
+      before: filters.before,
+      role: filters.role,
+      query: filters.query
     });
     
-    const url = URL.createObjectURL(blob);
-    const filename = `kit-memories-${new Date().toISOString().split('T')[0]}.json`;
+    return { success: true, memories, count: memories.length };
     
-    // Trigger download
-    chrome.downloads.download({
-      url,
-      filename,
-      saveAs: true
-    });
+  } catch (error) {
+    console.error('Trash memories error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Undo a delete
+async function restoreMemories(memories = []) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    const count = await memoryManager.restoreMemories(userId, memories);
+    return { success: true, count };
+    
+  } catch (error) {
+    console.error('Restore memories error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Permanently delete memories from the trash
+async function deleteMemories(memories = []) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
     
+    await memoryManager.purgeMemories(userId, memories);
     return { success: true, count: memories.length };
     
   } catch (error) {
-    console.error('Export error:', error);
+    console.error('Delete memories error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Import a batch of history parsed from a platform export
+async function importMemories(memories) {
+  try {
+    if (!memoryManager) {
+      return { success: false, error: 'Not configured' };
+    }
+    
+    const result = await memoryManager.importMemories(userId, memories.map(memory => ({
+      conversation_id: memory.conversation_id || 'default',
+      role: memory.role,
+      content: memory.content,
+      site: memory.site,
+      created_at: memory.created_at,
+      metadata: memory.metadata || {}
+    })));
+    
+    return { success: true, ...result };
+    
+  } catch (error) {
+    console.error('Import error:', error);
     return { success: false, error: error.message };
   }
 }
@@ -305,8 +592,16 @@ async function exportMemories() {
 async function updateConfig(config) {
   if (config.supabaseUrl) supabaseUrl = config.supabaseUrl;
   if (config.supabaseKey) supabaseKey = config.supabaseKey;
+  if (config.storageMode) storageMode = config.storageMode;
+  
+  await setupStore();
+  backfillIndexes();
   
   await chrome.storage.local.set(config);
+  
+  // Anything queued while unconfigured can go out now
+  processOfflineQueue();
+  
   return { success: true };
 }
 
@@ -316,46 +611,296 @@ async function toggleEnabled(enabled) {
   return { success: true, enabled };
 }
 
-// Utility functions
-function extractConversationId(url) {
-  const patterns = [
-    /\/c\/([a-zA-Z0-9-]+)/,     // ChatGPT
-    /\/chat\/([a-zA-Z0-9-]+)/   // Claude
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) return match[1];
+// Capture exclusions
+// Stops capture everywhere until the pause runs out; false resumes it
+async function pauseCapture(paused) {
+  if (!paused) {
+    await chrome.storage.local.remove('pausedUntil');
+    return { success: true, pausedUntil: null };
   }
   
+  const pausedUntil = Date.now() + PAUSE_DURATION_MS;
+  await chrome.storage.local.set({ pausedUntil });
+  return { success: true, pausedUntil };
+}
+
+// Whether a page's messages are being stored, and why not
+async function getCaptureStatus(url, incognito) {
+  try {
+    const settings = await chrome.storage.local.get(EXCLUSION_SETTINGS);
+    const conversationId = url ? extractConversationId(url) : null;
+    const block = getCaptureBlock({ url, incognito }, settings);
+    
+    return {
+      success: true,
+      supported: Boolean(url && findAdapter(new URL(url).hostname)),
+      conversationId,
+      excluded: Boolean(conversationId && settings.excludedConversations?.[conversationId]),
+      block,
+      reason: block ? CAPTURE_BLOCK_REASONS[block] : null,
+      pausedUntil: settings.pausedUntil > Date.now() ? settings.pausedUntil : null
+    };
+  } catch (error) {
+    console.error('Capture status error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// "Don't remember this conversation", from the popup or `/kit exclude`.
+// Keyed by conversation id, so every URL of the chat is covered
+async function setConversationExcluded(url, excluded, title) {
+  try {
+    const conversationId = url ? extractConversationId(url) : null;
+    if (!conversationId) {
+      return { success: false, error: 'Open a conversation first' };
+    }
+    
+    const { excludedConversations = {} } = await chrome.storage.local.get('excludedConversations');
+    if (excluded) {
+      excludedConversations[conversationId] = {
+        site: findAdapter(new URL(url).hostname)?.id || null,
+        title: title || null,
+        excluded_at: new Date().toISOString()
+      };
+    } else {
+      delete excludedConversations[conversationId];
+    }
+    await chrome.storage.local.set({ excludedConversations });
+    
+    return { success: true, conversationId, excluded: Boolean(excluded) };
+  } catch (error) {
+    console.error('Exclude conversation error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Encryption
+// The derived key is kept in memory and, depending on keyStorage, also in
+// session storage (until the browser closes) or local storage (this device)
+function getKeyStorageArea(keyStorage) {
+  if (keyStorage === 'device') return chrome.storage.local;
+  if (keyStorage === 'session') return chrome.storage.session;
   return null;
 }
 
-function analyzeQuery(query) {
-  const result = {
-    conversationId: null,
-    searchTerms: null,
-    isMemoryQuery: false
-  };
+async function loadEncryption() {
+  const { encryption } = await chrome.storage.local.get('encryption');
+  encryptionSettings = encryption || null;
   
-  // Check for memory-related keywords
-  const memoryKeywords = [
-    'continue', 'remember', 'last time', 'yesterday', 
-    'earlier', 'previous', 'we discussed', 'we talked'
-  ];
+  if (!encryptionSettings?.enabled || cipher) return;
   
-  result.isMemoryQuery = memoryKeywords.some(keyword => 
-    query.toLowerCase().includes(keyword)
-  );
+  const area = getKeyStorageArea(encryptionSettings.keyStorage);
+  if (!area) return;
   
-  // Extract search terms
-  if (result.isMemoryQuery) {
-    result.searchTerms = query.slice(0, 100); // First 100 chars for search
+  const { encryptionKey } = await area.get('encryptionKey');
+  if (encryptionKey) {
+    cipher = await MemoryCipher.fromRawKey(encryptionKey);
   }
+}
+
+async function rememberEncryptionKey(keyStorage) {
+  // Only the chosen area ever holds the key
+  await chrome.storage.local.remove('encryptionKey');
+  await chrome.storage.session.remove('encryptionKey');
   
-  return result;
+  const area = getKeyStorageArea(keyStorage);
+  if (area) {
+    await area.set({ encryptionKey: await cipher.exportKey() });
+  }
+}
+
+async function saveEncryptionSettings(settings) {
+  encryptionSettings = settings;
+  await chrome.storage.local.set({ encryption: settings });
+}
+
+function getEncryptionStatus() {
+  const enabled = Boolean(encryptionSettings?.enabled);
+  return {
+    enabled,
+    locked: enabled && !cipher,
+    keyStorage: encryptionSettings?.keyStorage || 'session',
+    held: heldQueue.length
+  };
+}
+
+async function unlockWithPassphrase(passphrase) {
+  const candidate = await MemoryCipher.fromPassphrase(
+    passphrase,
+    encryptionSettings.salt,
+    encryptionSettings.iterations
+  );
+  return (await candidate.checkVerifier(encryptionSettings.verifier)) ? candidate : null;
+}
+
+async function enableEncryption(passphrase, keyStorage = 'session') {
+  try {
+    if (encryptionSettings?.enabled) {
+      return { success: false, error: 'Encryption is already enabled' };
+    }
+    
+    const salt = generateSalt();
+    cipher = await MemoryCipher.fromPassphrase(passphrase, salt);
+    
+    await saveEncryptionSettings({
+      enabled: true,
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await cipher.createVerifier(),
+      keyStorage
+    });
+    await rememberEncryptionKey(keyStorage);
+    await setupStore();
+    
+    // Encrypt whatever was already stored in plaintext
+    const encryptedStore = findEncryptedStore(store);
+    const count = encryptedStore ? await encryptedStore.reencryptAll(userId, cipher) : 0;
+    
+    // Captures waiting in the offline queue are sealed too
+    const { offlineQueue = [] } = await chrome.storage.local.get('offlineQueue');
+    await chrome.storage.local.set({
+      offlineQueue: await Promise.all(offlineQueue.map(entry => (entry.sealed ? entry : sealCapture(entry))))
+    });
+    processOfflineQueue();
+    
+    return { success: true, count };
+  } catch (error) {
+    console.error('Enable encryption error:', error);
+    return { success: false, error: error.message };
+  }
 }
 
+async function unlockEncryption(passphrase, keyStorage) {
+  try {
+    if (!encryptionSettings?.enabled) {
+      return { success: false, error: 'Encryption is not enabled' };
+    }
+    
+    const unlocked = await unlockWithPassphrase(passphrase);
+    if (!unlocked) {
+      return { success: false, error: 'Wrong passphrase' };
+    }
+    
+    cipher = unlocked;
+    
+    if (keyStorage && keyStorage !== encryptionSettings.keyStorage) {
+      await saveEncryptionSettings({ ...encryptionSettings, keyStorage });
+    }
+    await rememberEncryptionKey(encryptionSettings.keyStorage);
+    await setupStore();
+    
+    // Writes held back while locked can go out now, and rows that could not
+    // be read while locked can be indexed
+    processOfflineQueue();
+    backfillIndexes();
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Unlock encryption error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function changePassphrase(currentPassphrase, newPassphrase) {
+  try {
+    if (!encryptionSettings?.enabled) {
+      return { success: false, error: 'Encryption is not enabled' };
+    }
+    
+    const current = await unlockWithPassphrase(currentPassphrase);
+    if (!current) {
+      return { success: false, error: 'Wrong passphrase' };
+    }
+    
+    cipher = current;
+    await setupStore();
+    
+    const salt = generateSalt();
+    const next = await MemoryCipher.fromPassphrase(newPassphrase, salt);
+    
+    // Settings only move to the new key once every row has
+    const encryptedStore = findEncryptedStore(store);
+    const count = encryptedStore ? await encryptedStore.reencryptAll(userId, next) : 0;
+    
+    // Sealed captures in the offline queue move to the new key with the rows
+    const { offlineQueue = [] } = await chrome.storage.local.get('offlineQueue');
+    const resealed = [];
+    for (const entry of offlineQueue) {
+      resealed.push(entry.sealed ? { ...entry, sealed: await next.encrypt(await current.decrypt(entry.sealed)) } : entry);
+    }
+    await chrome.storage.local.set({ offlineQueue: resealed });
+    
+    cipher = next;
+    await saveEncryptionSettings({
+      ...encryptionSettings,
+      salt,
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await next.createVerifier()
+    });
+    await rememberEncryptionKey(encryptionSettings.keyStorage);
+    await setupStore();
+    
+    return { success: true, count };
+  } catch (error) {
+    console.error('Change passphrase error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Selector health
+// Parts without which capture stops; a missing send button still leaves Enter
+const REQUIRED_PARTS = ['input', 'conversationContainer', 'messages'];
+
+const BADGE_COLORS = {
+  heuristic: '#f29900',
+  missing: '#d93025'
+};
+
+// Keeps running totals per site and flags the reporting tab's icon while a
+// required part is only found by heuristics or not found at all
+async function reportSelectorHealth(health, sender) {
+  try {
+    const { selectorHealth = {} } = await chrome.storage.local.get('selectorHealth');
+    const site = selectorHealth[health.site] || { name: health.name, parts: {} };
+    
+    for (const [name, part] of Object.entries(health.parts)) {
+      const previous = site.parts[name] || { hits: {}, misses: 0 };
+      const hits = { ...previous.hits };
+      for (const [match, count] of Object.entries(part.hits)) {
+        hits[match] = (hits[match] || 0) + count;
+      }
+      
+      site.parts[name] = { status: part.status, match: part.match, hits, misses: previous.misses + part.misses };
+    }
+    
+    site.problem = getHealthProblem(site.parts);
+    site.updated_at = new Date().toISOString();
+    selectorHealth[health.site] = site;
+    await chrome.storage.local.set({ selectorHealth });
+    
+    if (sender.tab?.id) {
+      await chrome.action.setBadgeText({ tabId: sender.tab.id, text: site.problem ? '!' : '' });
+      if (site.problem) {
+        await chrome.action.setBadgeBackgroundColor({ tabId: sender.tab.id, color: BADGE_COLORS[site.problem] });
+      }
+    }
+    
+    return { success: true };
+  } catch (error) {
+    console.error('Selector health error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// 'missing' beats 'heuristic'; null when every required part matched a selector
+function getHealthProblem(parts) {
+  const statuses = REQUIRED_PARTS.map(name => parts[name]?.status);
+  if (statuses.includes('missing')) return 'missing';
+  if (statuses.includes('heuristic')) return 'heuristic';
+  return null;
+}
+
+// Utility functions
 async function isDuplicate(memory) {
   const { recentHashes = {} } = await chrome.storage.local.get('recentHashes');
   const hash = hashMemory(memory);
@@ -387,14 +932,28 @@ function hashMemory(memory) {
   return hash.toString(36);
 }
 
+// While encryption is on, a queued capture is written to disk as one envelope
+async function sealCapture(memory) {
+  return { sealed: await cipher.encrypt(JSON.stringify(memory)), queuedAt: memory.queuedAt };
+}
+
 // Queue memory for later storage
 async function queueForLater(memory) {
+  const queued = { ...memory, queuedAt: Date.now() };
+  
+  if (encryptionSettings?.enabled && !cipher) {
+    heldQueue.push(queued);
+    if (heldQueue.length > 100) {
+      heldQueue.shift();
+    }
+    
+    // Unlocking processes the queue straight away
+    return { success: true, queued: true };
+  }
+  
   const { offlineQueue = [] } = await chrome.storage.local.get('offlineQueue');
   
-  offlineQueue.push({
-    ...memory,
-    queuedAt: Date.now()
-  });
+  offlineQueue.push(encryptionSettings?.enabled ? await sealCapture(queued) : queued);
   
   // Keep only last 100 items
   if (offlineQueue.length > 100) {
@@ -411,19 +970,41 @@ async function queueForLater(memory) {
 
 // Process offline queue
 async function processOfflineQueue() {
+  // Runs at startup and on a timer, possibly before the store is set up
+  await configReady;
+  
+  // Push local rows that never reached Supabase
+  if (store instanceof SyncedStore) {
+    await store.syncPending(userId);
+  }
+  
+  // Anything that fails again is queued again, sealed, by queueForLater
+  if (cipher && heldQueue.length > 0) {
+    const held = heldQueue;
+    heldQueue = [];
+    for (const memory of held) {
+      await storeMemory(memory, {});
+    }
+  }
+  
   const { offlineQueue = [] } = await chrome.storage.local.get('offlineQueue');
   if (offlineQueue.length === 0) return;
   
-  const remaining = [];
+  // Sealed captures wait for the key. The rest leave the queue first, so
+  // what queueForLater puts back isn't overwritten
+  const waiting = cipher ? [] : offlineQueue.filter(entry => entry.sealed);
+  await chrome.storage.local.set({ offlineQueue: waiting });
   
-  for (const memory of offlineQueue) {
-    const result = await storeMemory(memory, {});
-    if (!result.success && !result.queued) {
-      remaining.push(memory);
+  for (const entry of offlineQueue) {
+    if (waiting.includes(entry)) continue;
+    
+    try {
+      const memory = entry.sealed ? JSON.parse(await cipher.decrypt(entry.sealed)) : entry;
+      await storeMemory(memory, {});
+    } catch (error) {
+      console.error('Offline queue error:', error);
     }
   }
-  
-  await chrome.storage.local.set({ offlineQueue: remaining });
 }
 
 // Update statistics
@@ -442,6 +1023,45 @@ async function updateStats(action) {
   await chrome.storage.local.set({ stats });
 }
 
+// Move memories between HOT, WARM and COLD tiers once a day
+const MIGRATION_ALARM = 'kit-tier-migration';
+
+// Trashed memories are purged on the same daily run
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+async function scheduleMigration() {
+  // Re-creating the alarm would reset its schedule on every worker restart
+  const existing = await chrome.alarms.get(MIGRATION_ALARM);
+  if (!existing) {
+    chrome.alarms.create(MIGRATION_ALARM, {
+      delayInMinutes: 5,
+      periodInMinutes: 24 * 60
+    });
+  }
+}
+
+async function runMigration() {
+  try {
+    await configReady;
+    if (!memoryManager) return;
+    
+    await memoryManager.migrateMemories(userId);
+    
+    const { trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS } = await chrome.storage.local.get('trashRetentionDays');
+    await memoryManager.purgeTrash(userId, trashRetentionDays);
+  } catch (error) {
+    console.error('Tier migration error:', error);
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === MIGRATION_ALARM) {
+    runMigration();
+  }
+});
+
+scheduleMigration();
+
 // Process queue on startup and periodically
 chrome.runtime.onStartup.addListener(() => {
   processOfflineQueue();
@@ -0,0 +1,110 @@
+// Autocomplete menu for Kit Memory Extension's /kit commands
+// Shows suggestions above the chat input; Tab or click to accept
+
+class KitCommandMenu {
+  constructor(onAccept) {
+    this.onAccept = onAccept;
+    this.root = null;
+    this.items = [];
+    this.highlighted = -1;
+  }
+
+  get isOpen() {
+    return Boolean(this.root);
+  }
+
+  // items: [{ label, detail, value }]
+  show(anchor, items) {
+    this.hide();
+    this.items = items;
+    this.highlighted = -1;
+
+    this.root = document.createElement('div');
+    this.root.className = 'kit-command-menu';
+    this.root.setAttribute('role', 'listbox');
+
+    items.forEach((item, index) => {
+      const option = document.createElement('div');
+      option.className = 'kit-command-option';
+      option.setAttribute('role', 'option');
+
+      const label = document.createElement('span');
+      label.className = 'kit-command-label';
+      label.textContent = item.label;
+      option.append(label);
+
+      if (item.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'kit-command-detail';
+        detail.textContent = item.detail;
+        option.append(detail);
+      }
+
+      // mousedown so the input doesn't lose focus first
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.accept(index);
+      });
+      this.root.append(option);
+    });
+
+    const rect = anchor.getBoundingClientRect();
+    this.root.style.left = `${rect.left}px`;
+    this.root.style.bottom = `${window.innerHeight - rect.top + 8}px`;
+    this.root.style.width = `${Math.min(rect.width, 480)}px`;
+    document.body.appendChild(this.root);
+  }
+
+  hide() {
+    if (this.root) {
+      this.root.remove();
+      this.root = null;
+    }
+  }
+
+  // Returns true when the key was used by the menu
+  handleKey(e) {
+    if (!this.isOpen) return false;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        this.highlight((this.highlighted + 1) % this.items.length);
+        break;
+      case 'ArrowUp':
+        this.highlight((this.highlighted - 1 + this.items.length) % this.items.length);
+        break;
+      case 'Tab':
+        this.accept(Math.max(this.highlighted, 0));
+        break;
+      case 'Enter':
+        // Plain Enter still sends unless an item was picked with the arrows
+        if (this.highlighted < 0 || e.shiftKey) return false;
+        this.accept(this.highlighted);
+        break;
+      case 'Escape':
+        this.hide();
+        break;
+      default:
+        return false;
+    }
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    return true;
+  }
+
+  highlight(index) {
+    this.highlighted = index;
+    [...this.root.children].forEach((option, i) => {
+      option.classList.toggle('kit-command-active', i === index);
+    });
+  }
+
+  accept(index) {
+    const item = this.items[index];
+    this.hide();
+    if (item) this.onAccept(item.value);
+  }
+}
+
+window.KitCommandMenu = KitCommandMenu;
@@ -1,105 +1,24 @@
 // Site Detection Logic for Kit Memory Extension
-// Identifies which AI platform we're on and provides selectors
+// Finds the parts of a chat page using the selectors of its site adapter
 
 class SiteDetector {
-  constructor() {
-    this.site = null;
-    this.selectors = null;
-    this.detect();
-  }
-
-  detect() {
-    const hostname = window.location.hostname;
-    
-    if (hostname.includes('chat.openai.com') || hostname.includes('chatgpt.com')) {
-      this.site = 'chatgpt';
-      this.selectors = this.getChatGPTSelectors();
-    } else if (hostname.includes('claude.ai')) {
-      this.site = 'claude';
-      this.selectors = this.getClaudeSelectors();
-    }
+  // adapter: an entry from lib/sites.js, or null on unsupported pages
+  constructor(adapter) {
+    this.adapter = adapter || null;
+    this.site = this.adapter ? this.adapter.id : null;
+    this.selectors = this.adapter ? this.adapter.selectors : null;
     
-    return this.site;
-  }
-
-  getChatGPTSelectors() {
-    // Multiple fallback selectors for ChatGPT
-    return {
-      input: [
-        'textarea[data-id="root"]',
-        'textarea[data-id="prompt-textarea"]',
-        '#prompt-textarea',
-        'textarea[placeholder*="Send"]',
-        'textarea[placeholder*="Message"]'
-      ],
-      sendButton: [
-        'button[data-testid="send-button"]',
-        'button[data-testid="fruitjuice-send-button"]',
-        'button svg.text-white',
-        'button[aria-label*="Send"]'
-      ],
-      messages: [
-        '[data-message-author-role]',
-        '[data-testid^="conversation-turn"]',
-        '.text-base',
-        '.group.w-full'
-      ],
-      userMessage: [
-        '[data-message-author-role="user"]',
-        '[data-testid*="user-turn"]'
-      ],
-      assistantMessage: [
-        '[data-message-author-role="assistant"]',
-        '[data-testid*="assistant-turn"]'
-      ],
-      conversationContainer: [
-        'main',
-        '[role="main"]',
-        '.flex.flex-col.items-center'
-      ]
-    };
+    // Per tracked part: what found it last ('heuristic' or a selector, null
+    // when nothing did) and lookup counts since the last health report
+    this.health = {};
+    this.onHealthChange = null;
   }
 
-  getClaudeSelectors() {
-    // Multiple fallback selectors for Claude
-    return {
-      input: [
-        'div[contenteditable="true"]',
-        '[data-placeholder*="Reply"]',
-        '[class*="ProseMirror"]',
-        '.DraftEditor-editorContainer'
-      ],
-      sendButton: [
-        'button[aria-label*="Send"]',
-        'button[type="submit"]',
-        'button svg[class*="send"]'
-      ],
-      messages: [
-        '[data-test-render-message]',
-        '[class*="Message"]',
-        '[data-message-id]'
-      ],
-      userMessage: [
-        '[data-sender="user"]',
-        '[class*="UserMessage"]'
-      ],
-      assistantMessage: [
-        '[data-sender="assistant"]',
-        '[class*="AssistantMessage"]'
-      ],
-      conversationContainer: [
-        '[class*="conversation"]',
-        '[data-test="conversation"]',
-        'main'
-      ]
-    };
-  }
-
-  findElement(selectorArray) {
+  findElement(selectorArray, root = document) {
     // Try each selector until one works
     for (const selector of selectorArray) {
       try {
-        const element = document.querySelector(selector);
+        const element = root.querySelector(selector);
         if (element) return element;
       } catch (e) {
         // Invalid selector, try next
@@ -109,13 +28,13 @@ class SiteDetector {
     return null;
   }
 
-  findAllElements(selectorArray) {
+  findAllElements(selectorArray, root = document) {
     // Try each selector and combine results
     const elements = new Set();
     
     for (const selector of selectorArray) {
       try {
-        const found = document.querySelectorAll(selector);
+        const found = root.querySelectorAll(selector);
         found.forEach(el => elements.add(el));
       } catch (e) {
         // Invalid selector, try next
@@ -126,14 +45,134 @@ class SiteDetector {
     return Array.from(elements);
   }
 
+  // Whether the element is, or sits inside, a match for any selector
+  matchesAny(element, selectorArray) {
+    for (const selector of selectorArray) {
+      try {
+        if (element.closest(selector)) return true;
+      } catch (e) {
+        // Invalid selector, try next
+        continue;
+      }
+    }
+    return false;
+  }
+
+  // findElement for a tracked part, with a heuristic search once every
+  // selector misses; records which one found it
+  locate(part, discover) {
+    for (const selector of this.selectors[part]) {
+      try {
+        const element = document.querySelector(selector);
+        if (element) {
+          this.recordLookup(part, selector);
+          return element;
+        }
+      } catch (e) {
+        // Invalid selector, try next
+        continue;
+      }
+    }
+    
+    const found = discover.call(this);
+    this.recordLookup(part, found ? 'heuristic' : null);
+    return found;
+  }
+
+  recordLookup(part, match) {
+    const entry = this.health[part] || (this.health[part] = { status: null, match: null, hits: {}, misses: 0 });
+    const status = match === null ? 'missing' : match === 'heuristic' ? 'heuristic' : 'ok';
+    const changed = status !== entry.status || match !== entry.match;
+    
+    if (match) entry.hits[match] = (entry.hits[match] || 0) + 1;
+    else entry.misses++;
+    entry.status = status;
+    entry.match = match;
+    
+    if (changed && this.onHealthChange) this.onHealthChange();
+  }
+
+  // Current state of each tracked part with the counts since the previous
+  // report, which start again from zero
+  takeHealthReport() {
+    const parts = {};
+    for (const [part, entry] of Object.entries(this.health)) {
+      parts[part] = { status: entry.status, match: entry.match, hits: entry.hits, misses: entry.misses };
+      entry.hits = {};
+      entry.misses = 0;
+    }
+    return { site: this.site, name: this.adapter.name, parts };
+  }
+
   getInput() {
     if (!this.selectors) return null;
-    return this.findElement(this.selectors.input);
+    return this.locate('input', this.discoverInput);
   }
 
   getSendButton() {
     if (!this.selectors) return null;
-    return this.findElement(this.selectors.sendButton);
+    return this.locate('sendButton', this.discoverSendButton);
+  }
+
+  // The adapter's input strategy, unless the element found is the other kind,
+  // as after a heuristic match or a site redesign
+  getInputStrategy(input) {
+    if (input.tagName === 'TEXTAREA') return 'textarea';
+    if (input.getAttribute('contenteditable') === 'true') return 'contenteditable';
+    return this.adapter.input;
+  }
+
+  // The biggest visible editable box, favouring the lower half of the window
+  // and boxes labelled for messages
+  discoverInput() {
+    let best = null;
+    let bestScore = 0;
+    
+    for (const element of document.querySelectorAll('textarea, [contenteditable="true"], [role="textbox"]')) {
+      if (element.disabled || element.readOnly || element.closest('.kit-review-panel')) continue;
+      
+      // Only the outermost part of a rich editor
+      if (element.parentElement?.closest('[contenteditable="true"]')) continue;
+      
+      const rect = element.getBoundingClientRect();
+      const label = ['aria-label', 'placeholder', 'data-placeholder']
+        .map(name => element.getAttribute(name) || '')
+        .join(' ');
+      const score = rect.width * rect.height
+        * (rect.top > window.innerHeight / 2 ? 2 : 1)
+        * (/message|prompt|ask|chat|reply/i.test(label) ? 2 : 1);
+      
+      if (score > bestScore) {
+        best = element;
+        bestScore = score;
+      }
+    }
+    
+    return best;
+  }
+
+  // A button labelled as send or submit, preferring the input's own form
+  discoverSendButton() {
+    const form = (this.findElement(this.selectors.input) || this.discoverInput())?.closest('form');
+    const submit = form?.querySelector('button[type="submit"]');
+    if (submit) return submit;
+    
+    return [...document.querySelectorAll('button, [role="button"]')].find(button => {
+      const label = ['aria-label', 'data-testid', 'title']
+        .map(name => button.getAttribute(name) || '')
+        .join(' ');
+      return /send|submit/i.test(label);
+    }) || null;
+  }
+
+  discoverConversationContainer() {
+    return document.querySelector('main, [role="main"]') || document.body;
+  }
+
+  // Elements marked with a role the fallbacks in isUserMessage and
+  // isAssistantMessage understand
+  discoverMessages() {
+    return [...document.querySelectorAll('[data-message-author-role], [data-sender]')];
   }
 
   getMessages() {
@@ -151,61 +190,159 @@ class SiteDetector {
     return this.findAllElements(this.selectors.assistantMessage);
   }
 
-  getConversationContainer() {
-    if (!this.selectors) return null;
-    return this.findElement(this.selectors.conversationContainer);
+  // Outermost user and assistant messages, in page order
+  getTurns() {
+    if (!this.selectors) return [];
+    
+    let messages = [...this.getUserMessages(), ...this.getAssistantMessages()];
+    
+    // A new chat has no messages yet; an open conversation should
+    if (this.isConversationPage()) {
+      const match = [...this.selectors.userMessage, ...this.selectors.assistantMessage]
+        .find(selector => this.findElement([selector]));
+      if (!match) messages = this.discoverMessages();
+      this.recordLookup('messages', match || (messages.length > 0 ? 'heuristic' : null));
+    }
+    
+    return messages
+      .filter(message => !messages.some(other => other !== message && other.contains(message)))
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
   }
 
-  // Wait for element to appear
-  async waitForElement(selectorArray, timeout = 10000) {
-    const startTime = Date.now();
+  // Where a message sits in the conversation tree: its platform id, the id of
+  // the turn before it, its turn number and which of the alternative versions
+  // (edits or regenerations) is showing, e.g. 2 of 3
+  getLineage(element, turns = this.getTurns()) {
+    const turn = turns.findIndex(t => t === element || t.contains(element));
     
-    while (Date.now() - startTime < timeout) {
-      const element = this.findElement(selectorArray);
-      if (element) return element;
+    return {
+      message_id: this.getMessageId(element),
+      parent_id: turn > 0 ? this.getMessageId(turns[turn - 1]) : null,
+      turn: turn === -1 ? null : turn,
+      ...this.getBranch(element)
+    };
+  }
+
+  getMessageId(element) {
+    const holder = element.closest('[data-message-id]') || element.querySelector('[data-message-id]');
+    return holder ? holder.getAttribute('data-message-id') : null;
+  }
+
+  // ChatGPT and Claude show a "2 / 3" counter between the previous/next version
+  // buttons; pages without one have a single version
+  getBranch(element) {
+    let container = element;
+    for (const selector of this.selectors.turn) {
+      try {
+        container = element.closest(selector) || container;
+      } catch (e) {
+        // Invalid selector, try next
+        continue;
+      }
+    }
+    
+    for (const candidate of container.querySelectorAll('div, span')) {
+      if (candidate.children.length > 0 || candidate.closest('pre, code, p, li, td')) continue;
       
-      await new Promise(resolve => setTimeout(resolve, 100));
+      const counter = candidate.textContent.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+      if (counter && Number(counter[1]) <= Number(counter[2])) {
+        return { branch_index: Number(counter[1]), branch_count: Number(counter[2]) };
+      }
     }
     
-    return null;
+    return { branch_index: 1, branch_count: 1 };
   }
 
-  // Get clean text from element
-  extractText(element) {
-    if (!element) return '';
+  // Files uploaded with a message: [{ name, type }], type from the extension
+  getAttachments(turn) {
+    if (!this.selectors) return [];
     
-    // For ChatGPT
-    if (this.site === 'chatgpt') {
-      // Try to get markdown content first
-      const codeBlocks = element.querySelectorAll('code');
-      let text = element.innerText || element.textContent || '';
+    const files = new Map();
+    for (const tile of this.findAllElements(this.selectors.attachment, turn)) {
+      const label = this.findElement(this.selectors.attachmentName, tile);
+      const name = (label?.getAttribute('title') || label?.textContent || tile.getAttribute('aria-label') || tile.textContent || '')
+        .trim()
+        .split('\n')[0]
+        .trim();
+      if (!name || files.has(name)) continue;
       
-      // Preserve code blocks
-      codeBlocks.forEach(block => {
-        const code = block.innerText || block.textContent;
-        text = text.replace(code, `\`\`\`\n${code}\n\`\`\``);
-      });
-      
-      return text.trim();
+      const extension = name.match(/\.([a-z0-9]{1,8})$/i);
+      files.set(name, { name, type: extension ? extension[1].toLowerCase() : null });
     }
     
-    // For Claude
-    if (this.site === 'claude') {
-      // Claude often uses contenteditable divs
-      if (element.contentEditable === 'true') {
-        return element.innerText || element.textContent || '';
+    return [...files.values()];
+  }
+
+  // The artifact (Claude) or canvas (ChatGPT) open beside the conversation
+  getOpenArtifact() {
+    if (!this.selectors) return null;
+    
+    const panel = this.findElement(this.selectors.artifactPanel);
+    if (!panel) return null;
+    
+    const title = this.findElement(this.selectors.artifactTitle, panel)?.textContent.trim();
+    const content = this.findElement(this.selectors.artifactContent, panel);
+    if (!title || !content) return null;
+    
+    return { title, panel, content, isCode: content.matches('.cm-content, pre code, code') };
+  }
+
+  // The turn whose card opened an artifact, else the latest reply
+  getArtifactTurn(title, turns = this.getTurns()) {
+    const withCard = turns.filter(turn => this.findAllElements(this.selectors.artifactCard, turn)
+      .some(card => card.textContent.includes(title)));
+    if (withCard.length > 0) return withCard[withCard.length - 1];
+    
+    return [...turns].reverse().find(turn => this.isAssistantMessage(turn)) || null;
+  }
+
+  getConversationContainer() {
+    if (!this.selectors) return null;
+    return this.locate('conversationContainer', this.discoverConversationContainer);
+  }
+
+  isConversationPage() {
+    return this.adapter.conversationId.some(pattern => pattern.test(window.location.pathname));
+  }
+
+  // A reply is still streaming while it (or its wrapper) carries the site's
+  // streaming marker, or, for the newest reply, while the stop button shows
+  isStreaming(element, isLatest = false) {
+    if (!element || !this.selectors) return false;
+    
+    for (const selector of this.selectors.streaming) {
+      try {
+        if (element.closest(selector) || element.querySelector(selector)) return true;
+      } catch (e) {
+        // Invalid selector, try next
+        continue;
       }
+    }
+    
+    return isLatest && Boolean(this.findElement(this.selectors.stopButton));
+  }
+
+  // Wait for element to appear
+  async waitForElement(selectorArray, timeout = 10000) {
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < timeout) {
+      const element = this.findElement(selectorArray);
+      if (element) return element;
       
-      return element.innerText || element.textContent || '';
+      await new Promise(resolve => setTimeout(resolve, 100));
     }
     
-    return element.innerText || element.textContent || '';
+    return null;
   }
 
   // Check if element is a user message
   isUserMessage(element) {
     if (!element) return false;
     
+    // The site's own markers first
+    if (this.selectors && this.matchesAny(element, this.selectors.userMessage)) return true;
+    
     // Check various attributes
     const role = element.getAttribute('data-message-author-role');
     if (role === 'user') return true;
@@ -228,6 +365,9 @@ class SiteDetector {
   isAssistantMessage(element) {
     if (!element) return false;
     
+    // The site's own markers first
+    if (this.selectors && this.matchesAny(element, this.selectors.assistantMessage)) return true;
+    
     // Check various attributes
     const role = element.getAttribute('data-message-author-role');
     if (role === 'assistant') return true;
@@ -0,0 +1,164 @@
+// Page fixtures for Kit Memory Extension
+// Records a sanitized snapshot of a chat page, and how it changes for a while
+// after, so capture problems can be reproduced away from the live site
+
+// Dropped from snapshots; a comment keeps the node count, so recorded paths still line up
+const FIXTURE_DROPPED = 'script, style, link, meta, noscript, iframe, canvas, video, audio, object, embed, .kit-review-panel, .kit-command-menu';
+
+// Attributes that point elsewhere or hold typed values
+const FIXTURE_URL_ATTRIBUTES = ['src', 'srcset', 'href', 'poster', 'action'];
+const FIXTURE_VALUE_ATTRIBUTES = ['value', 'title', 'alt', 'download'];
+
+class KitFixtureRecorder {
+  constructor(detector) {
+    this.detector = detector;
+  }
+
+  // Resolves to the fixture once the recording window ends
+  record(duration) {
+    const startedAt = Date.now();
+    const html = this.sanitize(document.body).outerHTML;
+    const mutations = [];
+
+    const observer = new MutationObserver((records) => {
+      for (const record of records) {
+        const change = this.describeMutation(record);
+        if (change) mutations.push({ at: Date.now() - startedAt, ...change });
+      }
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+
+    return new Promise((resolve) => {
+      setTimeout(() => {
+        observer.disconnect();
+        resolve({
+          version: 2,
+          site: this.detector.site,
+          path: window.location.pathname,
+          captured_at: new Date(startedAt).toISOString(),
+          kit_version: chrome.runtime.getManifest().version,
+          viewport: { width: window.innerWidth, height: window.innerHeight },
+          selectors: this.detector.selectors,
+          html,
+          mutations
+        });
+      }, duration);
+    });
+  }
+
+  download(fixture) {
+    const url = URL.createObjectURL(new Blob([JSON.stringify(fixture, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `kit-fixture-${fixture.site}-${fixture.captured_at.replace(/[:.]/g, '-')}.json`;
+    link.click();
+
+    // The download keeps its own reference once it has started
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+
+  // { type, target, ... } with target as child indexes from <body>; null for
+  // changes outside the page or to Kit's own UI
+  describeMutation(record) {
+    const target = this.getPath(record.target);
+    if (!target || this.isDropped(record.target)) return null;
+
+    switch (record.type) {
+      case 'childList':
+        return {
+          type: 'childList',
+          target,
+          // Where nodes were removed and added: just after the previous
+          // sibling, as the page stood when the change was observed
+          index: record.previousSibling ? [...record.target.childNodes].indexOf(record.previousSibling) + 1 : 0,
+          removed: record.removedNodes.length,
+          added: [...record.addedNodes]
+            .filter(node => node.parentNode === record.target)
+            .map(node => this.serialize(node))
+        };
+      case 'characterData':
+        return { type: 'characterData', target, text: this.scramble(record.target.data) };
+      case 'attributes': {
+        const value = record.target.getAttribute(record.attributeName);
+        return {
+          type: 'attributes',
+          target,
+          name: record.attributeName,
+          value: value === null ? null : this.sanitizeAttribute(record.attributeName, value)
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  getPath(node) {
+    const path = [];
+    while (node && node !== document.body) {
+      if (!node.parentNode) return null;
+      path.unshift([...node.parentNode.childNodes].indexOf(node));
+      node = node.parentNode;
+    }
+    return node === document.body ? path : null;
+  }
+
+  isDropped(node) {
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(element?.closest(FIXTURE_DROPPED));
+  }
+
+  serialize(node) {
+    if (node.nodeType === Node.TEXT_NODE) return { text: this.scramble(node.data) };
+    if (node.nodeType !== Node.ELEMENT_NODE) return { comment: '' };
+    if (node.matches(FIXTURE_DROPPED)) return { comment: node.tagName.toLowerCase() };
+    return { html: this.sanitize(node).outerHTML };
+  }
+
+  // A copy with text scrambled, values and links blanked, and embedded
+  // content replaced by comments
+  sanitize(element) {
+    const copy = element.cloneNode(true);
+
+    copy.querySelectorAll(FIXTURE_DROPPED).forEach(node => {
+      node.replaceWith(document.createComment(node.tagName.toLowerCase()));
+    });
+
+    // Icons only need to exist for selectors like `button svg`
+    copy.querySelectorAll('svg').forEach(svg => svg.replaceChildren());
+
+    for (const node of [copy, ...copy.querySelectorAll('*')]) {
+      for (const { name, value } of [...node.attributes]) {
+        if (name.startsWith('on') || name === 'style') {
+          node.removeAttribute(name);
+        } else {
+          node.setAttribute(name, this.sanitizeAttribute(name, value));
+        }
+      }
+    }
+
+    const walker = document.createTreeWalker(copy, NodeFilter.SHOW_TEXT);
+    for (let text = walker.nextNode(); text; text = walker.nextNode()) {
+      text.data = this.scramble(text.data);
+    }
+
+    return copy;
+  }
+
+  sanitizeAttribute(name, value) {
+    if (FIXTURE_URL_ATTRIBUTES.includes(name)) return value ? 'https://example.com/' : value;
+    if (FIXTURE_VALUE_ATTRIBUTES.includes(name)) return this.scramble(value);
+    return value;
+  }
+
+  // Keeps length, case, spacing and punctuation but not the words. Version
+  // counters ("2 / 3") stay readable since branch detection depends on them
+  scramble(text) {
+    if (/^\s*\d+\s*\/\s*\d+\s*$/.test(text)) return text;
+
+    return text
+      .replace(/\p{L}/gu, letter => (letter === letter.toLowerCase() ? 'x' : 'X'))
+      .replace(/\p{N}/gu, '0');
+  }
+}
+
+window.KitFixtureRecorder = KitFixtureRecorder;
@@ -1,41 +1,156 @@
 // Content Script for Kit Memory Extension
 // Captures messages and handles prompt enhancement
 
+// `/kit` commands, typed on the first line of a message
+const KIT_COMMANDS = {
+  recall: 'Add memories about a topic',
+  conv: 'Add a past conversation by id or title',
+  forget: "Don't remember this message or its reply",
+  exclude: "Don't remember this conversation",
+  include: 'Remember this conversation again',
+  off: 'Pause Kit on this tab',
+  on: 'Resume Kit on this tab'
+};
+
+// Memories that aren't chat messages
+const KIND_LABELS = {
+  artifact: 'Artifact',
+  attachment: 'Attachment'
+};
+
+// Quiet time after the last page change before replies are checked
+const REPLY_SETTLE_MS = 1000;
+
+// Longest a check waits on a page that never goes quiet (spinners, ticking timestamps)
+const REPLY_MAX_WAIT_MS = 5 * REPLY_SETTLE_MS;
+
+// Lets the page settle before selector health is reported
+const HEALTH_REPORT_DELAY_MS = 2000;
+
+// How long a saved fixture records page changes for
+const FIXTURE_RECORD_MS = 15000;
+
+// Marks injected context so it is never captured or enhanced twice
+const CONTEXT_MARKER = '--- Previous Context ---';
+const QUERY_MARKER = '--- Current Query ---\n';
+
 class MemoryCapture {
   constructor() {
-    this.detector = new window.KitSiteDetector();
-    this.site = this.detector.site;
+    this.detector = null;
+    this.site = null;
     this.enabled = true;
+    this.paused = false;
+    this.reviewBeforeSend = false;
+    this.parser = null;
+    this.redact = null;
+    this.parseCommand = null;
+    this.redactionSettings = null;
+    this.extractConversationId = null;
+    this.reviewPanel = new window.KitReviewPanel();
+    this.commandMenu = null;
+    this.suggestions = null;
+    this.skipNextCapture = false;
+    this.forgetNextReply = false;
+    this.excludePending = false;
     this.lastUserMessage = '';
     this.lastAssistantMessage = '';
+    this.pageMessages = new WeakMap();
+    this.savedItems = new Map();
+    this.seenArtifact = null;
+    this.replyCheckTimer = null;
+    this.replyCheckDueBy = null;
+    this.healthReportTimer = null;
+    this.fixtureRecorder = null;
+    this.input = null;
     this.observer = null;
-    this.isProcessing = false;
     
     this.init();
   }
 
   async init() {
-    if (!this.site) {
+    // Shared with the extension pages; a content script can only load modules dynamically
+    const [{ findAdapter, applySelectorOverrides, extractConversationId }, { MessageParser }, { redact }, { parseCommand }] = await Promise.all([
+      import(chrome.runtime.getURL('lib/sites.js')),
+      import(chrome.runtime.getURL('lib/parser.js')),
+      import(chrome.runtime.getURL('lib/redaction.js')),
+      import(chrome.runtime.getURL('lib/commands.js'))
+    ]);
+    
+    const adapter = findAdapter(window.location.hostname);
+    if (!adapter) {
       console.log('Kit Memory: Site not supported');
       return;
     }
     
+    // Check if enabled
+    const storage = await chrome.storage.local.get(['enabled', 'reviewBeforeSend', 'selectorOverrides', 'redaction']);
+    
+    // Selectors from a file loaded on the options page are tried first
+    this.detector = new window.KitSiteDetector(applySelectorOverrides(adapter, storage.selectorOverrides?.sites));
+    this.detector.onHealthChange = () => this.scheduleHealthReport();
+    this.site = this.detector.site;
+    
     console.log(`Kit Memory: Initialized on ${this.site}`);
     
-    // Check if enabled
-    const storage = await chrome.storage.local.get('enabled');
+    this.parser = new MessageParser(this.site);
+    this.redact = redact;
+    this.parseCommand = parseCommand;
+    this.redactionSettings = storage.redaction;
+    this.extractConversationId = extractConversationId;
+    
     this.enabled = storage.enabled !== false;
+    this.reviewBeforeSend = storage.reviewBeforeSend === true;
     
-    // Listen for enable/disable messages
-    chrome.runtime.onMessage.addListener((request) => {
+    // Listen for enable/disable messages, and fixture requests from the popup
+    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.type === 'TOGGLE_MEMORY') {
         this.enabled = request.enabled;
+      } else if (request.type === 'SAVE_FIXTURE') {
+        sendResponse(this.saveFixture());
+      }
+    });
+    
+    // Review mode is toggled from the popup
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.reviewBeforeSend) {
+        this.reviewBeforeSend = changes.reviewBeforeSend.newValue === true;
+      }
+      
+      // A new selector file applies without reloading the page
+      if (area === 'local' && changes.selectorOverrides) {
+        this.detector.selectors = applySelectorOverrides(adapter, changes.selectorOverrides.newValue?.sites).selectors;
+        if (!this.input) this.waitForInput();
+      }
+      
+      if (area === 'local' && changes.redaction) {
+        this.redactionSettings = changes.redaction.newValue;
       }
     });
     
+    // Counts gathered since the last report would be lost with the page
+    window.addEventListener('pagehide', () => this.reportHealth());
+    
     // Start capturing
     this.startCapturing();
     this.observeMessages();
+    this.showCaptureBlock();
+  }
+
+  // Says so when a chat opens that Kit won't keep
+  async showCaptureBlock() {
+    try {
+      const status = await chrome.runtime.sendMessage({
+        type: 'GET_CAPTURE_STATUS',
+        url: window.location.href,
+        incognito: chrome.extension.inIncognitoContext
+      });
+      
+      if (status?.block === 'conversation' || status?.block === 'temporary') {
+        this.showIndicator(status.reason);
+      }
+    } catch (error) {
+      console.error('Kit Memory: Failed to check capture status:', error);
+    }
   }
 
   startCapturing() {
@@ -44,16 +159,61 @@ class MemoryCapture {
   }
 
   async waitForInput() {
-    const input = await this.detector.waitForElement(this.detector.selectors.input);
+    // The site's selectors get time while the page loads; heuristics only once they time out
+    await this.detector.waitForElement(this.detector.selectors.input);
+    if (this.input) return;
+    
+    const input = this.detector.getInput();
     if (!input) {
       console.log('Kit Memory: Could not find input element');
       return;
     }
     
+    this.input = input;
     this.attachInputListeners(input);
   }
 
+  // Snapshot of this page and its changes over the next few seconds, for
+  // reproducing capture problems; downloads once recording ends
+  saveFixture() {
+    if (this.fixtureRecorder) {
+      return { success: false, error: 'Already recording this page' };
+    }
+    
+    this.fixtureRecorder = new window.KitFixtureRecorder(this.detector);
+    this.fixtureRecorder.record(FIXTURE_RECORD_MS)
+      .then(fixture => this.fixtureRecorder.download(fixture))
+      .catch(error => console.error('Kit Memory: Failed to save fixture:', error))
+      .finally(() => {
+        this.fixtureRecorder = null;
+      });
+    
+    return { success: true, duration: FIXTURE_RECORD_MS };
+  }
+
+  // Tells the background which selectors still match, so it can flag the
+  // extension icon when a site's page has changed
+  scheduleHealthReport() {
+    clearTimeout(this.healthReportTimer);
+    this.healthReportTimer = setTimeout(() => this.reportHealth(), HEALTH_REPORT_DELAY_MS);
+  }
+
+  reportHealth() {
+    clearTimeout(this.healthReportTimer);
+    
+    chrome.runtime.sendMessage({ type: 'REPORT_SELECTOR_HEALTH', health: this.detector.takeHealthReport() })
+      .catch(error => console.error('Kit Memory: Failed to report selector health:', error));
+  }
+
+  // Enabled in the popup and not paused with `/kit off`
+  isActive() {
+    return this.enabled && !this.paused;
+  }
+
   attachInputListeners(input) {
+    // Registered first so it sees keys before the send handlers
+    this.attachCommandMenu(input);
+    
     // Capture on send button click
     const sendButton = this.detector.getSendButton();
     if (sendButton) {
@@ -62,9 +222,11 @@ class MemoryCapture {
       });
     }
     
-    // Capture on Enter key (without Shift)
+    // Capture on Enter key (without Shift). A send the prompt enhancer held
+    // back is captured by submitPrompt once it goes out, or not at all if
+    // the user cancels the review
     input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' && !e.shiftKey) {
+      if (e.key === 'Enter' && !e.shiftKey && e.isTrusted && !e.defaultPrevented) {
         setTimeout(() => this.captureUserMessage(input), 100);
       }
     });
@@ -76,21 +238,33 @@ class MemoryCapture {
   }
 
   async captureUserMessage(input) {
-    if (!this.enabled) return;
+    if (!this.isActive()) return;
+    
+    // Set by `/kit forget`
+    if (this.skipNextCapture) {
+      this.skipNextCapture = false;
+      return;
+    }
+    
+    // A rich editor holds code blocks, lists and the like
+    let message = this.detector.getInputStrategy(input) === 'textarea'
+      ? input.value || ''
+      : this.getMessageText(input, 'user');
     
-    let message = '';
+    message = this.stripInjectedContext(message);
     
-    if (this.site === 'chatgpt') {
-      message = input.value || '';
-    } else if (this.site === 'claude') {
-      message = input.innerText || input.textContent || '';
+    // A command may not have been stripped yet; keep only its prompt
+    const command = this.parseCommand(message);
+    if (command) {
+      if (command.name === 'forget') return;
+      message = command.prompt;
     }
     
     if (message && message !== this.lastUserMessage) {
       this.lastUserMessage = message;
       
       // Store in memory
-      await this.storeMemory('user', message);
+      await this.storeMemory('user', message, this.getSentLineage(message));
     }
   }
 
@@ -102,70 +276,248 @@ class MemoryCapture {
       return;
     }
     
-    this.observer = new MutationObserver((mutations) => {
-      if (!this.enabled || this.isProcessing) return;
-      
-      this.isProcessing = true;
-      
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === 1) { // Element node
-            this.checkForNewMessages(node);
-          }
-        });
-      });
-      
-      setTimeout(() => {
-        this.isProcessing = false;
-      }, 500);
+    // Streaming changes the page many times a second; look once it goes quiet
+    this.observer = new MutationObserver(() => {
+      if (!this.isActive()) return;
+      this.scheduleReplyCheck();
     });
     
     this.observer.observe(container, {
       childList: true,
-      subtree: true
+      subtree: true,
+      characterData: true
     });
   }
 
-  checkForNewMessages(node) {
-    // Check if this node or its children contain messages
-    const messages = this.detector.getMessages();
+  scheduleReplyCheck() {
+    // Each change restarts the settle window, up to a deadline set by the first one
+    const now = Date.now();
+    if (this.replyCheckDueBy === null) this.replyCheckDueBy = now + REPLY_MAX_WAIT_MS;
     
-    messages.forEach(msg => {
-      if (!msg.dataset.kitCaptured) {
-        const text = this.detector.extractText(msg);
-        
-        if (this.detector.isAssistantMessage(msg) && text) {
-          if (text !== this.lastAssistantMessage) {
-            this.lastAssistantMessage = text;
-            this.storeMemory('assistant', text);
-            msg.dataset.kitCaptured = 'true';
-          }
-        }
+    clearTimeout(this.replyCheckTimer);
+    this.replyCheckTimer = setTimeout(() => {
+      this.replyCheckDueBy = null;
+      this.checkForNewMessages();
+    }, Math.max(0, Math.min(REPLY_SETTLE_MS, this.replyCheckDueBy - now)));
+  }
+
+  // A reply is stored once it has stopped streaming and its text held still
+  // between two checks. Sent messages are captured from the input, so the
+  // only user messages read from the page are edits
+  checkForNewMessages() {
+    const turns = this.detector.getTurns();
+    let unsettled = false;
+    
+    turns.forEach((msg, index) => {
+      const isReply = this.detector.isAssistantMessage(msg);
+      if (!isReply && this.detector.getBranch(msg).branch_count < 2) return;
+      
+      const text = isReply
+        ? this.getMessageText(msg, 'assistant')
+        : this.stripInjectedContext(this.getMessageText(msg, 'user'));
+      if (!text) return;
+      
+      if (!this.pageMessages.has(msg)) this.pageMessages.set(msg, {});
+      const state = this.pageMessages.get(msg);
+      if (text === state.savedText) return;
+      
+      if (text !== state.seenText || (isReply && this.detector.isStreaming(msg, index === turns.length - 1))) {
+        state.seenText = text;
+        unsettled = true;
+        return;
+      }
+      
+      this.saveMessage(state, isReply ? 'assistant' : 'user', text, this.detector.getLineage(msg, turns));
+    });
+    
+    if (this.checkForItems(turns)) unsettled = true;
+    if (unsettled) this.scheduleReplyCheck();
+  }
+
+  // Uploaded files, and the artifact or canvas open beside the chat, are
+  // stored as memories of their own, linked to the turn they belong to.
+  // Returns true while the artifact is still changing
+  checkForItems(turns) {
+    turns.filter(turn => this.detector.isUserMessage(turn)).forEach(turn => {
+      for (const file of this.detector.getAttachments(turn)) {
+        const content = `Attached file: ${file.name}${file.type ? ` (${file.type})` : ''}`;
+        this.saveItem('attachment', 'user', content, { name: file.name, file_type: file.type }, this.detector.getLineage(turn, turns));
       }
     });
+    
+    const artifact = this.detector.getOpenArtifact();
+    if (!artifact) return false;
+    
+    const language = artifact.isCode
+      ? this.parser.getCodeLanguage(artifact.content.closest('pre') || artifact.content, artifact.content)
+      : '';
+    const body = artifact.isCode
+      ? this.parser.renderCode(this.parser.getCodeText(artifact.content), language).trim()
+      : this.parser.toMarkdown(artifact.content);
+    if (!body) return false;
+    
+    // Artifacts stream in like replies
+    const content = `Artifact: ${artifact.title}${language ? ` (${language})` : ''}\n\n${body}`;
+    if (content !== this.seenArtifact) {
+      this.seenArtifact = content;
+      return true;
+    }
+    
+    const turn = this.detector.getArtifactTurn(artifact.title, turns);
+    this.saveItem('artifact', 'assistant', content, { name: artifact.title, language: language || null },
+      turn ? this.detector.getLineage(turn, turns) : null);
+    return false;
   }
 
-  async storeMemory(role, content) {
-    if (!content || content.length < 2) return;
+  // The background worker keys items by name, so a changed artifact updates its row
+  async saveItem(kind, role, content, item, lineage) {
+    const key = `${kind}:${item.name}`;
+    if (this.savedItems.get(key) === content) return;
+    
+    this.savedItems.set(key, content);
+    await this.storeMemory(role, content, lineage, { kind, ...item });
+  }
+
+  // Text that only grew on the same message (continue) updates its row; a
+  // different version (regenerate, edit) is stored as a new branch
+  async saveMessage(state, role, text, lineage) {
+    const previous = state.savedText;
+    state.savedText = text;
+    
+    if (state.saving) {
+      const id = await state.saving;
+      if (!id) return;
+      
+      if (text.startsWith(previous) && lineage.message_id === state.messageId) {
+        if (role === 'assistant') this.lastAssistantMessage = text;
+        await this.updateStoredMemory(id, text);
+        return;
+      }
+    } else if (role === 'assistant') {
+      // The reply to a `/kit forget` message is forgotten too, and so are its later versions
+      if (this.forgetNextReply) {
+        this.forgetNextReply = false;
+        state.saving = Promise.resolve(null);
+        return;
+      }
+      
+      // Re-rendered copies of the reply we just stored
+      if (text === this.lastAssistantMessage) {
+        state.saving = Promise.resolve(null);
+        return;
+      }
+    }
+    
+    if (role === 'assistant') this.lastAssistantMessage = text;
+    state.messageId = lineage.message_id;
+    state.saving = this.storeMemory(role, text, lineage).then(result => result?.id);
+  }
+
+  // Lineage of a message just sent, which may not be on the page yet
+  getSentLineage(message) {
+    const turns = this.detector.getTurns();
+    const last = turns[turns.length - 1];
+    
+    if (last && this.detector.isUserMessage(last)
+      && this.stripInjectedContext(this.getMessageText(last, 'user')).trim() === message.trim()) {
+      return this.detector.getLineage(last, turns);
+    }
+    
+    return {
+      message_id: null,
+      parent_id: last ? this.detector.getMessageId(last) : null,
+      turn: turns.length,
+      branch_index: 1,
+      branch_count: 1
+    };
+  }
+
+  // A message on the page as Markdown
+  getMessageText(element, role) {
+    return this.parser.parseMessage(element, role).content;
+  }
+
+  // Injected context isn't something the user wrote
+  stripInjectedContext(text) {
+    const queryStart = text.indexOf(QUERY_MARKER);
+    if (text.startsWith(CONTEXT_MARKER) && queryStart !== -1) {
+      return text.slice(queryStart + QUERY_MARKER.length).trim();
+    }
+    return text;
+  }
+
+  async storeMemory(role, content, lineage = null, item = null) {
+    if (!content || content.length < 2) return null;
+    
+    // `/kit exclude` on a new chat: nothing is kept until it has an id to exclude
+    if (this.excludePending) {
+      if (this.extractConversationId(window.location.href)) {
+        this.excludePending = false;
+        await this.setConversationExcluded(true);
+      }
+      return null;
+    }
+    
+    // Secrets and personal data never leave the page
+    const redacted = this.redact(content, this.redactionSettings);
+    if (redacted.skip) {
+      console.log(`Kit Memory: Skipped ${role} message containing ${Object.keys(redacted.redactions).join(', ')}`);
+      return null;
+    }
+    content = redacted.text;
+    if (item?.name) item = { ...item, name: this.redact(item.name, this.redactionSettings).text };
     
     try {
-      await chrome.runtime.sendMessage({
+      const result = await chrome.runtime.sendMessage({
         type: 'STORE_MEMORY',
         data: {
           role,
           content,
           site: this.site,
           url: window.location.href,
-          timestamp: new Date().toISOString()
+          timestamp: new Date().toISOString(),
+          lineage,
+          item,
+          redactions: this.describeRedactions(redacted.redactions)
         }
       });
       
       console.log(`Kit Memory: Stored ${role} message (${content.length} chars)`);
+      return result;
     } catch (error) {
       console.error('Kit Memory: Failed to store memory:', error);
+      return null;
     }
   }
 
+  async updateStoredMemory(id, content) {
+    // A reply can turn sensitive as it streams in
+    const redacted = this.redact(content, this.redactionSettings);
+    if (redacted.skip) {
+      console.log(`Kit Memory: Stopped updating assistant message containing ${Object.keys(redacted.redactions).join(', ')}`);
+      return;
+    }
+    content = redacted.text;
+    
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'UPDATE_MEMORY',
+        id,
+        content,
+        tier: 'hot',
+        redactions: this.describeRedactions(redacted.redactions)
+      });
+      console.log(`Kit Memory: Updated assistant message (${content.length} chars)`);
+    } catch (error) {
+      console.error('Kit Memory: Failed to update memory:', error);
+    }
+  }
+
+  // { TYPE: count } kept with the memory, or null when nothing was replaced
+  describeRedactions(redactions) {
+    return Object.keys(redactions).length > 0 ? redactions : null;
+  }
+
   // Prompt enhancement
   attachPromptEnhancer(input) {
     // Store original send handlers
@@ -178,9 +530,24 @@ class MemoryCapture {
     const sendButton = this.detector.getSendButton();
     if (sendButton) {
       const newClickHandler = async (e) => {
-        if (this.enabled) {
-          await this.enhancePrompt(input);
+        if (!e.isTrusted) return;
+        
+        const query = this.getInputText(input);
+        const holdSend = this.parseCommand(query)
+          || (this.reviewBeforeSend && this.isActive() && this.shouldEnhance(query));
+        
+        // Hold the send while a command runs or the user reviews, then submit ourselves
+        if (holdSend) {
+          e.preventDefault();
+          e.stopImmediatePropagation();
+          
+          if (await this.enhancePrompt(input)) {
+            this.submitPrompt(input);
+          }
+          return;
         }
+        
+        await this.enhancePrompt(input);
       };
       
       // Clone and replace button to remove existing listeners
@@ -191,35 +558,20 @@ class MemoryCapture {
     
     // Intercept Enter key
     const keyHandler = async (e) => {
-      if (e.key === 'Enter' && !e.shiftKey && this.enabled) {
-        const query = this.site === 'chatgpt' ? input.value : input.innerText;
+      // Our own simulated Enter must go through to the site untouched
+      if (!e.isTrusted) return;
+      
+      if (e.key === 'Enter' && !e.shiftKey) {
+        const query = this.getInputText(input);
         
-        if (this.shouldEnhance(query)) {
+        if (this.parseCommand(query) || (this.isActive() && this.shouldEnhance(query))) {
           e.preventDefault();
           e.stopPropagation();
           
-          await this.enhancePrompt(input);
-          
-          // Trigger send after enhancement
-          setTimeout(() => {
-            if (this.site === 'chatgpt') {
-              // Trigger form submit for ChatGPT
-              const form = input.closest('form');
-              if (form) {
-                form.requestSubmit();
-              }
-            } else {
-              // For Claude, simulate Enter key
-              const event = new KeyboardEvent('keydown', {
-                key: 'Enter',
-                code: 'Enter',
-                keyCode: 13,
-                which: 13,
-                bubbles: true
-              });
-              input.dispatchEvent(event);
-            }
-          }, 100);
+          // Cancelled in the review panel: leave the prompt unsent
+          if (await this.enhancePrompt(input)) {
+            this.submitPrompt(input);
+          }
         }
       }
     };
@@ -227,63 +579,330 @@ class MemoryCapture {
     input.addEventListener('keydown', keyHandler, true);
   }
 
+  getInputText(input) {
+    return this.detector.getInputStrategy(input) === 'textarea' ? input.value : input.innerText;
+  }
+
+  setInputText(input, text) {
+    if (this.detector.getInputStrategy(input) === 'textarea') {
+      input.value = text;
+    } else {
+      input.innerText = text;
+    }
+    
+    // Trigger input event to update the site's UI state
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  placeCaretAtEnd(input) {
+    input.focus();
+    
+    if (this.detector.getInputStrategy(input) === 'textarea') {
+      input.setSelectionRange(input.value.length, input.value.length);
+    } else {
+      const range = document.createRange();
+      range.selectNodeContents(input);
+      range.collapse(false);
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+  }
+
+  // Trigger send after enhancement, capturing the prompt as it goes out
+  submitPrompt(input) {
+    setTimeout(() => {
+      // Reads the input before the site clears it
+      this.captureUserMessage(input);
+      
+      const { submit } = this.detector.adapter;
+      const form = submit === 'form' ? input.closest('form') : null;
+      const sendButton = submit === 'button' ? this.detector.getSendButton() : null;
+      
+      if (form) {
+        form.requestSubmit();
+      } else if (sendButton) {
+        // The input has re-rendered by now, so the button is enabled
+        sendButton.click();
+      } else {
+        // Enter-to-send; also the fallback when the form or button is missing
+        const event = new KeyboardEvent('keydown', {
+          key: 'Enter',
+          code: 'Enter',
+          keyCode: 13,
+          which: 13,
+          bubbles: true
+        });
+        input.dispatchEvent(event);
+      }
+    }, 100);
+  }
+
   shouldEnhance(query) {
     if (!query || query.length < 10) return false;
     
+    // Already enhanced, e.g. by `/kit recall` without a prompt
+    if (query.startsWith(CONTEXT_MARKER)) return false;
+    
     // Keywords that suggest memory is needed
     const memoryTriggers = [
       'continue', 'remember', 'recall', 'last time', 'yesterday',
       'earlier', 'previous', 'before', 'we discussed', 'we talked',
       'our conversation', 'you said', 'I said', 'mentioned',
-      'referring to', 'context', 'what were we', 'where were we'
+      'referring to', 'context', 'what were we', 'where were we',
+      'archive'
     ];
     
     const lowerQuery = query.toLowerCase();
     return memoryTriggers.some(trigger => lowerQuery.includes(trigger));
   }
 
+  // "search my archive" also searches COLD conversation summaries
+  wantsArchive(query) {
+    return /\b(search|in|from) (my )?archive\b/i.test(query);
+  }
+
+  // Returns false when nothing should be sent, e.g. cancelled in the review panel
   async enhancePrompt(input) {
-    const query = this.site === 'chatgpt' ? input.value : input.innerText;
+    const query = this.getInputText(input);
+    
+    const command = this.parseCommand(query);
+    if (command) return await this.runCommand(input, command);
     
-    if (!this.shouldEnhance(query)) return;
+    if (!this.isActive() || !this.shouldEnhance(query)) return true;
     
     try {
       // Search for relevant memories
       const memories = await chrome.runtime.sendMessage({
         type: 'SEARCH_MEMORIES',
-        query: query
+        query: query,
+        archive: this.wantsArchive(query),
+        site: this.site
       });
       
-      if (memories && memories.length > 0) {
-        const enhanced = this.formatEnhancedPrompt(query, memories);
+      if (!memories || memories.length === 0) return true;
+      
+      return await this.injectMemories(input, query, memories);
+    } catch (error) {
+      console.error('Kit Memory: Enhancement failed:', error);
+    }
+    
+    return true;
+  }
+
+  // Puts the memories in front of the prompt, after review if that is on
+  async injectMemories(input, prompt, memories) {
+    let context = this.formatContext(memories);
+    let count = memories.length;
+    
+    if (this.reviewBeforeSend) {
+      let included = memories;
+      const review = await this.reviewPanel.open(memories, (selected) => {
+        included = selected;
+        return this.formatContext(selected);
+      });
+      
+      if (!review) return false;
+      context = review.context;
+      count = context ? included.length : 0;
+    }
+    
+    this.setInputText(input, context + prompt);
+    if (count > 0) this.showMemoryIndicator(count);
+    
+    // A bare command leaves the context in the input for the user to write under
+    if (!prompt) {
+      this.placeCaretAtEnd(input);
+      return false;
+    }
+    return true;
+  }
+
+  // Returns true when the remaining prompt should be sent
+  async runCommand(input, command) {
+    switch (command.name) {
+      case 'recall':
+      case 'conv': {
+        if (!command.argument) {
+          this.showIndicator(`Usage: /kit ${command.name} <${command.name === 'recall' ? 'topic' : 'id or title'}>`);
+          return false;
+        }
         
-        // Update input with enhanced prompt
-        if (this.site === 'chatgpt') {
-          input.value = enhanced;
-          
-          // Trigger input event to update UI
-          input.dispatchEvent(new Event('input', { bubbles: true }));
-        } else {
-          input.innerText = enhanced;
-          
-          // Trigger input event for Claude
-          input.dispatchEvent(new Event('input', { bubbles: true }));
+        const memories = await chrome.runtime.sendMessage(command.name === 'recall'
+          ? { type: 'SEARCH_MEMORIES', query: command.argument, archive: this.wantsArchive(command.argument), site: this.site }
+          : { type: 'SEARCH_MEMORIES', query: command.argument, conversation: command.argument });
+        
+        if (!memories || memories.length === 0) {
+          // Leave the prompt for the user to send or rephrase
+          this.setInputText(input, command.prompt);
+          this.showIndicator(`No memories found for "${command.argument}"`);
+          return false;
         }
         
-        // Show indicator
-        this.showMemoryIndicator(memories.length);
+        return await this.injectMemories(input, command.prompt, memories);
+      }
+      
+      case 'forget':
+        if (command.prompt) this.skipNextCapture = true;
+        this.forgetNextReply = Boolean(command.prompt);
+        this.setInputText(input, command.prompt);
+        return Boolean(command.prompt);
+      
+      case 'exclude':
+      case 'include':
+        await this.setConversationExcluded(command.name === 'exclude');
+        this.setInputText(input, command.prompt);
+        return Boolean(command.prompt);
+      
+      case 'off':
+      case 'on':
+        this.paused = command.name === 'off';
+        this.showIndicator(this.paused ? 'Kit paused on this tab. Type /kit on to resume.' : 'Kit resumed on this tab');
+        this.setInputText(input, command.prompt);
+        return Boolean(command.prompt);
+      
+      default:
+        this.showIndicator(`Unknown command. Try /kit ${Object.keys(KIT_COMMANDS).join(', ')}`);
+        return false;
+    }
+  }
+
+  // Shared with the popup's toggle through storage, keyed by conversation id
+  async setConversationExcluded(excluded) {
+    if (!this.extractConversationId(window.location.href)) {
+      this.excludePending = excluded;
+      this.showIndicator(excluded ? "Kit won't remember this conversation" : 'Kit will remember this conversation');
+      return;
+    }
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'SET_CONVERSATION_EXCLUDED',
+        url: window.location.href,
+        excluded,
+        title: document.title
+      });
+      
+      if (!result?.success) {
+        this.showIndicator(result?.error || 'Failed to update this conversation');
+      } else {
+        this.showIndicator(excluded
+          ? "Kit won't remember this conversation. Type /kit include to undo."
+          : 'Kit will remember this conversation again');
       }
     } catch (error) {
-      console.error('Kit Memory: Enhancement failed:', error);
+      console.error('Kit Memory: Failed to update conversation exclusion:', error);
     }
   }
 
-  formatEnhancedPrompt(query, memories) {
-    let context = '--- Previous Context ---\n';
+  attachCommandMenu(input) {
+    this.commandMenu = new window.KitCommandMenu((value) => {
+      this.setInputText(input, value);
+      this.placeCaretAtEnd(input);
+      this.updateCommandMenu(input);
+    });
+    
+    input.addEventListener('keydown', (e) => this.commandMenu.handleKey(e), true);
+    input.addEventListener('input', () => this.updateCommandMenu(input));
+    input.addEventListener('blur', () => this.commandMenu.hide());
+  }
+
+  // Suggest only while the command line is the whole message
+  async updateCommandMenu(input) {
+    const text = this.getInputText(input);
+    if (!/^\/kit(\s|$)/i.test(text) || text.trim().includes('\n')) {
+      this.commandMenu.hide();
+      return;
+    }
+    
+    const items = await this.getCommandSuggestions(text);
+    
+    // Typing may have moved on while suggestions loaded
+    if (this.getInputText(input) !== text) return;
+    
+    if (items.length > 0) {
+      this.commandMenu.show(input, items);
+    } else {
+      this.commandMenu.hide();
+    }
+  }
+
+  async getCommandSuggestions(text) {
+    const match = text.match(/^\/kit\s*(\S*)(\s+(.*))?$/i);
+    if (!match) return [];
+    
+    const name = match[1].toLowerCase();
+    const argument = match[3];
+    
+    // Still typing the command name
+    if (argument === undefined) {
+      return Object.entries(KIT_COMMANDS)
+        .filter(([command]) => command.startsWith(name) && command !== name)
+        .map(([command, detail]) => ({
+          label: `/kit ${command}`,
+          detail,
+          value: `/kit ${command}${command === 'recall' || command === 'conv' ? ' ' : ''}`
+        }));
+    }
+    
+    if (name !== 'recall' && name !== 'conv') return [];
+    
+    const { conversations, tags } = await this.getSuggestions();
+    const needle = argument.trim().toLowerCase();
+    const items = [];
+    
+    if (name === 'recall') {
+      tags
+        .filter(tag => tag.startsWith(needle.startsWith('#') ? needle : `#${needle}`))
+        .slice(0, 5)
+        .forEach(tag => items.push({ label: tag, detail: 'tag', value: `/kit recall ${tag}` }));
+    }
+    
+    conversations
+      .filter(c => c.title && (c.title.toLowerCase().includes(needle) || c.id.startsWith(needle)))
+      .slice(0, 8 - items.length)
+      .forEach(c => items.push({
+        label: c.title,
+        detail: `${c.site || ''} ${new Date(c.lastActive).toLocaleDateString()}`.trim(),
+        value: `/kit ${name} ${c.title}`
+      }));
+    
+    return items;
+  }
+
+  // Fetched once a minute at most while typing commands
+  async getSuggestions() {
+    if (this.suggestions && Date.now() - this.suggestions.fetchedAt < 60000) {
+      return this.suggestions.data;
+    }
+    
+    try {
+      const data = await chrome.runtime.sendMessage({ type: 'GET_RECALL_SUGGESTIONS' });
+      this.suggestions = { data, fetchedAt: Date.now() };
+      return data;
+    } catch (error) {
+      console.error('Kit Memory: Failed to load suggestions:', error);
+      return { conversations: [], tags: [] };
+    }
+  }
+
+  formatContext(memories) {
+    if (memories.length === 0) return '';
+    
+    let context = `${CONTEXT_MARKER}\n`;
+    
+    // Pinned facts are stated as-is, ahead of the conversations
+    const facts = memories.filter(mem => mem.role === 'fact');
+    if (facts.length > 0) {
+      context += '\n[Pinned facts]\n';
+      facts.forEach(fact => {
+        context += `- ${fact.content}\n`;
+      });
+    }
     
     // Group memories by conversation
     const grouped = {};
-    memories.forEach(mem => {
+    memories.filter(mem => mem.role !== 'fact').forEach(mem => {
       const convId = mem.conversation_id || 'default';
       if (!grouped[convId]) grouped[convId] = [];
       grouped[convId].push(mem);
@@ -292,24 +911,30 @@ class MemoryCapture {
     // Format each conversation
     for (const [convId, mems] of Object.entries(grouped)) {
       const date = new Date(mems[0].created_at).toLocaleDateString();
-      context += `\n[From ${date}]\n`;
+      const archived = mems[0].tier && mems[0].tier !== 'hot' ? ', archived' : '';
+      context += `\n[From ${date}${archived}]\n`;
       
       mems.forEach(m => {
-        const role = m.role === 'user' ? 'You' : 'Assistant';
+        const role = KIND_LABELS[m.kind] || (m.role === 'user' ? 'You' : m.role === 'summary' ? 'Summary' : 'Assistant');
+        const version = m.superseded ? ' (earlier version)' : '';
         const preview = m.content.substring(0, 200);
-        context += `${role}: ${preview}${m.content.length > 200 ? '...' : ''}\n`;
+        context += `${role}${version}: ${preview}${m.content.length > 200 ? '...' : ''}\n`;
       });
     }
     
-    context += '\n--- Current Query ---\n';
-    return context + query;
+    context += `\n${QUERY_MARKER}`;
+    return context;
   }
 
   showMemoryIndicator(count) {
+    this.showIndicator(`✨ Added ${count} memories to context`);
+  }
+
+  showIndicator(text) {
     // Create temporary indicator
     const indicator = document.createElement('div');
     indicator.className = 'kit-memory-indicator';
-    indicator.textContent = `✨ Added ${count} memories to context`;
+    indicator.textContent = text;
     indicator.style.cssText = `
       position: fixed;
       bottom: 20px;
@@ -332,11 +957,12 @@ class MemoryCapture {
   }
 }
 
-// Initialize when DOM is ready
+// Initialize when DOM is ready; kept on the content script's window for the
+// fixture replay harness
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
-    new MemoryCapture();
+    window.kitMemoryCapture = new MemoryCapture();
   });
 } else {
-  new MemoryCapture();
+  window.kitMemoryCapture = new MemoryCapture();
 }
\ No newline at end of file
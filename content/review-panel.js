@@ -0,0 +1,152 @@
+// Pre-send review panel for Kit Memory Extension
+// Lists candidate memories so the user can choose what is sent with the prompt
+
+class KitReviewPanel {
+  constructor() {
+    this.root = null;
+    this.resolve = null;
+    this.onKeydown = this.onKeydown.bind(this);
+  }
+
+  // Resolves to { context } to send (empty for none), or null if cancelled
+  open(memories, formatContext) {
+    this.close(null);
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+      this.render(memories, formatContext);
+    });
+  }
+
+  render(memories, formatContext) {
+    const selected = new Set(memories);
+    let edited = false;
+
+    this.root = this.createElement('div', 'kit-review-panel');
+    this.root.setAttribute('role', 'dialog');
+    this.root.setAttribute('aria-label', 'Review memories before sending');
+
+    const header = this.createElement('div', 'kit-review-header', 'Review memories before sending');
+    const list = this.createElement('div', 'kit-review-list');
+    const context = this.createElement('textarea', 'kit-review-context');
+    const tokens = this.createElement('span', 'kit-review-tokens');
+    const rebuild = this.createElement('button', 'kit-review-link', 'Rebuild from selection');
+    rebuild.style.display = 'none';
+
+    const updateTokens = () => {
+      // Same estimate MemoryManager uses for its token budget
+      tokens.textContent = `~${Math.ceil(context.value.length / 4)} tokens`;
+    };
+
+    const rebuildContext = () => {
+      context.value = formatContext(memories.filter(m => selected.has(m)));
+      edited = false;
+      rebuild.style.display = 'none';
+      updateTokens();
+    };
+
+    memories.forEach((memory) => {
+      const item = this.createElement('label', 'kit-review-item');
+      const checkbox = this.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = true;
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) selected.add(memory);
+        else selected.delete(memory);
+
+        // Keep the user's edits; they can rebuild explicitly
+        if (!edited) rebuildContext();
+      });
+
+      const body = this.createElement('div', 'kit-review-item-body');
+      body.append(
+        this.createElement('div', 'kit-review-meta', this.describe(memory)),
+        this.createElement('div', 'kit-review-preview', this.preview(memory.content))
+      );
+
+      item.append(checkbox, body);
+      list.append(item);
+    });
+
+    context.addEventListener('input', () => {
+      edited = true;
+      rebuild.style.display = 'inline';
+      updateTokens();
+    });
+    rebuild.addEventListener('click', rebuildContext);
+
+    const footer = this.createElement('div', 'kit-review-footer');
+    const send = this.createElement('button', 'kit-review-primary', 'Send');
+    const skip = this.createElement('button', 'kit-review-secondary', 'Send without memories');
+    const cancel = this.createElement('button', 'kit-review-secondary', 'Cancel');
+
+    send.addEventListener('click', () => this.close({ context: context.value.trim() ? context.value : '' }));
+    skip.addEventListener('click', () => this.close({ context: '' }));
+    cancel.addEventListener('click', () => this.close(null));
+
+    const summaryLabel = this.createElement('div', 'kit-review-summary-label');
+    summaryLabel.append(this.createElement('span', null, 'Context to add'), rebuild, tokens);
+
+    footer.append(cancel, skip, send);
+    this.root.append(header, list, summaryLabel, context, footer);
+    document.body.appendChild(this.root);
+    document.addEventListener('keydown', this.onKeydown, true);
+
+    rebuildContext();
+    send.focus();
+  }
+
+  describe(memory) {
+    if (memory.role === 'fact') {
+      return ['Pinned fact', memory.site, memory.project].filter(Boolean).join(' · ');
+    }
+
+    const parts = [new Date(memory.created_at).toLocaleDateString()];
+    if (memory.site) parts.push(memory.site);
+    if (memory.tier && memory.tier !== 'hot') parts.push('archived');
+    if (memory.superseded) parts.push('earlier version');
+    if (typeof memory.score === 'number') parts.push(`score ${memory.score.toFixed(2)}`);
+
+    const role = memory.kind === 'artifact' ? 'Artifact'
+      : memory.kind === 'attachment' ? 'Attachment'
+      : memory.role === 'user' ? 'You' : memory.role === 'summary' ? 'Summary' : 'Assistant';
+    return `${role} · ${parts.join(' · ')}`;
+  }
+
+  preview(content) {
+    return content.length > 200 ? `${content.substring(0, 200)}...` : content;
+  }
+
+  onKeydown(e) {
+    // Keep keys away from the chat (and its Enter-to-send) while the panel is open
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close(null);
+    }
+  }
+
+  close(result) {
+    if (this.root) {
+      this.root.remove();
+      this.root = null;
+      document.removeEventListener('keydown', this.onKeydown, true);
+    }
+
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(result);
+    }
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+}
+
+window.KitReviewPanel = KitReviewPanel;
@@ -0,0 +1,15 @@
+// `/kit` command parsing for Kit Memory Extension
+// Shared by the content script and its tests
+
+// `/kit <command> [argument]` on the first line; later lines are the prompt.
+// Returns { name, argument, prompt }, or null when the text isn't a command
+export function parseCommand(text) {
+  const match = (text || '').match(/^\s*\/kit(?=\s|$)[ \t]*(\S*)[ \t]*([^\n]*)(?:\n([\s\S]*))?$/i);
+  if (!match) return null;
+
+  return {
+    name: match[1].toLowerCase(),
+    argument: match[2].trim(),
+    prompt: (match[3] || '').trim()
+  };
+}
@@ -0,0 +1,52 @@
+// Content compression for WARM and COLD tier memories
+// gzip via CompressionStream, stored as base64 text so any backend can hold it.
+// Whether a row is compressed is recorded in its `metadata.compressed`, never
+// guessed from the text: a captured message may itself start with "gz:"
+
+import { toBase64, fromBase64 } from './crypto.js';
+
+const COMPRESSED_PREFIX = 'gz:';
+
+export function isCompressed(value) {
+  return typeof value === 'string' && value.startsWith(COMPRESSED_PREFIX);
+}
+
+export async function compressText(text) {
+  if (!text) return text;
+
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  const compressed = COMPRESSED_PREFIX + toBase64(bytes);
+
+  // Short messages grow once base64 overhead is added
+  return compressed.length < text.length ? compressed : text;
+}
+
+export async function decompressText(value) {
+  if (!isCompressed(value)) return value;
+
+  const bytes = fromBase64(value.slice(COMPRESSED_PREFIX.length));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return await new Response(stream).text();
+}
+
+// The row as stored in WARM or COLD, flagged with whether compression was kept
+export async function compressMemory(memory) {
+  const content = await compressText(memory.content);
+  return { ...memory, content, metadata: { ...memory.metadata, compressed: content !== memory.content } };
+}
+
+// A WARM or COLD row with its content readable again
+export async function decompressMemory(row) {
+  const { compressed, ...metadata } = row.metadata || {};
+  if (compressed === false) return { ...row, metadata };
+  if (compressed === true) return { ...row, content: await decompressText(row.content), metadata };
+
+  // Rows migrated before the flag existed: only the prefix tells, and plain
+  // text that happens to start with it stays as it is
+  try {
+    return { ...row, content: await decompressText(row.content) };
+  } catch (error) {
+    return row;
+  }
+}
@@ -0,0 +1,130 @@
+// Client-side encryption for Kit Memory Extension
+// AES-GCM via WebCrypto with a key derived from the user's passphrase
+
+const ENVELOPE_PREFIX = 'kit:v1:';
+const VERIFIER_TEXT = 'kit-key-check';
+
+export const PBKDF2_ITERATIONS = 310000;
+
+export class MemoryCipher {
+  constructor(key) {
+    this.key = key;
+  }
+
+  static async fromPassphrase(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    // Extractable so the key can be remembered for the session or on this device
+    const key = await crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt: fromBase64(salt), iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+
+    return new MemoryCipher(key);
+  }
+
+  static async fromRawKey(rawKey) {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      fromBase64(rawKey),
+      { name: 'AES-GCM' },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    return new MemoryCipher(key);
+  }
+
+  async exportKey() {
+    return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', this.key)));
+  }
+
+  async encrypt(plaintext) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.key,
+      new TextEncoder().encode(plaintext)
+    );
+    return `${ENVELOPE_PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(ciphertext))}`;
+  }
+
+  async decrypt(envelope) {
+    const [iv, ciphertext] = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(iv) },
+      this.key,
+      fromBase64(ciphertext)
+    );
+    return new TextDecoder().decode(plaintext);
+  }
+
+  async encryptMemory(memory) {
+    const encrypted = { ...memory };
+
+    if (memory.content !== undefined) {
+      encrypted.content = await this.encrypt(memory.content);
+    }
+    if (memory.metadata !== undefined) {
+      encrypted.metadata = await this.encrypt(JSON.stringify(memory.metadata));
+    }
+
+    return encrypted;
+  }
+
+  // Plaintext rows written before encryption was enabled pass through untouched
+  async decryptMemory(memory) {
+    const decrypted = { ...memory };
+
+    if (isEncryptedValue(memory.content)) {
+      decrypted.content = await this.decrypt(memory.content);
+    }
+    if (isEncryptedValue(memory.metadata)) {
+      decrypted.metadata = JSON.parse(await this.decrypt(memory.metadata));
+    }
+
+    return decrypted;
+  }
+
+  async createVerifier() {
+    return await this.encrypt(VERIFIER_TEXT);
+  }
+
+  async checkVerifier(verifier) {
+    try {
+      return (await this.decrypt(verifier)) === VERIFIER_TEXT;
+    } catch (error) {
+      // AES-GCM rejects a wrong key outright
+      return false;
+    }
+  }
+}
+
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+export function generateSalt() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+export function toBase64(bytes) {
+  let binary = '';
+  // Chunked so large memories don't overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
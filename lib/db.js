@@ -0,0 +1,94 @@
+// Shared IndexedDB schema for Kit Memory Extension
+// Each entry in UPGRADES moves the database up one version
+
+const DB_NAME = 'kit-memory';
+
+const UPGRADES = [
+  // v1: memories
+  db => {
+    const memories = db.createObjectStore('memories', { keyPath: 'id' });
+    memories.createIndex('user_id', 'user_id');
+    memories.createIndex('conversation_id', 'conversation_id');
+    memories.createIndex('created_at', 'created_at');
+  },
+
+  // v2: embedding vectors for semantic search
+  db => {
+    const vectors = db.createObjectStore('vectors', { keyPath: 'id' });
+    vectors.createIndex('user_id', 'user_id');
+  },
+
+  // v3: inverted index for keyword search
+  db => {
+    db.createObjectStore('terms', { keyPath: ['user_id', 'term'] });
+    const documents = db.createObjectStore('documents', { keyPath: 'id' });
+    documents.createIndex('user_id', 'user_id');
+  },
+
+  // v4: pinned facts
+  db => {
+    const facts = db.createObjectStore('facts', { keyPath: 'id' });
+    facts.createIndex('user_id', 'user_id');
+  }
+];
+
+const connections = new Map();
+
+export function openDatabase(name = DB_NAME) {
+  if (connections.has(name)) return connections.get(name);
+
+  const connection = new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, UPGRADES.length);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < UPGRADES.length; version++) {
+        UPGRADES[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      connections.delete(name);
+      reject(request.error);
+    };
+  });
+
+  connections.set(name, connection);
+  return connection;
+}
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run a callback inside a transaction and resolve once it commits
+export async function withTransaction(dbName, storeName, mode, callback) {
+  const db = await openDatabase(dbName);
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = callback(tx.objectStore(storeName));
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Filter shared by the local stores for list and delete options
+export function matchesFilters(record, options = {}) {
+  if (options.tier && (record.tier || 'hot') !== options.tier) return false;
+  if (options.after && record.created_at < options.after) return false;
+  if (options.before && record.created_at >= options.before) return false;
+  if (options.ids && !options.ids.includes(record.id)) return false;
+  if (options.site && record.site !== options.site) return false;
+  if (options.conversation_id && record.conversation_id !== options.conversation_id) return false;
+  // Trashed rows are only seen when asked for
+  if (Boolean(record.deleted_at) !== Boolean(options.trashed || options.deletedBefore)) return false;
+  if (options.deletedBefore && record.deleted_at >= options.deletedBefore) return false;
+  return true;
+}
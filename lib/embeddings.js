@@ -0,0 +1,68 @@
+// On-device text embeddings for Kit Memory Extension
+// Hashed n-gram vectors: no model download and no network calls
+
+import { tokenize, hashString } from './text.js';
+
+export const EMBEDDING_DIMENSIONS = 512;
+
+// Relative weight of each feature family
+const FEATURE_WEIGHTS = {
+  word: 1.0,
+  bigram: 0.7,
+  trigram: 0.4
+};
+
+export function embedText(text, dimensions = EMBEDDING_DIMENSIONS) {
+  const vector = new Float32Array(dimensions);
+  const words = tokenize(text || '');
+
+  const addFeature = (feature, weight) => {
+    const hash = hashString(feature);
+    // Signed hashing keeps collisions from only ever adding up
+    const sign = hash & 0x80000000 ? -1 : 1;
+    vector[hash % dimensions] += sign * weight;
+  };
+
+  words.forEach((word, index) => {
+    addFeature(`w:${word}`, FEATURE_WEIGHTS.word);
+
+    if (index > 0) {
+      addFeature(`b:${words[index - 1]} ${word}`, FEATURE_WEIGHTS.bigram);
+    }
+
+    // Character trigrams let "auth" match "oauth"
+    const padded = `#${word}#`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(`c:${padded.slice(i, i + 3)}`, FEATURE_WEIGHTS.trigram);
+    }
+  });
+
+  return normalize(vector);
+}
+
+export function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+
+  return vector;
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
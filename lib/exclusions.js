@@ -0,0 +1,75 @@
+// Capture exclusions for Kit Memory Extension
+// Decides whether a captured message may be stored: site and URL rules,
+// conversations the user excluded, a timed pause, and private chats.
+// Excluded conversations are also left out of retrieval
+
+import { SITE_ADAPTERS, findAdapter, extractConversationId, isTemporaryChat } from './sites.js';
+
+export const PAUSE_DURATION_MS = 60 * 60 * 1000;
+
+export const CAPTURE_RULE_ACTIONS = {
+  deny: 'Never capture',
+  allow: 'Only capture'
+};
+
+// Why nothing is being stored, as shown in the popup
+export const CAPTURE_BLOCK_REASONS = {
+  disabled: 'Kit is turned off',
+  paused: 'Capture is paused',
+  incognito: 'Incognito windows are never remembered',
+  temporary: 'Temporary chats are never remembered',
+  conversation: 'Not remembering this conversation',
+  rule: 'Left out by a capture rule'
+};
+
+// Storage keys read by getCaptureBlock
+export const EXCLUSION_SETTINGS = ['enabled', 'pausedUntil', 'captureRules', 'excludedConversations'];
+
+// context: { url, incognito }; settings: the EXCLUSION_SETTINGS values.
+// Returns a CAPTURE_BLOCK_REASONS key, or null when the message may be stored
+export function getCaptureBlock(context, settings = {}) {
+  if (settings.enabled === false) return 'disabled';
+  if (settings.pausedUntil > Date.now()) return 'paused';
+  if (context.incognito) return 'incognito';
+  if (isTemporaryChat(context.url)) return 'temporary';
+
+  const conversationId = extractConversationId(context.url);
+  if (conversationId && settings.excludedConversations?.[conversationId]) return 'conversation';
+
+  if (!isAllowedByRules(context.url, settings.captureRules)) return 'rule';
+  return null;
+}
+
+// rule: { action: 'allow' | 'deny', site, pattern }. Throws with a message for the user
+export function validateCaptureRule(rule) {
+  if (!CAPTURE_RULE_ACTIONS[rule?.action]) throw new Error('Choose whether to capture or not');
+  if (!rule.site && !rule.pattern?.trim()) throw new Error('Choose a site or enter a URL pattern');
+  if (rule.site && !SITE_ADAPTERS[rule.site]) throw new Error(`Unknown site "${rule.site}"`);
+}
+
+// Deny rules always win; once there is an allow rule, only what it matches is captured
+function isAllowedByRules(url, rules = []) {
+  const matching = rules.filter(rule => ruleMatches(rule, url));
+  if (matching.some(rule => rule.action === 'deny')) return false;
+  return !rules.some(rule => rule.action === 'allow') || matching.length > 0;
+}
+
+function ruleMatches(rule, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  if (rule.site && findAdapter(parsed.hostname)?.id !== rule.site) return false;
+  return !rule.pattern?.trim() || matchesUrlPattern(parsed, rule.pattern.trim());
+}
+
+// Matches from the start of the URL, `*` standing for anything; patterns
+// without a scheme start at the host, so "chatgpt.com/g/" covers every GPT
+function matchesUrlPattern(parsed, pattern) {
+  const target = pattern.includes('://') ? parsed.href : parsed.href.slice(parsed.protocol.length + 2);
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}`, 'i').test(target);
+}
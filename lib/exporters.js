@@ -0,0 +1,210 @@
+// Export formats for Kit Memory Extension
+// Turn memories into downloadable files; expects memories oldest first
+
+import { MessageParser } from './parser.js';
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  html: { extension: 'html', mimeType: 'text/html' },
+  zip: { extension: 'zip', mimeType: 'application/zip' }
+};
+
+// Returns { filename, mimeType, data } where data is a string or Uint8Array
+export function buildExport(memories, format = 'json') {
+  const { extension, mimeType } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  const parser = new MessageParser();
+  let data;
+
+  switch (format) {
+    case 'jsonl':
+      data = memories.map(memory => JSON.stringify(memory)).join('\n') + '\n';
+      break;
+    case 'markdown':
+      data = parser.createSummary(memories);
+      break;
+    case 'html':
+      data = createTranscript(memories, parser);
+      break;
+    case 'zip':
+      data = createArchive(memories, parser);
+      break;
+    default:
+      data = JSON.stringify(memories, null, 2);
+  }
+
+  return {
+    filename: `kit-memories-${new Date().toISOString().split('T')[0]}.${extension}`,
+    mimeType,
+    data
+  };
+}
+
+// Self-contained page: inline styles, no scripts
+function createTranscript(memories, parser) {
+  const grouped = parser.groupByConversation(memories);
+  let body = '';
+
+  for (const [convId, convMemories] of Object.entries(grouped)) {
+    const title = convMemories[0].metadata?.title || `Conversation from ${new Date(convMemories[0].created_at).toLocaleDateString()}`;
+    body += `<section>\n<h2>${escapeHtml(title)}</h2>\n<p class="meta">${escapeHtml(convMemories[0].site || '')} · ${escapeHtml(convId)}</p>\n`;
+
+    for (const memory of convMemories) {
+      const formatted = parser.formatMemory(memory);
+      body += `<article class="${memory.role === 'user' ? 'user' : 'assistant'}">\n`;
+      body += `<h3>${escapeHtml(formatted.header)}</h3>\n<pre>${escapeHtml(formatted.content)}</pre>\n</article>\n`;
+    }
+
+    body += '</section>\n';
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Kit Memory Export</title>
+<style>
+body { max-width: 800px; margin: 0 auto; padding: 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #202124; }
+section { margin-bottom: 32px; }
+h2 { font-size: 18px; margin-bottom: 4px; }
+h3 { font-size: 13px; color: #5f6368; margin: 0 0 4px; }
+.meta { font-size: 12px; color: #9aa0a6; margin-top: 0; }
+article { padding: 12px; margin-bottom: 8px; border-radius: 8px; background: #f8f9fa; }
+article.user { background: #e6f4ea; }
+pre { margin: 0; white-space: pre-wrap; word-wrap: break-word; font-family: inherit; }
+</style>
+</head>
+<body>
+<h1>Kit Memory Export</h1>
+${body}</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One Markdown file per conversation
+function createArchive(memories, parser) {
+  const grouped = parser.groupByConversation(memories);
+  const used = new Set();
+  const files = [];
+
+  for (const [convId, convMemories] of Object.entries(grouped)) {
+    const date = (convMemories[0].created_at || '').split('T')[0];
+    const base = [convMemories[0].site, date, convId]
+      .filter(Boolean)
+      .join('-')
+      .replace(/[^a-zA-Z0-9._-]+/g, '_');
+
+    let name = `${base}.md`;
+    for (let n = 2; used.has(name); n++) {
+      name = `${base}-${n}.md`;
+    }
+    used.add(name);
+
+    files.push({ name, data: parser.createSummary(convMemories) });
+  }
+
+  return createZip(files);
+}
+
+// Minimal ZIP writer: stored entries, UTF-8 names
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+function toDosDateTime(now) {
+  return {
+    time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+    date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+  };
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
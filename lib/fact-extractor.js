@@ -0,0 +1,71 @@
+// Rule-based fact extraction for Kit Memory Extension
+// Spots durable first-person statements in the user's own messages
+
+// `key` marks facts that hold one value at a time, so a newer one replaces
+// the older; facts without a key can pile up
+const FACT_RULES = [
+  { kind: 'name', key: 'name', pattern: /\bmy name is\b/i },
+  { kind: 'employer', key: 'employer', pattern: /\bI (?:work|am working) (?:at|for)\b/i },
+  { kind: 'project', key: 'project', pattern: /\bI(?:'m| am) (?:currently |now )?working on\b/i },
+  { kind: 'stack', key: 'stack', pattern: /\b(?:our|my) (?:tech )?stack is\b/i },
+  { kind: 'deadline', key: 'deadline', pattern: /\b(?:our|my|the) deadline is\b/i },
+  { kind: 'decision', pattern: /\bwe(?:'ve| have)? decided\b/i },
+  { kind: 'preference', pattern: /\bI (?:prefer|always use|like to use)\b/i }
+];
+
+// Statements that aren't claims about the user
+const HYPOTHETICAL = /\b(?:if|when|whether|suppose|pretend|imagine|unless)\b/i;
+
+const MIN_FACT_LENGTH = 12;
+const MAX_FACT_LENGTH = 160;
+
+// Returns [{ kind, key, content }], content in the user's own words
+export function extractFacts(text) {
+  const facts = [];
+
+  for (const sentence of splitSentences(text)) {
+    if (sentence.endsWith('?')) continue;
+
+    for (const rule of FACT_RULES) {
+      const match = sentence.match(rule.pattern);
+      if (!match || HYPOTHETICAL.test(sentence.substring(0, match.index))) continue;
+
+      const content = toStatement(sentence.substring(match.index), rule.kind);
+      if (content) facts.push({ kind: rule.kind, key: rule.key || null, content });
+      break;
+    }
+  }
+
+  return facts;
+}
+
+// Case, punctuation and spacing don't make a fact new
+export function normalizeFact(content) {
+  return content
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function splitSentences(text) {
+  return (text || '')
+    .replace(/```[\s\S]*?```/g, '\n')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function toStatement(clause, kind) {
+  let statement = clause.replace(/[\s.!,;:]+$/, '');
+
+  // Names stop at the name: "my name is Sam and I..." keeps "Sam"
+  if (kind === 'name') {
+    const name = statement.match(/^[Mm]y name is (\p{Lu}[\p{L}'-]*(?: \p{Lu}[\p{L}'-]*)?|[\p{L}'-]+)/u);
+    if (!name) return null;
+    statement = `My name is ${name[1]}`;
+  }
+
+  if (statement.length < MIN_FACT_LENGTH || statement.length > MAX_FACT_LENGTH) return null;
+  return statement.charAt(0).toUpperCase() + statement.substring(1);
+}
@@ -0,0 +1,71 @@
+// Pinned facts for Kit Memory Extension
+// Short facts kept on the device and injected ahead of retrieved memories,
+// optionally only on one site or for one project. Facts Kit extracts itself
+// start out 'pending' and are only used once the user approves them
+
+import { openDatabase, promisifyRequest, withTransaction } from './db.js';
+
+export class FactStore {
+  constructor(dbName) {
+    this.dbName = dbName;
+  }
+
+  async listFacts(userId) {
+    const db = await openDatabase(this.dbName);
+    const store = db.transaction('facts', 'readonly').objectStore('facts');
+    const facts = await promisifyRequest(store.index('user_id').getAll(userId));
+    return facts.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  async getFact(userId, id) {
+    const db = await openDatabase(this.dbName);
+    const store = db.transaction('facts', 'readonly').objectStore('facts');
+    const fact = await promisifyRequest(store.get(id));
+    return fact?.user_id === userId ? fact : null;
+  }
+
+  // Creates the fact, or merges the given fields into it when it has an id
+  async saveFact(fact) {
+    const now = new Date().toISOString();
+    const existing = fact.id ? await this.getFact(fact.user_id, fact.id) : null;
+    if (fact.id && !existing) throw new Error('Fact not found');
+    const changes = Object.fromEntries(Object.entries(fact).filter(([, value]) => value !== undefined));
+
+    const record = {
+      site: null,
+      project: null,
+      status: 'active',
+      created_at: now,
+      ...existing,
+      ...changes,
+      id: fact.id || crypto.randomUUID(),
+      updated_at: now
+    };
+
+    await withTransaction(this.dbName, 'facts', 'readwrite', store => store.put(record));
+    return record;
+  }
+
+  async deleteFact(userId, id) {
+    if (!await this.getFact(userId, id)) return false;
+
+    await withTransaction(this.dbName, 'facts', 'readwrite', facts => facts.delete(id));
+    return true;
+  }
+}
+
+// A project applies when the prompt or the page URL mentions it
+export function factApplies(fact, context = {}) {
+  if (!isActiveFact(fact)) return false;
+  if (fact.site && context.site && fact.site !== context.site) return false;
+  if (!fact.project) return true;
+
+  const project = fact.project.toLowerCase();
+  return (context.query || '').toLowerCase().includes(project)
+    || (context.url || '').toLowerCase().includes(project);
+}
+
+// Facts saved before review existed have no status
+export function isActiveFact(fact) {
+  return !fact.status || fact.status === 'active';
+}
@@ -0,0 +1,171 @@
+// Conversation history importers for Kit Memory Extension
+// Turn platform data exports into Kit's memory shape
+
+// ChatGPT's conversations.json: one object per conversation, each with a
+// `mapping` of message nodes linked by parent/children ids
+export function parseChatGPTExport(data) {
+  const conversations = Array.isArray(data) ? data : [data];
+  const memories = [];
+
+  for (const conversation of conversations) {
+    if (!conversation?.mapping) continue;
+    memories.push(...parseChatGPTConversation(conversation));
+  }
+
+  return memories;
+}
+
+function parseChatGPTConversation(conversation) {
+  const mapping = conversation.mapping;
+  const conversationId = conversation.conversation_id || conversation.id;
+  const activePath = getActivePath(mapping, conversation.current_node);
+  const memories = [];
+
+  // Walk every branch, not just the one the user last looked at. A node's
+  // turn is the number of messages shown above it on its branch, as the
+  // content script numbers them on the page
+  const roots = Object.values(mapping).filter(node => !node.parent || !mapping[node.parent]);
+  const stack = [...roots].reverse().map(node => [node, 0]);
+
+  while (stack.length > 0) {
+    const [node, turn] = stack.pop();
+    const memory = chatGPTNodeToMemory(node, conversation, conversationId, activePath, turn);
+    if (memory) memories.push(memory);
+
+    const children = (node.children || []).map(id => mapping[id]).filter(Boolean);
+    stack.push(...children.reverse().map(child => [child, memory ? turn + 1 : turn]));
+  }
+
+  return memories;
+}
+
+function getActivePath(mapping, currentNode) {
+  const path = new Set();
+  let nodeId = currentNode;
+
+  while (nodeId && mapping[nodeId] && !path.has(nodeId)) {
+    path.add(nodeId);
+    nodeId = mapping[nodeId].parent;
+  }
+
+  return path;
+}
+
+function chatGPTNodeToMemory(node, conversation, conversationId, activePath, turn) {
+  const message = node.message;
+  const role = message?.author?.role;
+  if (role !== 'user' && role !== 'assistant') return null;
+  if (message.metadata?.is_visually_hidden_from_conversation) return null;
+
+  const content = extractChatGPTText(message.content).trim();
+  if (!content) return null;
+
+  const createdAt = message.create_time || conversation.create_time;
+
+  return {
+    role,
+    content,
+    site: 'chatgpt',
+    conversation_id: conversationId,
+    created_at: createdAt ? new Date(createdAt * 1000).toISOString() : new Date().toISOString(),
+    metadata: {
+      source: 'chatgpt-export',
+      title: conversation.title || null,
+      message_id: message.id || node.id,
+      parent_id: node.parent || null,
+      turn,
+      active_branch: activePath.has(node.id),
+      model: message.metadata?.model_slug || null
+    }
+  };
+}
+
+function extractChatGPTText(content) {
+  if (!content) return '';
+
+  switch (content.content_type) {
+    case 'text':
+    case 'multimodal_text':
+      // Non-string parts are images and other attachments
+      return (content.parts || []).filter(part => typeof part === 'string').join('\n');
+    case 'code':
+      return content.text ? `\`\`\`${content.language || ''}\n${content.text}\n\`\`\`` : '';
+    default:
+      return typeof content.text === 'string' ? content.text : '';
+  }
+}
+
+// Claude's conversations.json: one object per conversation with its
+// `chat_messages` in order; `uuid` matches the /chat/<id> URL
+export function parseClaudeExport(data) {
+  const conversations = Array.isArray(data) ? data : [data];
+  const memories = [];
+
+  for (const conversation of conversations) {
+    if (!Array.isArray(conversation?.chat_messages)) continue;
+
+    // Turns follow the parent chain, or the order of messages when the parent isn't known
+    const turns = new Map();
+    for (const message of conversation.chat_messages) {
+      const parentTurn = turns.get(message.parent_message_uuid);
+      const memory = claudeMessageToMemory(message, conversation, parentTurn === undefined ? turns.size : parentTurn + 1);
+      if (memory) {
+        memories.push(memory);
+        turns.set(message.uuid, memory.metadata.turn);
+      }
+    }
+  }
+
+  return memories;
+}
+
+const CLAUDE_ROLES = {
+  human: 'user',
+  assistant: 'assistant'
+};
+
+function claudeMessageToMemory(message, conversation, turn) {
+  const role = CLAUDE_ROLES[message.sender];
+  if (!role) return null;
+
+  const content = extractClaudeText(message).trim();
+  if (!content) return null;
+
+  const createdAt = message.created_at || conversation.created_at;
+
+  return {
+    role,
+    content,
+    site: 'claude',
+    conversation_id: conversation.uuid,
+    created_at: createdAt ? new Date(createdAt).toISOString() : new Date().toISOString(),
+    metadata: {
+      source: 'claude-export',
+      title: conversation.name || null,
+      message_id: message.uuid,
+      parent_id: message.parent_message_uuid || null,
+      turn
+    }
+  };
+}
+
+function extractClaudeText(message) {
+  // Older exports only have `text`; newer ones split it into content blocks
+  if (!Array.isArray(message.content) || message.content.length === 0) {
+    return message.text || '';
+  }
+
+  return message.content
+    .filter(block => block.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('\n');
+}
+
+// Keys used to spot a message Kit already holds: the platform message id,
+// and the content for memories captured live before ids were recorded
+export function importKeys(memory) {
+  const keys = [`content:${memory.conversation_id}:${memory.role}:${memory.content.substring(0, 100)}`];
+  const messageId = memory.metadata?.message_id;
+  if (messageId) keys.push(`id:${messageId}`);
+  return keys;
+}
@@ -0,0 +1,200 @@
+// Local inverted index with BM25 ranking for Kit Memory Extension
+// Terms are stopword-filtered and stemmed; quoted phrases must match in order
+
+import { openDatabase, promisifyRequest, matchesFilters } from './db.js';
+import { analyze } from './text.js';
+
+// Standard BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+export function parseQuery(query) {
+  const phrases = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+
+  while ((match = phrasePattern.exec(query))) {
+    const phrase = analyze(match[1]);
+    if (phrase.length > 1) phrases.push(phrase);
+  }
+
+  return {
+    terms: analyze(query.replace(/"/g, ' ')),
+    phrases
+  };
+}
+
+export class KeywordIndex {
+  constructor(dbName) {
+    this.dbName = dbName;
+  }
+
+  async transaction(mode, callback) {
+    const db = await openDatabase(this.dbName);
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['terms', 'documents'], mode);
+      callback(tx.objectStore('terms'), tx.objectStore('documents'));
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Read-modify-write one posting list inside an open transaction
+  updatePostings(terms, userId, term, mutate) {
+    const request = terms.get([userId, term]);
+
+    request.onsuccess = () => {
+      const record = request.result || { user_id: userId, term, postings: {} };
+      mutate(record.postings);
+
+      if (Object.keys(record.postings).length === 0) {
+        terms.delete([userId, term]);
+      } else {
+        terms.put(record);
+      }
+    };
+  }
+
+  async addMemory(memory) {
+    const tokens = analyze(memory.content || '');
+    const positions = {};
+    tokens.forEach((token, index) => {
+      (positions[token] = positions[token] || []).push(index);
+    });
+
+    await this.transaction('readwrite', (terms, documents) => {
+      const existing = documents.get(memory.id);
+
+      existing.onsuccess = () => {
+        // Re-indexing an edited memory drops terms it no longer contains
+        const stale = (existing.result?.terms || []).filter(term => !positions[term]);
+        stale.forEach(term => {
+          this.updatePostings(terms, memory.user_id, term, postings => {
+            delete postings[memory.id];
+          });
+        });
+
+        for (const [term, termPositions] of Object.entries(positions)) {
+          this.updatePostings(terms, memory.user_id, term, postings => {
+            postings[memory.id] = termPositions;
+          });
+        }
+
+        documents.put({
+          id: memory.id,
+          user_id: memory.user_id,
+          conversation_id: memory.conversation_id,
+          tier: memory.tier || 'hot',
+          created_at: memory.created_at || new Date().toISOString(),
+          length: tokens.length,
+          terms: Object.keys(positions)
+        });
+      };
+    });
+  }
+
+  async getUserDocuments(userId) {
+    const db = await openDatabase(this.dbName);
+    const documents = db.transaction('documents', 'readonly').objectStore('documents');
+    return await promisifyRequest(documents.index('user_id').getAll(userId));
+  }
+
+  async getIndexedIds(userId) {
+    const documents = await this.getUserDocuments(userId);
+    return new Set(documents.map(d => d.id));
+  }
+
+  async removeDocuments(userId, ids) {
+    await this.transaction('readwrite', (terms, documents) => {
+      ids.forEach(id => {
+        const request = documents.get(id);
+
+        request.onsuccess = () => {
+          if (!request.result) return;
+
+          request.result.terms.forEach(term => {
+            this.updatePostings(terms, userId, term, postings => {
+              delete postings[id];
+            });
+          });
+          documents.delete(id);
+        };
+      });
+    });
+  }
+
+  async deleteMemories(userId, options = {}) {
+    const documents = await this.getUserDocuments(userId);
+    const doomed = documents.filter(d => matchesFilters(d, options));
+    await this.removeDocuments(userId, doomed.map(d => d.id));
+  }
+
+  // BM25-ranked documents for the query, best first. Pass `tier` to rank
+  // within one tier; its documents are the collection BM25 is computed over
+  async search(userId, query, options = {}) {
+    const { terms: queryTerms, phrases } = parseQuery(query || '');
+    if (queryTerms.length === 0) return [];
+
+    const uniqueTerms = [...new Set(queryTerms)];
+    const db = await openDatabase(this.dbName);
+    const tx = db.transaction(['terms', 'documents'], 'readonly');
+
+    // Issue every read before awaiting so the transaction stays alive
+    const documentsRequest = promisifyRequest(
+      tx.objectStore('documents').index('user_id').getAll(userId)
+    );
+    const termRequests = uniqueTerms.map(term =>
+      promisifyRequest(tx.objectStore('terms').get([userId, term]))
+    );
+
+    const documents = (await documentsRequest).filter(d => matchesFilters(d, { tier: options.tier }));
+    const records = await Promise.all(termRequests);
+    if (documents.length === 0) return [];
+
+    const documentMap = new Map(documents.map(d => [d.id, d]));
+    const totalLength = documents.reduce((sum, d) => sum + d.length, 0);
+    const averageLength = totalLength / documents.length || 1;
+    const postingsByTerm = new Map();
+    const scores = new Map();
+
+    records.forEach((record, index) => {
+      if (!record) return;
+      postingsByTerm.set(uniqueTerms[index], record.postings);
+
+      const docIds = Object.keys(record.postings).filter(docId => documentMap.has(docId));
+      const idf = Math.log(1 + (documents.length - docIds.length + 0.5) / (docIds.length + 0.5));
+
+      for (const docId of docIds) {
+        const tf = record.postings[docId].length;
+        const length = documentMap.get(docId).length;
+        const weight = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / averageLength));
+        scores.set(docId, (scores.get(docId) || 0) + weight);
+      }
+    });
+
+    return [...scores.entries()]
+      .filter(([docId]) => phrases.every(phrase => this.matchesPhrase(docId, phrase, postingsByTerm)))
+      .map(([docId, score]) => ({
+        id: docId,
+        conversation_id: documentMap.get(docId).conversation_id,
+        tier: documentMap.get(docId).tier || 'hot',
+        created_at: documentMap.get(docId).created_at,
+        score
+      }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, options.limit || 20);
+  }
+
+  // True when the phrase terms appear at consecutive positions
+  matchesPhrase(docId, phrase, postingsByTerm) {
+    const positionLists = phrase.map(term => postingsByTerm.get(term)?.[docId]);
+    if (positionLists.some(list => !list)) return false;
+
+    return positionLists[0].some(start =>
+      positionLists.every((list, offset) => list.includes(start + offset))
+    );
+  }
+}
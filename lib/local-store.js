@@ -0,0 +1,192 @@
+// Local IndexedDB storage for Kit Memory Extension
+// Implements the same surface as SupabaseClient so either can back MemoryManager
+
+import { openDatabase, promisifyRequest, withTransaction, matchesFilters } from './db.js';
+
+// Rows from before tiering count as HOT
+function inTier(record, tier) {
+  return !tier || (record.tier || 'hot') === tier;
+}
+
+export class LocalStore {
+  constructor(dbName) {
+    this.dbName = dbName;
+  }
+
+  async objectStore(mode = 'readonly') {
+    const db = await openDatabase(this.dbName);
+    return db.transaction('memories', mode).objectStore('memories');
+  }
+
+  async transaction(mode, callback) {
+    return await withTransaction(this.dbName, 'memories', mode, callback);
+  }
+
+  async getUserMemories(userId) {
+    const store = await this.objectStore();
+    return await promisifyRequest(store.index('user_id').getAll(userId));
+  }
+
+  // Memories in one tier; rows from before tiering count as HOT
+  async getTierMemories(userId, tier = 'hot') {
+    const memories = await this.getUserMemories(userId);
+    return memories.filter(m => matchesFilters(m, { tier }));
+  }
+
+  async storeMemory(memory) {
+    try {
+      const record = {
+        id: memory.id || crypto.randomUUID(),
+        ...memory,
+        created_at: memory.created_at || new Date().toISOString()
+      };
+
+      await this.transaction('readwrite', store => store.put(record));
+      return record;
+    } catch (error) {
+      console.error('Local store memory error:', error);
+      throw error;
+    }
+  }
+
+  // Like Supabase, which keeps each tier in its own table, only a row in
+  // options.tier is updated
+  async updateMemory(id, changes, options = {}) {
+    try {
+      const db = await openDatabase(this.dbName);
+
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction('memories', 'readwrite');
+        const store = tx.objectStore('memories');
+        const request = store.get(id);
+        let updated = null;
+
+        request.onsuccess = () => {
+          if (!request.result || !inTier(request.result, options.tier)) return;
+          updated = { ...request.result, ...changes };
+          store.put(updated);
+        };
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (error) {
+      console.error('Local update memory error:', error);
+      throw error;
+    }
+  }
+
+  async updateMemories(userId, ids, changes, options = {}) {
+    try {
+      const db = await openDatabase(this.dbName);
+
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction('memories', 'readwrite');
+        const store = tx.objectStore('memories');
+        const updated = [];
+
+        ids.forEach(id => {
+          const request = store.get(id);
+
+          request.onsuccess = () => {
+            if (request.result?.user_id !== userId || !inTier(request.result, options.tier)) return;
+            const record = { ...request.result, ...changes };
+            store.put(record);
+            updated.push(record);
+          };
+        });
+
+        tx.oncomplete = () => resolve(updated);
+        tx.onerror = () => reject(tx.error);
+      });
+    } catch (error) {
+      console.error('Local update memories error:', error);
+      throw error;
+    }
+  }
+
+  async getMemoriesByIds(userId, ids, options = {}) {
+    try {
+      const store = await this.objectStore();
+      const memories = await Promise.all(ids.map(id => promisifyRequest(store.get(id))));
+      return memories.filter(m => m && m.user_id === userId && matchesFilters(m, options));
+    } catch (error) {
+      console.error('Local get memories error:', error);
+      return [];
+    }
+  }
+
+  async searchMemories(userId, query, options = {}) {
+    try {
+      let memories = await this.getTierMemories(userId, options.tier);
+
+      if (options.conversation_id) {
+        memories = memories.filter(m => m.conversation_id === options.conversation_id);
+      }
+
+      // Same semantics as the ilike filter used against Supabase
+      if (query) {
+        const needle = query.toLowerCase();
+        memories = memories.filter(m => m.content.toLowerCase().includes(needle));
+      }
+
+      return this.sortByRecency(memories).slice(0, options.limit || 5);
+    } catch (error) {
+      console.error('Local search memories error:', error);
+      return [];
+    }
+  }
+
+  // Oldest first, for migration between tiers
+  async listMemories(userId, options = {}) {
+    try {
+      const memories = await this.getUserMemories(userId);
+      return this.sortByRecency(memories.filter(m => matchesFilters(m, { ...options, tier: options.tier || 'hot' })))
+        .reverse()
+        .slice(0, options.limit || 100);
+    } catch (error) {
+      console.error('Local list memories error:', error);
+      return [];
+    }
+  }
+
+  async deleteMemories(userId, options = {}) {
+    try {
+      const memories = await this.getUserMemories(userId);
+      const doomed = memories.filter(m => matchesFilters(m, { ...options, tier: options.tier || 'hot' }));
+
+      await this.transaction('readwrite', store => {
+        doomed.forEach(m => store.delete(m.id));
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Local delete memories error:', error);
+      throw error;
+    }
+  }
+
+  async getMemoryCount(userId, options = {}) {
+    try {
+      const memories = await this.getTierMemories(userId, options.tier);
+      return memories.length;
+    } catch (error) {
+      console.error('Local get count error:', error);
+      return 0;
+    }
+  }
+
+  async exportMemories(userId, options = {}) {
+    try {
+      const memories = await this.getUserMemories(userId);
+      return this.sortByRecency(memories.filter(m => matchesFilters(m, { ...options, tier: options.tier || 'hot' })));
+    } catch (error) {
+      console.error('Local export error:', error);
+      throw error;
+    }
+  }
+
+  sortByRecency(memories) {
+    return memories.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+}
@@ -1,8 +1,41 @@
 // Memory management module for Kit Memory Extension
 
+import { embedText } from './embeddings.js';
+import { matchesQuery } from './text.js';
+import { compressMemory, decompressMemory } from './compression.js';
+import { MEMORY_TIERS } from './storage.js';
+import { importKeys } from './importers.js';
+import { factApplies } from './facts.js';
+import { extractFacts, normalizeFact } from './fact-extractor.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score multiplier for versions replaced by an edit or regeneration
+const SUPERSEDED_WEIGHT = 0.5;
+
+// Share of the token budget held back for pinned facts; unused share goes to memories
+const FACT_BUDGET_SHARE = 0.25;
+
+// How long each tier may take before its results are dropped
+const TIER_BUDGETS_MS = {
+  hot: 1500,
+  warm: 1000,
+  cold: 5000
+};
+
+// Works with any storage backend from lib/storage.js
 export class MemoryManager {
-  constructor(supabaseClient) {
-    this.supabase = supabaseClient;
+  constructor(store, options = {}) {
+    this.store = store;
+    this.vectorIndex = options.vectorIndex || null;
+    this.keywordIndex = options.keywordIndex || null;
+    this.factStore = options.factStore || null;
+    this.recencyWeight = options.recencyWeight ?? 0.2;
+    this.recencyHalfLifeDays = 30;
+    this.migrationBatchSize = 100;
+    this.importKeyCache = null;
+    // Searches dropped for running past their tier's budget, reported in getStats
+    this.searchTimeouts = { hot: 0, warm: 0, cold: 0 };
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
@@ -26,7 +59,152 @@ export class MemoryManager {
       token_count: this.estimateTokens(memory.content)
     };
     
-    return await this.supabase.storeMemory(enrichedMemory);
+    const stored = await this.store.storeMemory(enrichedMemory);
+    
+    // Index at store time so search never waits on it
+    if (stored?.id) {
+      await this.indexMemory({ ...enrichedMemory, ...stored });
+    }
+    
+    return stored;
+  }
+
+  // Messages read from the page carry their turn number. A turn Kit already
+  // holds is a duplicate; a new version of it (an edit or regeneration)
+  // supersedes the old version and every later turn of the old branch, which
+  // stay searchable at a lower rank. Returns { duplicate, id, memory }
+  async storeTurn(memory) {
+    const { turn, message_id: messageId } = memory.metadata;
+    const rows = await this.store.exportMemories(memory.user_id, { conversation_id: memory.conversation_id });
+    
+    const same = rows.find(row => (messageId && row.metadata?.message_id === messageId)
+      || (row.metadata?.turn === turn && row.role === memory.role && row.content === memory.content));
+    if (same && !same.superseded_at) {
+      return { duplicate: true, id: same.id };
+    }
+    
+    let stored = same;
+    if (same) {
+      // The user switched back to an older branch
+      await this.store.updateMemory(same.id, { superseded_at: null }, { tier: 'hot' });
+    } else {
+      stored = await this.storeMemory(memory);
+    }
+    
+    // Same-turn rows of the other role are left alone, in case a sent
+    // message was numbered before the page showed it
+    const replaced = rows.filter(row => row.id !== stored?.id
+      && !row.superseded_at
+      && (row.metadata?.turn > turn || (row.metadata?.turn === turn && row.role === memory.role)));
+    if (replaced.length > 0) {
+      await this.store.updateMemories(memory.user_id, replaced.map(row => row.id), {
+        superseded_at: new Date().toISOString()
+      }, { tier: 'hot' });
+    }
+    
+    this.clearUserCache(memory.user_id);
+    return { duplicate: Boolean(same), id: stored?.id, memory: stored };
+  }
+
+  // Artifacts and attachments are keyed by kind and name within their
+  // conversation; a changed artifact replaces the content of its row and
+  // moves to the turn it was last seen on. Returns { duplicate, id, memory }
+  async storeItem(memory) {
+    const rows = await this.store.exportMemories(memory.user_id, { conversation_id: memory.conversation_id });
+    const same = rows.find(row => row.kind === memory.kind && row.metadata?.name === memory.metadata.name);
+    
+    if (!same) {
+      const stored = await this.storeMemory(memory);
+      return { duplicate: false, id: stored?.id, memory: stored };
+    }
+    if (same.content === memory.content) {
+      return { duplicate: true, id: same.id };
+    }
+    
+    // Seen again, so it belongs to the branch showing now
+    await this.store.updateMemory(same.id, {
+      metadata: { ...same.metadata, ...memory.metadata },
+      superseded_at: null
+    }, { tier: 'hot' });
+    const updated = await this.updateMemory(memory.user_id, same.id, memory.content, 'hot');
+    return { duplicate: false, id: same.id, memory: updated };
+  }
+
+  async indexMemory(memory) {
+    for (const index of this.getIndexes()) {
+      try {
+        await index.addMemory(memory);
+      } catch (error) {
+        console.error('Search index error:', error);
+      }
+    }
+  }
+
+  getIndexes() {
+    return [this.vectorIndex, this.keywordIndex].filter(Boolean);
+  }
+
+  // Index memories stored before the local search indexes existed, or
+  // moved to WARM or COLD before those tiers were indexed
+  async backfillIndexes(userId) {
+    const indexes = this.getIndexes();
+    if (indexes.length === 0) return 0;
+    
+    const memories = await this.exportMemories(userId);
+    let indexedCount = 0;
+    
+    for (const index of indexes) {
+      const indexed = await index.getIndexedIds(userId);
+      const missing = memories.filter(m => m.id && !indexed.has(m.id));
+      
+      for (const memory of missing) {
+        await index.addMemory(memory);
+      }
+      indexedCount = Math.max(indexedCount, missing.length);
+    }
+    
+    return indexedCount;
+  }
+
+  // Store imported history, skipping messages Kit already has
+  async importMemories(userId, memories) {
+    const known = await this.getImportKeys(userId);
+    let imported = 0;
+    let duplicates = 0;
+    
+    for (const memory of memories) {
+      const keys = importKeys(memory);
+      if (keys.some(key => known.has(key))) {
+        duplicates++;
+        continue;
+      }
+      
+      // Old imports reach WARM and COLD through the daily migration
+      await this.storeMemory({ ...memory, user_id: userId });
+      keys.forEach(key => known.add(key));
+      imported++;
+    }
+    
+    return { imported, duplicates };
+  }
+
+  // Built once per import run; imports arrive in many small batches
+  async getImportKeys(userId) {
+    const cached = this.importKeyCache;
+    if (cached?.userId === userId && Date.now() - cached.builtAt < this.cacheTimeout) {
+      return cached.keys;
+    }
+    
+    const keys = new Set();
+    for (const tier of ['hot', 'warm']) {
+      const memories = await this.store.exportMemories(userId, { tier });
+      for (const memory of memories) {
+        importKeys(tier === 'hot' ? memory : await decompressMemory(memory)).forEach(key => keys.add(key));
+      }
+    }
+    
+    this.importKeyCache = { userId, keys, builtAt: Date.now() };
+    return keys;
   }
 
   async searchMemories(userId, query, options = {}) {
@@ -39,23 +217,39 @@ export class MemoryManager {
     // Search strategy based on query
     let memories = [];
     
+    // Conversations the user asked Kit not to remember are never recalled
+    const excluded = new Set(options.excludeConversations || []);
+    
     // 1. Check if this is a conversation continuation
-    const conversationId = this.extractConversationContext(query);
-    if (conversationId) {
+    const conversationId = this.extractConversationContext(query, options.conversationId);
+    if (conversationId && !excluded.has(conversationId)) {
       memories = await this.getConversationMemories(userId, conversationId);
     }
     
-    // 2. If no conversation context or not enough memories, do semantic search
+    // 2. If no conversation context or not enough memories, search HOT by keyword and meaning
     if (memories.length < 3) {
-      const searchResults = await this.semanticSearch(userId, query, options);
-      memories = [...memories, ...searchResults];
+      memories = [...memories, ...await this.withinBudget('hot', options, this.searchTier(userId, query, 'hot', options))];
     }
+    memories = memories.map(m => ({ ...m, tier: 'hot' }));
     
-    // 3. Deduplicate and sort by relevance
-    memories = this.deduplicateAndSort(memories, query);
+    // 3. WARM only when HOT has no matches; archive mode also searches COLD summaries
+    if (memories.length === 0 || options.includeArchive) {
+      memories.push(...await this.withinBudget('warm', options, this.searchTier(userId, query, 'warm', options)));
+    }
+    if (options.includeArchive) {
+      memories.push(...await this.withinBudget('cold', options, this.searchTier(userId, query, 'cold', options)));
+    }
+    
+    memories = memories.filter(memory => !excluded.has(memory.conversation_id));
+    
+    // 4. Deduplicate and sort by relevance
+    memories = this.deduplicateAndSort(memories, query, options.conversationId);
     
-    // 4. Apply token budget
-    memories = this.applyTokenBudget(memories, options.maxTokens || 2000);
+    // 5. Pinned facts go first, then memories in the rest of the token budget
+    const maxTokens = options.maxTokens || 2000;
+    const facts = await this.getPinnedFacts(userId, { site: options.site, url: options.url, query }, Math.floor(maxTokens * FACT_BUDGET_SHARE));
+    const factTokens = facts.reduce((sum, fact) => sum + this.estimateTokens(fact.content), 0);
+    memories = [...facts, ...this.applyTokenBudget(memories, maxTokens - factTokens)];
     
     // Cache results
     this.addToCache(cacheKey, memories);
@@ -63,26 +257,401 @@ export class MemoryManager {
     return memories;
   }
 
+  // Facts that apply to this site, page and query, shaped like memories
+  async getPinnedFacts(userId, context, maxTokens) {
+    if (!this.factStore) return [];
+    
+    try {
+      const facts = (await this.factStore.listFacts(userId)).filter(fact => factApplies(fact, context));
+      
+      return this.applyTokenBudget(facts.map(fact => ({
+        id: fact.id,
+        role: 'fact',
+        content: fact.content,
+        site: fact.site,
+        project: fact.project,
+        conversation_id: 'pinned',
+        created_at: fact.updated_at,
+        tier: 'hot',
+        pinned: true
+      })), maxTokens);
+    } catch (error) {
+      console.error('Pinned facts error:', error);
+      return [];
+    }
+  }
+
+  async listFacts(userId) {
+    return this.factStore ? await this.factStore.listFacts(userId) : [];
+  }
+
+  // Cached searches hold the old facts
+  async saveFact(userId, fact) {
+    this.clearUserCache(userId);
+    return await this.factStore.saveFact({ ...fact, user_id: userId });
+  }
+
+  async deleteFact(userId, id) {
+    this.clearUserCache(userId);
+    return await this.factStore.deleteFact(userId, id);
+  }
+
+  // Facts found in a user message, saved as 'pending' with a link back to it
+  async suggestFacts(userId, memory) {
+    if (!this.factStore || memory.role !== 'user') return [];
+    
+    const candidates = extractFacts(memory.content);
+    if (candidates.length === 0) return [];
+    
+    // Rejected and superseded facts count too, so they aren't suggested again
+    const existing = await this.factStore.listFacts(userId);
+    const known = new Set(existing.map(fact => normalizeFact(fact.content)));
+    const suggested = [];
+    
+    for (const candidate of candidates) {
+      const normalized = normalizeFact(candidate.content);
+      if (known.has(normalized)) continue;
+      known.add(normalized);
+      
+      const fact = await this.factStore.saveFact({
+        user_id: userId,
+        content: candidate.content,
+        kind: candidate.kind,
+        key: candidate.key,
+        status: 'pending',
+        source: {
+          memory_id: memory.id || null,
+          conversation_id: memory.conversation_id,
+          site: memory.site,
+          created_at: memory.created_at || new Date().toISOString()
+        }
+      });
+      
+      // Only the newest suggestion for a one-value fact waits for review
+      await this.supersedeFacts(userId, fact, [...existing, ...suggested], ['pending']);
+      suggested.push(fact);
+    }
+    
+    return suggested;
+  }
+
+  // Approving a suggestion replaces the facts it contradicts; rejecting keeps
+  // it on file so the same statement isn't suggested again
+  async reviewFact(userId, id, approve) {
+    this.clearUserCache(userId);
+    
+    if (!approve) {
+      return await this.factStore.saveFact({ id, user_id: userId, status: 'rejected' });
+    }
+    
+    const fact = await this.factStore.saveFact({ id, user_id: userId, status: 'active' });
+    await this.supersedeFacts(userId, fact, await this.factStore.listFacts(userId), ['active', 'pending']);
+    return fact;
+  }
+
+  async supersedeFacts(userId, fact, facts, statuses) {
+    if (!fact.key) return;
+    
+    const older = facts.filter(other => other.id !== fact.id
+      && other.key === fact.key
+      && statuses.includes(other.status || 'active'));
+    
+    for (const other of older) {
+      await this.factStore.saveFact({ id: other.id, user_id: userId, status: 'superseded', superseded_by: fact.id });
+    }
+  }
+
+  // Resolve to [] if a tier's search runs past its latency budget
+  async withinBudget(tier, options, search) {
+    const budget = options.tierBudgets?.[tier] ?? TIER_BUDGETS_MS[tier];
+    let timer;
+    
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), budget);
+    });
+    
+    try {
+      const results = await Promise.race([search, timeout]);
+      if (results === null) {
+        this.searchTimeouts[tier]++;
+        console.warn(`Kit Memory: ${tier} tier search exceeded ${budget}ms; its results were dropped`);
+        return [];
+      }
+      return results;
+    } catch (error) {
+      console.error(`${tier} tier search error:`, error);
+      return [];
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Keyword and semantic matches within one tier, tagged with it
+  async searchTier(userId, query, tier, options) {
+    const tierOptions = { ...options, tier };
+    const keywordResults = await this.keywordSearch(userId, query, tierOptions);
+    const semanticResults = await this.semanticSearch(userId, query, tierOptions);
+    return [...keywordResults, ...semanticResults].map(memory => ({ ...memory, tier }));
+  }
+
+  // Active branch only
   async getConversationMemories(userId, conversationId) {
-    return await this.supabase.searchMemories(userId, null, {
+    const memories = await this.store.searchMemories(userId, null, {
       conversation_id: conversationId,
-      limit: 10
+      limit: 20
     });
+    return memories.filter(memory => !isSuperseded(memory)).slice(0, 10);
+  }
+
+  // `/kit conv <id|title>`: the latest turns of one conversation, from any tier.
+  // Excluded conversations are skipped before matching, so they can't hide another match
+  async recallConversation(userId, idOrTitle, options = {}) {
+    const { maxTokens = 2000, excludeConversations = [] } = options;
+    const excluded = new Set(excludeConversations);
+    const conversations = (await this.getRecallSuggestions(userId)).conversations
+      .filter(conversation => !excluded.has(conversation.id));
+    const needle = idOrTitle.trim().toLowerCase();
+    
+    const match = conversations.find(c => c.id === idOrTitle.trim())
+      || conversations.find(c => c.title?.toLowerCase() === needle)
+      || conversations.find(c => c.title?.toLowerCase().includes(needle));
+    if (!match) return [];
+    
+    const memories = (await this.exportMemories(userId, { conversation_id: match.id }))
+      .filter(memory => !isSuperseded(memory));
+    
+    // Newest turns get the budget, then back to reading order
+    return this.applyTokenBudget(memories.slice(-10).reverse(), maxTokens).reverse();
+  }
+
+  // Conversation titles and #tags for command autocomplete, most recent first
+  async getRecallSuggestions(userId) {
+    const cacheKey = `suggestions:${userId}`;
+    const cached = this.getFromCache(cacheKey);
+    if (cached) return cached;
+    
+    const conversations = new Map();
+    const tags = new Map();
+    
+    for (const memory of await this.exportMemories(userId)) {
+      const id = memory.conversation_id || 'default';
+      const entry = conversations.get(id) || { id, title: null, site: memory.site, lastActive: memory.created_at };
+      
+      // Imports carry the platform title; live captures fall back to the opening message
+      entry.title = memory.metadata?.title || entry.title
+        || (memory.role === 'user' && !memory.kind ? memory.content.replace(/\s+/g, ' ').trim().substring(0, 60) : null);
+      if (memory.created_at > entry.lastActive) entry.lastActive = memory.created_at;
+      conversations.set(id, entry);
+      
+      for (const tag of memory.content.match(/#\p{L}[\p{L}\p{N}_-]+/gu) || []) {
+        // Skip hex colours such as #fff
+        if (/^#[0-9a-f]{3,8}$/i.test(tag)) continue;
+        const key = tag.toLowerCase();
+        tags.set(key, (tags.get(key) || 0) + 1);
+      }
+    }
+    
+    const suggestions = {
+      conversations: [...conversations.values()]
+        .sort((a, b) => new Date(b.lastActive) - new Date(a.lastActive))
+        .slice(0, 200),
+      tags: [...tags.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 100)
+        .map(([tag]) => tag)
+    };
+    
+    this.addToCache(cacheKey, suggestions);
+    return suggestions;
+  }
+
+  async keywordSearch(userId, query, options) {
+    const limit = options.limit || 5;
+    const tier = options.tier || 'hot';
+    
+    if (!this.keywordIndex) {
+      // WARM and COLD content is compressed, so only the index can match it
+      if (tier !== 'hot') return [];
+      // Text search matches a single literal, so keep it short
+      return await this.store.searchMemories(userId, query.slice(0, 100), { limit });
+    }
+    
+    // Over-fetch so recency can reorder close matches
+    const hits = await this.keywordIndex.search(userId, query, { limit: limit * 4, tier });
+    if (hits.length === 0) return [];
+    
+    // BM25 is unbounded, so scale against the best hit before blending
+    const topScore = hits[0].score;
+    return await this.loadRankedHits(userId, hits.map(hit => ({
+      id: hit.id,
+      created_at: hit.created_at,
+      relevance: hit.score / topScore,
+      bm25: hit.score
+    })), limit, tier);
   }
 
   async semanticSearch(userId, query, options) {
-    // For MVP, use text search
-    // TODO: Implement vector embeddings
-    return await this.supabase.searchMemories(userId, query, options);
+    if (!this.vectorIndex) return [];
+    
+    const limit = options.limit || 5;
+    const tier = options.tier || 'hot';
+    const hits = await this.vectorIndex.search(userId, embedText(query), {
+      limit: limit * 4,
+      tier
+    });
+    
+    return await this.loadRankedHits(userId, hits.map(hit => ({
+      id: hit.id,
+      created_at: hit.created_at,
+      relevance: hit.similarity,
+      similarity: hit.similarity
+    })), limit, tier);
+  }
+
+  // Blend index hits with recency, keep the best, and fetch their content
+  // from the tier they were found in
+  async loadRankedHits(userId, hits, limit, tier = 'hot') {
+    if (hits.length === 0) return [];
+    
+    const ranked = hits
+      .map(({ relevance, ...hit }) => ({ ...hit, score: this.blendScore(relevance, hit.created_at) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    
+    const rows = await this.store.getMemoriesByIds(userId, ranked.map(hit => hit.id), { tier });
+    const memories = tier === 'hot' ? rows : await Promise.all(rows.map(row => decompressMemory(row)));
+    const byId = new Map(memories.map(m => [m.id, m]));
+    
+    return ranked
+      .filter(hit => byId.has(hit.id))
+      .map(({ id, created_at, ...scores }) => ({ ...byId.get(id), ...scores }));
+  }
+
+  // Relevance (0-1) blended with an exponential recency decay
+  blendScore(relevance, createdAt) {
+    const ageDays = (Date.now() - new Date(createdAt).getTime()) / (1000 * 60 * 60 * 24);
+    const recency = Math.pow(0.5, Math.max(ageDays, 0) / this.recencyHalfLifeDays);
+    return relevance * (1 - this.recencyWeight) + recency * this.recencyWeight;
+  }
+
+  // Edit a memory's content and re-index it; WARM and COLD stay compressed
+  async updateMemory(userId, id, content, tier = 'hot', metadata = null) {
+    this.clearUserCache(userId);
+    
+    let changes = {
+      content,
+      token_count: this.estimateTokens(content)
+    };
+    
+    // Merged into what the row already has, which also carries the compression flag
+    if (metadata || tier !== 'hot') {
+      const [existing] = await this.store.getMemoriesByIds(userId, [id], { tier });
+      if (!existing) return null;
+      changes.metadata = { ...existing.metadata, ...metadata };
+    }
+    if (tier !== 'hot') changes = await compressMemory(changes);
+    
+    const updated = await this.store.updateMemory(id, changes, { tier });
+    if (!updated) return null;
+    
+    const memory = tier === 'hot' ? { ...updated, tier } : { ...await decompressMemory(updated), tier };
+    await this.indexMemory(memory);
+    return memory;
   }
 
   async deleteMemories(userId, options) {
     this.clearUserCache(userId);
-    return await this.supabase.deleteMemories(userId, options);
+    const result = await this.store.deleteMemories(userId, options);
+    
+    for (const index of this.getIndexes()) {
+      await index.deleteMemories(userId, options);
+    }
+    
+    return result;
+  }
+
+  // Soft delete: matching rows move to the trash and leave the search indexes.
+  // Filters are those of exportMemories plus `query` (keyword match) and `role`.
+  async trashMemories(userId, filters = {}) {
+    const { query, role, ...storeFilters } = filters;
+    const memories = (await this.exportMemories(userId, storeFilters)).filter(memory =>
+      (!role || (memory.kind ? memory.kind === role : memory.role === role))
+      && (!query || matchesQuery(memory.content, query))
+    );
+    if (memories.length === 0) return [];
+    
+    await this.updateByTier(userId, memories, { deleted_at: new Date().toISOString() });
+    
+    const ids = memories.map(m => m.id);
+    for (const index of this.getIndexes()) {
+      await index.deleteMemories(userId, { ids });
+    }
+    
+    this.clearUserCache(userId);
+    return memories.map(({ id, tier }) => ({ id, tier }));
+  }
+
+  // Takes the { id, tier } pairs returned by trashMemories
+  async restoreMemories(userId, memories) {
+    const restored = await this.updateByTier(userId, memories, { deleted_at: null });
+    
+    for (const memory of restored) {
+      await this.indexMemory(memory.tier === 'hot' ? memory : await decompressMemory(memory));
+    }
+    
+    this.clearUserCache(userId);
+    return restored.length;
+  }
+
+  // Permanently delete trashed memories, by { id, tier } pairs
+  async purgeMemories(userId, memories) {
+    for (const [tier, ids] of Object.entries(this.groupIdsByTier(memories))) {
+      await this.store.deleteMemories(userId, { tier, ids, trashed: true });
+    }
+  }
+
+  // Empty everything trashed before the retention window
+  async purgeTrash(userId, retentionDays) {
+    const deletedBefore = new Date(Date.now() - retentionDays * DAY_MS).toISOString();
+    
+    for (const tier of MEMORY_TIERS) {
+      await this.store.deleteMemories(userId, { tier, deletedBefore });
+    }
+  }
+
+  async updateByTier(userId, memories, changes) {
+    const updated = [];
+    
+    for (const [tier, ids] of Object.entries(this.groupIdsByTier(memories))) {
+      const rows = await this.store.updateMemories(userId, ids, changes, { tier });
+      updated.push(...rows.map(row => ({ ...row, tier })));
+    }
+    
+    return updated;
   }
 
-  async exportMemories(userId) {
-    return await this.supabase.exportMemories(userId);
+  groupIdsByTier(memories) {
+    const grouped = {};
+    for (const memory of memories) {
+      const tier = memory.tier || 'hot';
+      (grouped[tier] = grouped[tier] || []).push(memory.id);
+    }
+    return grouped;
+  }
+
+  // Every tier unless one is named, oldest first, WARM and COLD content decompressed
+  async exportMemories(userId, filters = {}) {
+    const tiers = filters.tier ? [filters.tier] : MEMORY_TIERS;
+    const memories = [];
+    
+    for (const tier of tiers) {
+      const rows = await this.store.exportMemories(userId, { ...filters, tier });
+      for (const row of rows) {
+        memories.push({ ...(tier === 'hot' ? row : await decompressMemory(row)), tier });
+      }
+    }
+    
+    return memories.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
   }
 
   async getStats(userId) {
@@ -90,15 +659,18 @@ export class MemoryManager {
     const cached = this.getFromCache(cacheKey);
     if (cached) return cached;
     
-    const total = await this.supabase.getMemoryCount(userId);
+    const [hot, warm, cold] = await Promise.all(
+      MEMORY_TIERS.map(tier => this.store.getMemoryCount(userId, { tier }))
+    );
+    const total = hot + warm + cold;
     
-    // Calculate tier distribution (simplified for MVP)
     const stats = {
       total,
-      hot: Math.floor(total * 0.6),  // Estimate
-      warm: Math.floor(total * 0.3),
-      cold: Math.floor(total * 0.1),
+      hot,
+      warm,
+      cold,
       daysActive: this.calculateDaysActive(userId),
+      searchTimeouts: { ...this.searchTimeouts },
       lastSync: new Date().toISOString(),
       storageBytes: total * 500 // Rough estimate: 500 bytes per memory
     };
@@ -109,18 +681,121 @@ export class MemoryManager {
 
   async migrateMemories(userId) {
     // Migrate memories between tiers based on age
-    // This would run periodically in background
+    // Runs daily from a chrome.alarms job in the background worker
     
     const now = Date.now();
-    const hotCutoff = now - (90 * 24 * 60 * 60 * 1000); // 90 days
-    const warmCutoff = now - (180 * 24 * 60 * 60 * 1000); // 180 days
+    const hotCutoff = new Date(now - 90 * DAY_MS).toISOString();
+    const warmCutoff = new Date(now - 180 * DAY_MS).toISOString();
+    const coldCutoff = new Date(now - 365 * DAY_MS).toISOString();
+    
+    // 1. Move hot -> warm after 90 days, compressed
+    const warmed = await this.moveInBatches(userId, 'hot', hotCutoff, async (batch) => {
+      for (const memory of batch) {
+        await this.store.storeMemory(await compressMemory({ ...memory, tier: 'warm' }));
+        // Indexed from the plain text, now under WARM
+        await this.indexMemory({ ...memory, tier: 'warm' });
+      }
+    });
+    
+    // 2. Move warm -> cold after 180 days, one summary per conversation
+    const cooled = await this.moveInBatches(userId, 'warm', warmCutoff, async (batch) => {
+      const grouped = {};
+      for (const memory of batch) {
+        const convId = memory.conversation_id || 'default';
+        if (!grouped[convId]) grouped[convId] = [];
+        grouped[convId].push(await decompressMemory(memory));
+      }
+      
+      for (const memories of Object.values(grouped)) {
+        const summary = await this.store.storeMemory(await this.createColdSummary(userId, memories));
+        await this.indexMemory(await decompressMemory(summary));
+      }
+      
+      // The summaries stand in for these messages in the indexes too
+      const ids = batch.map(m => m.id);
+      for (const index of this.getIndexes()) {
+        await index.deleteMemories(userId, { ids });
+      }
+    });
     
-    // In a real implementation, this would:
-    // 1. Move hot -> warm after 90 days
-    // 2. Move warm -> cold after 180 days
     // 3. Delete cold after 365 days
+    const expired = await this.store.getMemoryCount(userId, { tier: 'cold' });
+    await this.store.deleteMemories(userId, { tier: 'cold', before: coldCutoff });
+    for (const index of this.getIndexes()) {
+      await index.deleteMemories(userId, { tier: 'cold', before: coldCutoff });
+    }
+    const remaining = await this.store.getMemoryCount(userId, { tier: 'cold' });
+    
+    this.clearUserCache(userId);
+    
+    const result = { warmed, cooled, expired: expired - remaining };
+    console.log('Memory migration completed for user:', userId, result);
+    return result;
+  }
+
+  // Copy the oldest rows of a tier until none are older than the cutoff.
+  // Rows are only deleted from the source tier once their copy succeeded.
+  async moveInBatches(userId, tier, before, copyBatch) {
+    let moved = 0;
     
-    console.log('Memory migration completed for user:', userId);
+    while (true) {
+      const batch = await this.store.listMemories(userId, {
+        tier,
+        before,
+        limit: this.migrationBatchSize
+      });
+      if (batch.length === 0) break;
+      
+      await copyBatch(batch);
+      await this.store.deleteMemories(userId, { tier, ids: batch.map(m => m.id) });
+      moved += batch.length;
+    }
+    
+    return moved;
+  }
+
+  // COLD keeps a short extractive summary in place of the full conversation
+  async createColdSummary(userId, memories) {
+    const sorted = [...memories].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    
+    const firstSentence = (text) => {
+      const sentence = text.split(/(?<=[.!?])\s+|\n/).find(s => s.trim()) || '';
+      return sentence.length > 160 ? `${sentence.substring(0, 157)}...` : sentence.trim();
+    };
+    
+    const asked = sorted
+      .filter(m => m.role === 'user')
+      .slice(0, 10)
+      .map(m => `- ${firstSentence(m.content)}`);
+    
+    const lastAnswer = [...sorted].reverse().find(m => m.role === 'assistant');
+    
+    const lines = [
+      `Conversation on ${first.site || 'unknown site'}, ` +
+        `${new Date(first.created_at).toLocaleDateString()} to ${new Date(last.created_at).toLocaleDateString()} ` +
+        `(${sorted.length} messages)`,
+      ...(asked.length > 0 ? ['Topics:', ...asked] : []),
+      ...(lastAnswer ? [`Last answer: ${firstSentence(lastAnswer.content)}`] : [])
+    ];
+    
+    return await compressMemory({
+      user_id: userId,
+      conversation_id: first.conversation_id,
+      role: 'summary',
+      site: first.site,
+      tier: 'cold',
+      content: lines.join('\n'),
+      token_count: this.estimateTokens(lines.join('\n')),
+      // Expiry counts from the newest message summarised
+      created_at: last.created_at,
+      metadata: {
+        message_count: sorted.length,
+        first_message_at: first.created_at,
+        last_message_at: last.created_at
+      }
+    });
   }
 
   // Utility methods
@@ -133,7 +808,7 @@ export class MemoryManager {
     return 'cold';
   }
 
-  extractConversationContext(query) {
+  extractConversationContext(query, currentConversationId = null) {
     // Look for patterns that suggest continuing a conversation
     const patterns = [
       /continue/i,
@@ -144,30 +819,43 @@ export class MemoryManager {
     
     for (const pattern of patterns) {
       if (pattern.test(query)) {
-        // Return current conversation ID if found
-        // This would be passed from content script
-        return null; // Placeholder
+        // Current conversation ID comes from the sender tab's URL
+        return currentConversationId;
       }
     }
     
     return null;
   }
 
-  deduplicateAndSort(memories, query) {
-    // Remove duplicates
-    const seen = new Set();
-    const unique = memories.filter(m => {
+  deduplicateAndSort(memories, query, currentConversationId = null) {
+    // Remove duplicates, keeping the best score when both searches found a memory
+    const seen = new Map();
+    for (const m of memories) {
       const key = `${m.conversation_id}:${m.content.substring(0, 50)}`;
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+      const existing = seen.get(key);
+      if (!existing) {
+        seen.set(key, m);
+      } else if ((m.score || 0) > (existing.score || 0)) {
+        seen.set(key, { ...existing, ...m });
+      }
+    }
+    const unique = [...seen.values()].map(m => (isSuperseded(m)
+      ? { ...m, score: (m.score || 0) * SUPERSEDED_WEIGHT, superseded: true }
+      : m));
     
     // Sort by relevance (simple for MVP)
     return unique.sort((a, b) => {
       // Prioritize same conversation
-      if (a.conversation_id === b.conversation_id && b.conversation_id !== a.conversation_id) {
-        return -1;
+      const aCurrent = Boolean(currentConversationId) && a.conversation_id === currentConversationId;
+      const bCurrent = Boolean(currentConversationId) && b.conversation_id === currentConversationId;
+      if (aCurrent !== bCurrent) {
+        return aCurrent ? -1 : 1;
+      }
+      
+      // Then by search score where there is one
+      const scoreDiff = (b.score || 0) - (a.score || 0);
+      if (scoreDiff !== 0) {
+        return scoreDiff;
       }
       
       // Then by recency
@@ -255,4 +943,9 @@ export class MemoryManager {
       }
     }
   }
-}
\ No newline at end of file
+}
+
+// Replaced by an edit or regeneration; imports mark branches the user left
+function isSuperseded(memory) {
+  return Boolean(memory.superseded_at) || memory.metadata?.active_branch === false;
+}
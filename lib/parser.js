@@ -1,9 +1,18 @@
 // Message parser for Kit Memory Extension
 // Handles different AI platform message formats
 
+import { getAdapter } from './sites.js';
+
+// Memories that aren't chat messages
+const KIND_LABELS = {
+  artifact: 'Artifact',
+  attachment: 'Attachment'
+};
+
 export class MessageParser {
   constructor(site) {
     this.site = site;
+    this.adapter = getAdapter(site);
   }
 
   parseMessage(element, role) {
@@ -14,146 +23,299 @@ export class MessageParser {
       timestamp: new Date().toISOString()
     };
     
-    if (this.site === 'chatgpt') {
-      parsed.content = this.parseChatGPTMessage(element);
-      parsed.metadata = this.extractChatGPTMetadata(element);
-    } else if (this.site === 'claude') {
-      parsed.content = this.parseClaudeMessage(element);
-      parsed.metadata = this.extractClaudeMetadata(element);
+    if (this.adapter) {
+      parsed.content = this.toMarkdown(this.getContentRoot(element));
+      parsed.metadata = this.extractMetadata(element);
     }
     
     return parsed;
   }
 
-  parseChatGPTMessage(element) {
-    // Extract text content while preserving code blocks
-    let content = '';
-    
-    // Check for code blocks
-    const codeBlocks = element.querySelectorAll('pre code');
-    const hasCode = codeBlocks.length > 0;
-    
-    if (hasCode) {
-      // Complex parsing for messages with code
-      const walker = document.createTreeWalker(
-        element,
-        NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT,
-        null,
-        false
-      );
-      
-      let node;
-      while (node = walker.nextNode()) {
-        if (node.nodeType === Node.TEXT_NODE) {
-          content += node.textContent;
-        } else if (node.nodeName === 'CODE' && node.parentElement.nodeName === 'PRE') {
-          content += '\n```\n' + node.textContent + '\n```\n';
-        } else if (node.nodeName === 'BR') {
-          content += '\n';
-        }
+  // The site's rendered-text wrapper, else the message itself
+  getContentRoot(element) {
+    for (const selector of this.adapter.selectors.messageContent) {
+      try {
+        const root = element.querySelector(selector);
+        if (root) return root;
+      } catch (e) {
+        // Invalid selector, try next
+        continue;
       }
-    } else {
-      // Simple extraction for text-only messages
-      content = element.innerText || element.textContent || '';
+    }
+    return element;
+  }
+
+  // Markdown for an element's content; citations become footnotes
+  toMarkdown(element) {
+    const state = { citations: [] };
+    let content = this.renderChildren(element, state);
+    
+    if (state.citations.length > 0) {
+      content += '\n\n' + state.citations
+        .map((citation, index) => `[^${index + 1}]: ${citation.title ? `[${citation.title}](${citation.href})` : citation.href}`)
+        .join('\n');
     }
     
     return this.cleanContent(content);
   }
 
-  parseClaudeMessage(element) {
-    // Claude uses different structure
-    let content = '';
-    
-    // Check if it's a rich text message
-    const richText = element.querySelector('[class*="prose"]');
-    if (richText) {
-      content = this.extractRichText(richText);
-    } else {
-      content = element.innerText || element.textContent || '';
+  renderChildren(element, state) {
+    return [...element.childNodes].map(child => this.renderNode(child, state)).join('');
+  }
+
+  renderNode(node, state) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.renderText(node);
     }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
     
-    return this.cleanContent(content);
+    const math = this.renderMath(node);
+    if (math !== null) return math;
+    
+    if (this.isCitation(node)) {
+      return this.renderCitation(node, state);
+    }
+    
+    const tag = node.tagName.toLowerCase();
+    
+    switch (tag) {
+      case 'p':
+        return `\n\n${this.renderChildren(node, state).trim()}\n\n`;
+      case 'br':
+        return '\n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n\n${'#'.repeat(Number(tag[1]))} ${this.renderChildren(node, state).trim()}\n\n`;
+      case 'strong':
+      case 'b':
+        return this.wrapInline(this.renderChildren(node, state), '**');
+      case 'em':
+      case 'i':
+        return this.wrapInline(this.renderChildren(node, state), '*');
+      case 'del':
+      case 's':
+        return this.wrapInline(this.renderChildren(node, state), '~~');
+      case 'code':
+        return this.renderInlineCode(node.textContent);
+      case 'pre':
+        return this.renderCodeBlock(node);
+      case 'ul':
+      case 'ol':
+        return `\n\n${this.renderList(node, state)}\n\n`;
+      case 'blockquote': {
+        const quoted = this.renderBlock(node, state);
+        return `\n\n${quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+      }
+      case 'a':
+        return this.renderLink(node, state);
+      case 'img':
+        return this.renderImage(node);
+      case 'table':
+        return `\n\n${this.renderTable(node, state)}\n\n`;
+      case 'input':
+        return node.type === 'checkbox' ? (node.checked ? '[x] ' : '[ ] ') : '';
+      // Copy buttons, icons and other interface chrome
+      case 'button':
+      case 'svg':
+      case 'style':
+      case 'script':
+      case 'noscript':
+        return '';
+      default:
+        return this.renderChildren(node, state);
+    }
+  }
+
+  // Block content nested in a quote or list item, without the outer blank lines
+  renderBlock(node, state) {
+    return this.renderChildren(node, state).trim().replace(/\n{3,}/g, '\n\n');
   }
 
-  extractRichText(element) {
-    let content = '';
-    
-    // Walk through child nodes
-    for (const child of element.childNodes) {
-      if (child.nodeType === Node.TEXT_NODE) {
-        content += child.textContent;
-      } else if (child.nodeType === Node.ELEMENT_NODE) {
-        const tag = child.tagName.toLowerCase();
+  // HTML collapses whitespace unless the element preserves it, as user messages do
+  renderText(node) {
+    const parent = node.parentElement;
+    const whiteSpace = parent ? getComputedStyle(parent).whiteSpace : 'normal';
+    if (/^(pre|break-spaces)/.test(whiteSpace)) return node.textContent;
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+
+  // Markers go inside surrounding spaces, or Markdown won't see them
+  wrapInline(text, marker) {
+    const [, before, inner, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return inner ? `${before}${marker}${inner}${marker}${after}` : text;
+  }
+
+  renderInlineCode(code) {
+    const fence = '`'.repeat(this.longestRun(code, '`') + 1);
+    const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${code}${padding}${fence}`;
+  }
+
+  renderCodeBlock(pre) {
+    // The code element skips ChatGPT's language label and copy button
+    const code = pre.querySelector('code');
+    return this.renderCode(this.getCodeText(code || pre), this.getCodeLanguage(pre, code));
+  }
+
+  renderCode(text, language = '') {
+    const fence = '`'.repeat(Math.max(3, this.longestRun(text, '`') + 1));
+    return `\n\n${fence}${language}\n${text}\n${fence}\n\n`;
+  }
+
+  // CodeMirror editors keep each line in its own element
+  getCodeText(element) {
+    const lines = element.querySelectorAll('.cm-line');
+    const text = lines.length > 0
+      ? [...lines].map(line => line.textContent).join('\n')
+      : element.textContent;
+    return text.replace(/\n$/, '');
+  }
+
+  getCodeLanguage(pre, code) {
+    const classes = `${code?.className || ''} ${pre.className || ''}`;
+    const match = classes.match(/(?:language|lang)-([\w+#.-]+)/);
+    return match ? match[1] : pre.getAttribute('data-language') || '';
+  }
+
+  longestRun(text, char) {
+    let longest = 0;
+    let run = 0;
+    for (const c of text) {
+      run = c === char ? run + 1 : 0;
+      longest = Math.max(longest, run);
+    }
+    return longest;
+  }
+
+  // Nested lists are indented under their item's text
+  renderList(list, state) {
+    const ordered = list.tagName === 'OL';
+    let number = Number(list.getAttribute('start')) || 1;
+    
+    return [...list.children]
+      .filter(child => child.tagName === 'LI')
+      .map((item) => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        let text = '';
+        let nested = '';
         
-        switch (tag) {
-          case 'p':
-            content += '\n' + child.innerText + '\n';
-            break;
-          case 'pre':
-            const code = child.querySelector('code');
-            if (code) {
-              const lang = code.className.replace('language-', '');
-              content += `\n\`\`\`${lang}\n${code.textContent}\n\`\`\`\n`;
-            } else {
-              content += '\n```\n' + child.textContent + '\n```\n';
-            }
-            break;
-          case 'ul':
-          case 'ol':
-            content += '\n' + this.parseList(child, tag === 'ol') + '\n';
-            break;
-          case 'blockquote':
-            content += '\n> ' + child.innerText.replace(/\n/g, '\n> ') + '\n';
-            break;
-          case 'h1':
-          case 'h2':
-          case 'h3':
-          case 'h4':
-          case 'h5':
-          case 'h6':
-            const level = parseInt(tag[1]);
-            content += '\n' + '#'.repeat(level) + ' ' + child.innerText + '\n';
-            break;
-          case 'code':
-            content += '`' + child.textContent + '`';
-            break;
-          case 'strong':
-          case 'b':
-            content += '**' + child.innerText + '**';
-            break;
-          case 'em':
-          case 'i':
-            content += '*' + child.innerText + '*';
-            break;
-          case 'a':
-            const href = child.getAttribute('href');
-            content += `[${child.innerText}](${href})`;
-            break;
-          case 'br':
-            content += '\n';
-            break;
-          default:
-            content += child.innerText || '';
+        for (const child of item.childNodes) {
+          if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'UL' || child.tagName === 'OL')) {
+            nested += `\n${this.renderList(child, state)}`;
+          } else {
+            text += this.renderNode(child, state);
+          }
         }
-      }
+        
+        const indent = ' '.repeat(marker.length);
+        return marker + `${text.trim().replace(/\n{3,}/g, '\n\n')}${nested}`
+          .split('\n')
+          .map((line, index) => (index === 0 || !line ? line : indent + line))
+          .join('\n');
+      })
+      .join('\n');
+  }
+
+  renderLink(node, state) {
+    const text = this.renderChildren(node, state).trim();
+    const href = node.getAttribute('href');
+    if (!href || href.startsWith('javascript:')) return text;
+    
+    const url = node.href || href;
+    if (!text || text === url) return `<${url}>`;
+    return `[${text}](${url})`;
+  }
+
+  // Inline images would bloat every memory, so those keep only their alt text
+  renderImage(node) {
+    const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '');
+    const src = node.currentSrc || node.getAttribute('src') || '';
+    if (!src || src.startsWith('data:') || src.startsWith('blob:')) {
+      return alt ? `[Image: ${alt}]` : '';
     }
+    return `![${alt}](${src})`;
+  }
+
+  // GitHub-flavoured table; the first row is the header
+  renderTable(table, state) {
+    const rows = [...table.querySelectorAll('tr')].map(row => [...row.children]
+      .filter(cell => cell.tagName === 'TH' || cell.tagName === 'TD')
+      .map(cell => this.renderChildren(cell, state)
+        .trim()
+        .replace(/\s*\n\s*/g, '<br>')
+        .replace(/\|/g, '\\|')));
+    if (rows.length === 0) return '';
     
-    return content;
+    const width = Math.max(...rows.map(row => row.length));
+    const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+    
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
   }
 
-  parseList(listElement, ordered = false) {
-    let content = '';
-    const items = listElement.querySelectorAll('li');
+  // KaTeX and MathJax keep the TeX source next to what they render
+  renderMath(node) {
+    if (node.classList.contains('katex-display')) {
+      const tex = this.getTex(node);
+      return tex === null ? null : `\n\n$$\n${tex}\n$$\n\n`;
+    }
+    if (node.classList.contains('katex')) {
+      const tex = this.getTex(node);
+      return tex === null ? null : `$${tex}$`;
+    }
+    if (node.tagName === 'MJX-CONTAINER') {
+      const tex = this.getTex(node);
+      if (tex === null) return null;
+      return node.getAttribute('display') === 'true' ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+    }
     
-    items.forEach((item, index) => {
-      const prefix = ordered ? `${index + 1}. ` : '- ';
-      content += prefix + item.innerText + '\n';
-    });
+    // MathJax 2 keeps the source in a script and renders beside it
+    if (node.tagName === 'SCRIPT' && /^math\/tex/.test(node.type)) {
+      const tex = node.textContent.trim();
+      return node.type.includes('mode=display') ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+    }
+    if (node.matches('.MathJax, .MathJax_Display, .MathJax_Preview, .MathJax_SVG, .MathJax_SVG_Display')) {
+      return '';
+    }
     
-    return content;
+    return null;
+  }
+
+  getTex(node) {
+    const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+    if (annotation) return annotation.textContent.trim();
+    
+    const source = node.getAttribute('data-latex') || node.querySelector('[data-latex]')?.getAttribute('data-latex');
+    return source ? source.trim() : null;
   }
 
-  extractChatGPTMetadata(element) {
+  // Source links ChatGPT and Claude put next to web search answers
+  isCitation(node) {
+    if (!node.matches('sup, [data-testid*="citation"], [class*="citation"]')) return false;
+    return node.matches('a[href]') || Boolean(node.querySelector('a[href]'));
+  }
+
+  renderCitation(node, state) {
+    const link = node.matches('a[href]') ? node : node.querySelector('a[href]');
+    const href = link.href || link.getAttribute('href');
+    
+    let index = state.citations.findIndex(citation => citation.href === href);
+    if (index === -1) {
+      const title = (link.getAttribute('title') || link.textContent).replace(/\s+/g, ' ').trim();
+      state.citations.push({ href, title: /^\[?\d*\]?$/.test(title) ? '' : title });
+      index = state.citations.length - 1;
+    }
+    
+    return `[^${index + 1}]`;
+  }
+
+  // Whatever the platform exposes on the message element
+  extractMetadata(element) {
     const metadata = {};
     
     // Try to extract model info
@@ -174,18 +336,6 @@ export class MessageParser {
       metadata.turn = turn;
     }
     
-    return metadata;
-  }
-
-  extractClaudeMetadata(element) {
-    const metadata = {};
-    
-    // Extract message ID
-    const messageId = element.getAttribute('data-message-id');
-    if (messageId) {
-      metadata.messageId = messageId;
-    }
-    
     // Extract sender info
     const sender = element.getAttribute('data-sender');
     if (sender) {
@@ -202,16 +352,15 @@ export class MessageParser {
   }
 
   cleanContent(content) {
+    // Remove spaces left at line ends by collapsed whitespace
+    content = content.replace(/[ \t]+\n/g, '\n');
+    
     // Remove excessive whitespace
     content = content.replace(/\n{3,}/g, '\n\n');
     
     // Remove leading/trailing whitespace
     content = content.trim();
     
-    // Fix code block formatting
-    content = content.replace(/```\n\n/g, '```\n');
-    content = content.replace(/\n\n```/g, '\n```');
-    
     // Remove zero-width characters
     content = content.replace(/[\u200B-\u200D\uFEFF]/g, '');
     
@@ -220,7 +369,7 @@ export class MessageParser {
 
   // Format memories for display
   formatMemory(memory) {
-    const role = memory.role === 'user' ? 'You' : 'Assistant';
+    const role = KIND_LABELS[memory.kind] || (memory.role === 'user' ? 'You' : 'Assistant');
     const timestamp = new Date(memory.created_at).toLocaleString();
     
     return {
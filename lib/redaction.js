@@ -0,0 +1,173 @@
+// Redaction for Kit Memory Extension
+// Finds secrets and personal data in captured text before it is stored, and
+// replaces them with typed placeholders such as [REDACTED:EMAIL]
+
+// What happens to a message containing a match
+export const REDACTION_ACTIONS = {
+  redact: 'Redact',
+  skip: 'Skip message',
+  allow: 'Allow'
+};
+
+export const REDACTION_CATEGORIES = {
+  secret: 'API keys, passwords and tokens',
+  email: 'Email addresses',
+  phone: 'Phone numbers',
+  card: 'Card numbers',
+  iban: 'IBANs'
+};
+
+// Tried in order, so specific formats claim their text before the general ones
+const DETECTORS = [
+  { category: 'secret', type: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { category: 'secret', type: 'AWS_KEY', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { category: 'secret', type: 'ANTHROPIC_KEY', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { category: 'secret', type: 'OPENAI_KEY', pattern: /\bsk-(?:proj-|svcacct-|admin-)?[A-Za-z0-9_-]{20,}/g },
+  { category: 'secret', type: 'GITHUB_TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { category: 'secret', type: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+  // Only the value of `password = ...`, `api_key: ...` and the like
+  { category: 'secret', type: 'SECRET', pattern: /((?<![a-z])(?:pass(?:word|wd)?|pwd|secret|api[_-]?key|access[_-]?token|auth[_-]?token|client[_-]?secret)["']?\s*[:=]\s*["']?)([^\s"',;()]{6,})/gi, group: 2, check: isSecretValue },
+  { category: 'secret', type: 'TOKEN', pattern: /[A-Za-z0-9+/_-]{24,}={0,2}/g, check: isHighEntropy },
+  { category: 'email', type: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { category: 'iban', type: 'IBAN', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, check: isValidIban },
+  { category: 'card', type: 'CARD', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: isValidCard },
+  // Separators required, so versions, dates and plain numbers are left alone
+  { category: 'phone', type: 'PHONE', pattern: /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]\d{3,4}(?![ .-]?\d)/g },
+  { category: 'phone', type: 'PHONE', pattern: /(?<!\w)\+\d{8,15}\b/g }
+];
+
+// settings: { actions: { category: action }, customRules: [{ name, pattern, action }] }
+export const DEFAULT_REDACTION_SETTINGS = {
+  actions: Object.fromEntries(Object.keys(REDACTION_CATEGORIES).map(category => [category, 'redact'])),
+  customRules: []
+};
+
+// Returns { text, redactions: { TYPE: count }, skip }. When skip is set the
+// message matched a category the user keeps out of memory, and text is unchanged
+export function redact(text, settings = DEFAULT_REDACTION_SETTINGS) {
+  const actions = { ...DEFAULT_REDACTION_SETTINGS.actions, ...settings?.actions };
+  const redactions = {};
+  let result = text || '';
+
+  // The user's own rules go first
+  const detectors = [...getCustomDetectors(settings?.customRules), ...DETECTORS];
+
+  for (const detector of detectors) {
+    const action = detector.action || actions[detector.category];
+    if (action === 'allow') continue;
+
+    let found = false;
+    result = result.replace(detector.pattern, (match, ...groups) => {
+      const value = detector.group ? groups[detector.group - 1] : match;
+      if (detector.check && !detector.check(value)) return match;
+
+      found = true;
+      redactions[detector.type] = (redactions[detector.type] || 0) + 1;
+      return detector.group ? match.slice(0, match.length - value.length) + placeholder(detector.type) : placeholder(detector.type);
+    });
+
+    if (found && action === 'skip') {
+      return { text, redactions: { [detector.type]: redactions[detector.type] }, skip: true };
+    }
+  }
+
+  return { text: result, redactions, skip: false };
+}
+
+// Throws with a message for the user when a custom rule can't be used
+export function validateCustomRule(rule) {
+  if (!rule?.name?.trim()) throw new Error('Give the rule a name');
+  if (!rule.pattern) throw new Error('Enter a pattern');
+  if (!REDACTION_ACTIONS[rule.action]) throw new Error('Choose what to do with matches');
+
+  try {
+    new RegExp(rule.pattern, 'g');
+  } catch (error) {
+    throw new Error(`Invalid pattern: ${error.message}`);
+  }
+
+  // Would loop forever in replace
+  if (new RegExp(rule.pattern).test('')) throw new Error('The pattern must not match empty text');
+}
+
+function getCustomDetectors(rules = []) {
+  return rules.flatMap(rule => {
+    try {
+      validateCustomRule(rule);
+    } catch (error) {
+      console.error(`Redaction rule "${rule?.name}" skipped:`, error);
+      return [];
+    }
+
+    return [{
+      category: 'custom',
+      type: rule.name.trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+      pattern: new RegExp(rule.pattern, 'g'),
+      action: rule.action
+    }];
+  });
+}
+
+function placeholder(type) {
+  return `[REDACTED:${type}]`;
+}
+
+// Type names (`password: string`), variables and dotted paths are code, not secrets
+function isSecretValue(value) {
+  return !/^[A-Za-z_$][\w$]*(?:\.[\w$]+)*$/.test(value) || /\d/.test(value) && !value.includes('.');
+}
+
+// Random-looking: mixed case and digits, and close to 4+ bits per character.
+// Hex hashes and UUIDs have no upper case and are left alone
+function isHighEntropy(token) {
+  if (!/[a-z]/.test(token) || !/[A-Z]/.test(token) || !/\d/.test(token)) return false;
+
+  // camelCase names only capitalise word starts; random text often puts
+  // a capital before another capital or a digit
+  if ((token.match(/[A-Z][A-Z0-9]/g) || []).length < 2) return false;
+
+  const counts = {};
+  for (const char of token) counts[char] = (counts[char] || 0) + 1;
+
+  const entropy = Object.values(counts).reduce((sum, count) => {
+    const p = count / token.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+
+  return entropy >= 4;
+}
+
+// Luhn checksum over 13-19 digits
+function isValidCard(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+// ISO 13616 mod-97 check
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '');
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+
+  return remainder === 1;
+}
@@ -0,0 +1,611 @@
+// Site adapters for Kit Memory Extension
+// One entry per supported chat platform: where it lives, how to find its parts,
+// how to read and write its input, and where its URLs keep the conversation id.
+// manifest.json's match lists are generated from here by scripts/generate-manifest.mjs
+
+// input: 'textarea' reads and writes .value; 'contenteditable' uses the rich editor's text
+// submit: 'form' requests a submit of the input's form; 'enter' simulates the Enter key;
+// 'button' clicks the send button
+// selectors: fallbacks tried in order; messageContent is where a message's
+// rendered text sits, and the element itself is used when none match
+// temporaryChat: query-string patterns of chats the platform itself doesn't keep
+export const SITE_ADAPTERS = {
+  chatgpt: {
+    name: 'ChatGPT',
+    hosts: ['chat.openai.com', 'chatgpt.com'],
+    conversationId: [/\/c\/([a-zA-Z0-9-]+)/],
+    temporaryChat: [/[?&]temporary-chat=true\b/],
+    input: 'textarea',
+    submit: 'form',
+    selectors: {
+      input: [
+        'textarea[data-id="root"]',
+        'textarea[data-id="prompt-textarea"]',
+        '#prompt-textarea',
+        'textarea[placeholder*="Send"]',
+        'textarea[placeholder*="Message"]'
+      ],
+      sendButton: [
+        'button[data-testid="send-button"]',
+        'button[data-testid="fruitjuice-send-button"]',
+        'button svg.text-white',
+        'button[aria-label*="Send"]'
+      ],
+      messages: [
+        '[data-message-author-role]',
+        '[data-testid^="conversation-turn"]',
+        '.text-base',
+        '.group.w-full'
+      ],
+      userMessage: [
+        '[data-message-author-role="user"]',
+        '[data-testid*="user-turn"]'
+      ],
+      assistantMessage: [
+        '[data-message-author-role="assistant"]',
+        '[data-testid*="assistant-turn"]'
+      ],
+      // Replies render into .markdown; user messages are pre-wrapped text
+      messageContent: [
+        '.markdown'
+      ],
+      conversationContainer: [
+        'main',
+        '[role="main"]',
+        '.flex.flex-col.items-center'
+      ],
+      streaming: [
+        '.result-streaming',
+        '[data-is-streaming="true"]'
+      ],
+      stopButton: [
+        'button[data-testid="stop-button"]',
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '[data-testid^="conversation-turn"]'
+      ],
+      attachment: [
+        '[data-testid*="file-thumbnail"]',
+        '[data-testid*="attachment"]',
+        'a[download]'
+      ],
+      attachmentName: [
+        '[title]',
+        '.truncate',
+        '.font-semibold'
+      ],
+      // Canvas opens beside the conversation
+      artifactPanel: [
+        '[data-testid*="canvas-panel"]',
+        'section[class*="canvas"]',
+        '#canvas'
+      ],
+      artifactTitle: [
+        '[data-testid*="canvas-title"]',
+        'header h1',
+        'header h2',
+        'h1'
+      ],
+      artifactContent: [
+        '.cm-content',
+        'pre code',
+        '.ProseMirror',
+        '.markdown'
+      ],
+      artifactCard: [
+        '[data-testid*="canvas-card"]',
+        '[class*="canvas-card"]'
+      ]
+    }
+  },
+
+  claude: {
+    name: 'Claude',
+    hosts: ['claude.ai'],
+    conversationId: [/\/chat\/([a-zA-Z0-9-]+)/],
+    input: 'contenteditable',
+    submit: 'enter',
+    selectors: {
+      input: [
+        'div[contenteditable="true"]',
+        '[data-placeholder*="Reply"]',
+        '[class*="ProseMirror"]',
+        '.DraftEditor-editorContainer'
+      ],
+      sendButton: [
+        'button[aria-label*="Send"]',
+        'button[type="submit"]',
+        'button svg[class*="send"]'
+      ],
+      messages: [
+        '[data-test-render-message]',
+        '[class*="Message"]',
+        '[data-message-id]'
+      ],
+      userMessage: [
+        '[data-sender="user"]',
+        '[class*="UserMessage"]'
+      ],
+      assistantMessage: [
+        '[data-sender="assistant"]',
+        '[class*="AssistantMessage"]'
+      ],
+      messageContent: [
+        '[class*="prose"]'
+      ],
+      conversationContainer: [
+        '[class*="conversation"]',
+        '[data-test="conversation"]',
+        'main'
+      ],
+      streaming: [
+        '[data-is-streaming="true"]'
+      ],
+      stopButton: [
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '[data-test-render-message]',
+        '[data-testid="user-message"]'
+      ],
+      attachment: [
+        '[data-testid="file-thumbnail"]',
+        '[data-testid*="attachment"]',
+        '[class*="FileThumbnail"]'
+      ],
+      attachmentName: [
+        '[title]',
+        'h3',
+        '.truncate'
+      ],
+      artifactPanel: [
+        '[data-testid="artifact-view"]',
+        '[class*="artifact-panel"]',
+        '#artifacts-panel'
+      ],
+      artifactTitle: [
+        '[data-testid="artifact-title"]',
+        'header h2',
+        'h2'
+      ],
+      artifactContent: [
+        '.cm-content',
+        'pre code',
+        '[class*="prose"]'
+      ],
+      artifactCard: [
+        '[data-testid*="artifact-block"]',
+        '[class*="artifact-block"]',
+        'button[aria-label*="artifact" i]'
+      ]
+    }
+  },
+
+  gemini: {
+    name: 'Gemini',
+    hosts: ['gemini.google.com'],
+    conversationId: [/\/app\/([a-zA-Z0-9_-]+)/, /\/gem\/[^/]+\/([a-zA-Z0-9_-]+)/],
+    input: 'contenteditable',
+    submit: 'button',
+    selectors: {
+      input: [
+        'rich-textarea .ql-editor',
+        'div.ql-editor[contenteditable="true"]',
+        'div[contenteditable="true"][role="textbox"]'
+      ],
+      sendButton: [
+        'button.send-button',
+        'button[aria-label*="Send"]'
+      ],
+      messages: [
+        'user-query',
+        'model-response'
+      ],
+      userMessage: [
+        'user-query'
+      ],
+      assistantMessage: [
+        'model-response'
+      ],
+      messageContent: [
+        '.markdown',
+        '.query-text'
+      ],
+      conversationContainer: [
+        'chat-window',
+        '#chat-history',
+        'main'
+      ],
+      streaming: [
+        '[aria-busy="true"]'
+      ],
+      stopButton: [
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '.conversation-container'
+      ],
+      attachment: [
+        'user-query-file-preview',
+        '[data-test-id*="file-preview"]'
+      ],
+      attachmentName: [
+        '[title]',
+        '.file-name',
+        '.new-file-name'
+      ],
+      // Canvas documents open in the immersive panel
+      artifactPanel: [
+        'immersive-panel',
+        '[class*="immersive-panel"]'
+      ],
+      artifactTitle: [
+        '[class*="title-text"]',
+        'h1',
+        'h2'
+      ],
+      artifactContent: [
+        '.cm-content',
+        'pre code',
+        '.ProseMirror',
+        '.markdown'
+      ],
+      artifactCard: [
+        'immersive-entry-chip',
+        '[class*="immersive-entry"]'
+      ]
+    }
+  },
+
+  perplexity: {
+    name: 'Perplexity',
+    hosts: ['www.perplexity.ai', 'perplexity.ai'],
+    conversationId: [/\/search\/([a-zA-Z0-9._-]+)/],
+    input: 'textarea',
+    submit: 'enter',
+    selectors: {
+      input: [
+        'textarea[placeholder*="Ask"]',
+        'textarea[placeholder*="follow"]',
+        'main textarea'
+      ],
+      sendButton: [
+        'button[aria-label="Submit"]',
+        'button[aria-label*="Submit"]'
+      ],
+      messages: [
+        '[class*="group/query"]',
+        '[id^="markdown-content"]'
+      ],
+      userMessage: [
+        '[class*="group/query"]',
+        'h1[class*="query"]'
+      ],
+      assistantMessage: [
+        '[id^="markdown-content"]'
+      ],
+      messageContent: [
+        '.prose'
+      ],
+      conversationContainer: [
+        'main'
+      ],
+      streaming: [
+        '[data-state="streaming"]'
+      ],
+      stopButton: [
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '[data-testid="thread-entry"]'
+      ],
+      attachment: [
+        '[data-testid*="attachment"]',
+        '[data-testid*="file"]'
+      ],
+      attachmentName: [
+        '[title]',
+        '.truncate'
+      ],
+      artifactPanel: [],
+      artifactTitle: [],
+      artifactContent: [],
+      artifactCard: []
+    }
+  },
+
+  copilot: {
+    name: 'Copilot',
+    hosts: ['copilot.microsoft.com'],
+    conversationId: [/\/chats\/([a-zA-Z0-9_-]+)/],
+    input: 'textarea',
+    submit: 'enter',
+    selectors: {
+      input: [
+        'textarea#userInput',
+        'textarea[placeholder*="Message"]',
+        'main textarea'
+      ],
+      sendButton: [
+        'button[aria-label="Submit message"]',
+        'button[aria-label*="Submit"]',
+        'button[type="submit"]'
+      ],
+      messages: [
+        '[data-content="user-message"]',
+        '[data-content="ai-message"]'
+      ],
+      userMessage: [
+        '[data-content="user-message"]'
+      ],
+      assistantMessage: [
+        '[data-content="ai-message"]'
+      ],
+      messageContent: [
+        '[class*="prose"]'
+      ],
+      conversationContainer: [
+        '[data-content="conversation"]',
+        'main'
+      ],
+      streaming: [
+        '[aria-busy="true"]'
+      ],
+      stopButton: [
+        'button[aria-label*="Stop"]',
+        'button[data-testid="stop-button"]'
+      ],
+      turn: [
+        '[data-content="user-message"]',
+        '[data-content="ai-message"]'
+      ],
+      attachment: [
+        '[data-testid*="attachment"]',
+        '[data-testid*="file"]'
+      ],
+      attachmentName: [
+        '[title]',
+        '.truncate'
+      ],
+      artifactPanel: [],
+      artifactTitle: [],
+      artifactContent: [],
+      artifactCard: []
+    }
+  },
+
+  mistral: {
+    name: 'Le Chat',
+    hosts: ['chat.mistral.ai'],
+    conversationId: [/\/chat\/([a-zA-Z0-9-]+)/],
+    input: 'contenteditable',
+    submit: 'enter',
+    selectors: {
+      input: [
+        'div.ProseMirror[contenteditable="true"]',
+        'div[contenteditable="true"]'
+      ],
+      sendButton: [
+        'button[aria-label*="Send"]',
+        'button[type="submit"]'
+      ],
+      messages: [
+        '[data-message-author-role]'
+      ],
+      userMessage: [
+        '[data-message-author-role="user"]'
+      ],
+      assistantMessage: [
+        '[data-message-author-role="assistant"]'
+      ],
+      messageContent: [
+        '[data-message-part-type="answer"]',
+        '.markdown-container-style',
+        '[class*="prose"]'
+      ],
+      conversationContainer: [
+        'main'
+      ],
+      streaming: [
+        '[data-is-streaming="true"]'
+      ],
+      stopButton: [
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '[data-message-author-role]'
+      ],
+      attachment: [
+        '[data-testid*="attachment"]',
+        '[data-testid*="file"]'
+      ],
+      attachmentName: [
+        '[title]',
+        '.truncate'
+      ],
+      // Canvas opens beside the conversation
+      artifactPanel: [
+        '[data-testid*="canvas"]',
+        '[class*="canvas-panel"]'
+      ],
+      artifactTitle: [
+        'header h1',
+        'header h2',
+        'h2'
+      ],
+      artifactContent: [
+        '.cm-content',
+        'pre code',
+        '.ProseMirror'
+      ],
+      artifactCard: [
+        '[data-testid*="canvas-card"]',
+        '[class*="canvas-card"]'
+      ]
+    }
+  },
+
+  deepseek: {
+    name: 'DeepSeek',
+    hosts: ['chat.deepseek.com'],
+    conversationId: [/\/chat\/s\/([a-zA-Z0-9-]+)/],
+    input: 'textarea',
+    submit: 'enter',
+    selectors: {
+      input: [
+        'textarea#chat-input',
+        'textarea[placeholder*="Message"]',
+        'textarea'
+      ],
+      sendButton: [
+        'div[role="button"][aria-label*="Send"]',
+        'button[aria-label*="Send"]'
+      ],
+      messages: [
+        '.ds-message'
+      ],
+      // Only replies render Markdown
+      userMessage: [
+        '.ds-message:not(:has(.ds-markdown))'
+      ],
+      assistantMessage: [
+        '.ds-message:has(.ds-markdown)'
+      ],
+      messageContent: [
+        '.ds-markdown'
+      ],
+      conversationContainer: [
+        '#root main',
+        'main',
+        '#root'
+      ],
+      streaming: [
+        '.ds-markdown--streaming'
+      ],
+      stopButton: [
+        'div[role="button"][aria-label*="Stop"]',
+        'button[aria-label*="Stop"]'
+      ],
+      turn: [
+        '.ds-message'
+      ],
+      attachment: [
+        '.ds-message [class*="file"]'
+      ],
+      attachmentName: [
+        '[title]',
+        '[class*="name"]'
+      ],
+      artifactPanel: [],
+      artifactTitle: [],
+      artifactContent: [],
+      artifactCard: []
+    }
+  }
+};
+
+// { id, ...adapter } for a page's hostname, or null on other sites
+export function findAdapter(hostname) {
+  const host = (hostname || '').toLowerCase();
+  const id = Object.keys(SITE_ADAPTERS).find(key => SITE_ADAPTERS[key].hosts.includes(host));
+  return id ? getAdapter(id) : null;
+}
+
+export function getAdapter(site) {
+  return SITE_ADAPTERS[site] ? { id: site, ...SITE_ADAPTERS[site] } : null;
+}
+
+// Only the patterns of the URL's own site apply: "/chat/…" means different
+// things on different platforms
+export function extractConversationId(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return null;
+  }
+
+  const adapter = findAdapter(parsed.hostname);
+  if (!adapter) return null;
+
+  for (const pattern of adapter.conversationId) {
+    const match = parsed.pathname.match(pattern);
+    if (match) return match[1];
+  }
+
+  return null;
+}
+
+// Chats the platform doesn't keep aren't kept by Kit either
+export function isTemporaryChat(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const adapter = findAdapter(parsed.hostname);
+  return Boolean(adapter?.temporaryChat?.some(pattern => pattern.test(parsed.search)));
+}
+
+// Manifest match patterns for every supported host
+export function getMatchPatterns() {
+  return Object.values(SITE_ADAPTERS).flatMap(adapter => adapter.hosts.map(host => `https://${host}/*`));
+}
+
+// The adapter with a selector file's selectors tried ahead of its own;
+// overrides: { site: { part: [selectors] } }
+export function applySelectorOverrides(adapter, overrides) {
+  const sets = adapter && overrides?.[adapter.id];
+  if (!sets) return adapter;
+
+  const selectors = { ...adapter.selectors };
+  for (const [part, list] of Object.entries(sets)) {
+    selectors[part] = [...new Set([...list, ...(selectors[part] || [])])];
+  }
+
+  return { ...adapter, selectors };
+}
+
+// Checks a user-supplied selector file and returns its overrides; throws with
+// the first problem found so the user can fix the file
+export function parseSelectorOverrides(json) {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Expected an object of sites, e.g. { "claude": { "input": ["..."] } }');
+  }
+
+  const overrides = {};
+  for (const [site, sets] of Object.entries(json)) {
+    const adapter = SITE_ADAPTERS[site];
+    if (!adapter) throw new Error(`Unknown site "${site}"`);
+    if (!sets || typeof sets !== 'object' || Array.isArray(sets)) {
+      throw new Error(`"${site}" should map parts to selector lists`);
+    }
+
+    overrides[site] = {};
+    for (const [part, list] of Object.entries(sets)) {
+      if (!(part in adapter.selectors)) throw new Error(`Unknown part "${part}" for ${site}`);
+      if (!Array.isArray(list) || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+        throw new Error(`${site}.${part} should be a list of selectors`);
+      }
+
+      list.forEach(selector => checkSelector(selector, `${site}.${part}`));
+      overrides[site][part] = list.map(selector => selector.trim());
+    }
+  }
+
+  return overrides;
+}
+
+// Syntax check where there's a DOM to ask (the options page)
+function checkSelector(selector, where) {
+  if (typeof document === 'undefined') return;
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (e) {
+    throw new Error(`Invalid selector in ${where}: ${selector}`);
+  }
+}
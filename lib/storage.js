@@ -0,0 +1,254 @@
+// Storage backend selection for Kit Memory Extension
+// Picks between local IndexedDB, Supabase, or local-first with Supabase sync
+
+import { LocalStore } from './local-store.js';
+import { SupabaseClient } from './supabase.js';
+import { isEncryptedValue } from './crypto.js';
+
+export const STORAGE_MODES = {
+  LOCAL: 'local',
+  SUPABASE: 'supabase',
+  SYNC: 'sync'
+};
+
+// HOT (0-90 days), WARM (90-180 days), COLD (180-365 days)
+export const MEMORY_TIERS = ['hot', 'warm', 'cold'];
+
+// Users who configured Supabase before storage modes existed keep using it
+export function resolveStorageMode(config) {
+  if (Object.values(STORAGE_MODES).includes(config.storageMode)) {
+    return config.storageMode;
+  }
+  return config.supabaseUrl && config.supabaseKey
+    ? STORAGE_MODES.SUPABASE
+    : STORAGE_MODES.LOCAL;
+}
+
+// Pass { cipher } as encryption to encrypt everything sent to Supabase;
+// a null cipher means encryption is on but still locked
+export function createStore(config, encryption = null) {
+  const mode = resolveStorageMode(config);
+  const hasSupabase = Boolean(config.supabaseUrl && config.supabaseKey);
+
+  const createRemote = () => {
+    const remote = new SupabaseClient(config.supabaseUrl, config.supabaseKey);
+    return encryption ? new EncryptedStore(remote, encryption.cipher) : remote;
+  };
+
+  switch (mode) {
+    case STORAGE_MODES.SUPABASE:
+      return hasSupabase ? createRemote() : null;
+
+    case STORAGE_MODES.SYNC:
+      // Without credentials there is nothing to sync to, so stay local
+      return hasSupabase
+        ? new SyncedStore(new LocalStore(), createRemote())
+        : new LocalStore();
+
+    default:
+      return new LocalStore();
+  }
+}
+
+// The encrypting layer in front of Supabase, if there is one
+export function findEncryptedStore(store) {
+  if (store instanceof EncryptedStore) return store;
+  if (store instanceof SyncedStore && store.remote instanceof EncryptedStore) return store.remote;
+  return null;
+}
+
+// Local-first store that mirrors writes to Supabase when it can
+export class SyncedStore {
+  constructor(local, remote) {
+    this.local = local;
+    this.remote = remote;
+  }
+
+  async storeMemory(memory) {
+    const record = await this.local.storeMemory({ ...memory, synced: false });
+    await this.pushMemory(record);
+    return record;
+  }
+
+  async pushMemory(record) {
+    try {
+      // Same id on both sides so tier moves and deletes line up
+      const { synced, ...remoteMemory } = record;
+      await this.remote.storeMemory(remoteMemory);
+      await this.local.updateMemory(record.id, { synced: true });
+      return true;
+    } catch (error) {
+      // Stays marked unsynced and is retried by syncPending
+      console.error('Sync memory error:', error);
+      return false;
+    }
+  }
+
+  async syncPending(userId) {
+    const memories = await this.local.getUserMemories(userId);
+    let pushed = 0;
+
+    // Rows written while the store was local-only have no synced flag at all
+    for (const memory of memories.filter(m => m.synced !== true)) {
+      if (!(await this.pushMemory(memory))) break;
+      pushed++;
+    }
+
+    return pushed;
+  }
+
+  async updateMemory(id, changes, options = {}) {
+    const updated = await this.local.updateMemory(id, { ...changes, synced: false }, options);
+    if (updated) await this.pushMemory(updated);
+    return updated;
+  }
+
+  async updateMemories(userId, ids, changes, options = {}) {
+    const updated = await this.local.updateMemories(userId, ids, { ...changes, synced: false }, options);
+
+    try {
+      await this.remote.updateMemories(userId, ids, changes, options);
+      await this.local.updateMemories(userId, ids, { synced: true }, options);
+    } catch (error) {
+      // Stays marked unsynced and is retried by syncPending
+      console.error('Sync memories error:', error);
+    }
+
+    return updated;
+  }
+
+  async searchMemories(userId, query, options = {}) {
+    return await this.local.searchMemories(userId, query, options);
+  }
+
+  async listMemories(userId, options = {}) {
+    return await this.local.listMemories(userId, options);
+  }
+
+  async getMemoriesByIds(userId, ids, options = {}) {
+    return await this.local.getMemoriesByIds(userId, ids, options);
+  }
+
+  async deleteMemories(userId, options = {}) {
+    await this.local.deleteMemories(userId, options);
+    return await this.remote.deleteMemories(userId, options);
+  }
+
+  async getMemoryCount(userId, options = {}) {
+    return await this.local.getMemoryCount(userId, options);
+  }
+
+  async exportMemories(userId, options = {}) {
+    return await this.local.exportMemories(userId, options);
+  }
+}
+
+// Encrypts content and metadata on the way out and decrypts on the way back.
+// The server only ever sees ciphertext, so keyword matching happens in the
+// local indexes, which are built from plaintext before it is encrypted.
+export class EncryptedStore {
+  constructor(inner, cipher) {
+    this.inner = inner;
+    this.cipher = cipher;
+  }
+
+  get locked() {
+    return !this.cipher;
+  }
+
+  requireCipher() {
+    if (!this.cipher) {
+      throw new Error('Encryption is locked');
+    }
+    return this.cipher;
+  }
+
+  // While locked, encrypted rows are dropped rather than shown as ciphertext
+  async decryptAll(memories) {
+    if (!this.cipher) {
+      return memories.filter(m => !isEncryptedValue(m.content));
+    }
+    return await Promise.all(memories.map(m => this.cipher.decryptMemory(m)));
+  }
+
+  async storeMemory(memory) {
+    const encrypted = await this.requireCipher().encryptMemory(memory);
+    const stored = await this.inner.storeMemory(encrypted);
+    return { ...stored, content: memory.content, metadata: memory.metadata };
+  }
+
+  async updateMemory(id, changes, options = {}) {
+    const encrypted = await this.requireCipher().encryptMemory(changes);
+    const updated = await this.inner.updateMemory(id, encrypted, options);
+    return updated ? { ...updated, ...changes } : null;
+  }
+
+  async updateMemories(userId, ids, changes, options = {}) {
+    const encrypted = await this.requireCipher().encryptMemory(changes);
+    return await this.decryptAll(await this.inner.updateMemories(userId, ids, encrypted, options));
+  }
+
+  async searchMemories(userId, query, options = {}) {
+    // Ciphertext can't be matched server-side
+    if (query) return [];
+    return await this.decryptAll(await this.inner.searchMemories(userId, null, options));
+  }
+
+  async listMemories(userId, options = {}) {
+    return await this.decryptAll(await this.inner.listMemories(userId, options));
+  }
+
+  async getMemoriesByIds(userId, ids, options = {}) {
+    return await this.decryptAll(await this.inner.getMemoriesByIds(userId, ids, options));
+  }
+
+  async deleteMemories(userId, options = {}) {
+    return await this.inner.deleteMemories(userId, options);
+  }
+
+  async getMemoryCount(userId, options = {}) {
+    return await this.inner.getMemoryCount(userId, options);
+  }
+
+  async exportMemories(userId, options = {}) {
+    return await this.decryptAll(await this.inner.exportMemories(userId, options));
+  }
+
+  // Rewrites every row under a new key; also encrypts rows stored in plaintext
+  async reencryptAll(userId, nextCipher) {
+    const memories = [];
+    for (const tier of MEMORY_TIERS) {
+      // Trashed rows too, or they could never be restored
+      for (const trashed of [false, true]) {
+        const tierMemories = await this.exportMemories(userId, { tier, trashed });
+        memories.push(...tierMemories.map(memory => ({ ...memory, tier })));
+      }
+    }
+
+    const rewritten = [];
+
+    try {
+      for (const memory of memories) {
+        await this.rewriteMemory(memory, nextCipher);
+        rewritten.push(memory);
+      }
+    } catch (error) {
+      // Put finished rows back under the old key so no row is left unreadable
+      for (const memory of rewritten) {
+        await this.rewriteMemory(memory, this.cipher);
+      }
+      throw error;
+    }
+
+    this.cipher = nextCipher;
+    return memories.length;
+  }
+
+  async rewriteMemory(memory, cipher) {
+    const encrypted = await cipher.encryptMemory({
+      content: memory.content,
+      metadata: memory.metadata
+    });
+    await this.inner.updateMemory(memory.id, encrypted, { tier: memory.tier });
+  }
+}
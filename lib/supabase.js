@@ -1,5 +1,29 @@
 // Supabase client wrapper for Kit Memory Extension
 
+// Each memory tier lives in its own table
+const TIER_TABLES = {
+  hot: 'memories',
+  warm: 'memories_warm',
+  cold: 'memories_cold'
+};
+
+// PostgREST caps rows per response (1000 by default), so exports page
+const EXPORT_PAGE_SIZE = 1000;
+
+// Ids per request when filtering by id, to keep URLs short
+const ID_BATCH_SIZE = 100;
+
+// Splits an id filter into ID_BATCH_SIZE chunks; [null] means no id filter
+function idBatches(ids) {
+  if (!ids) return [null];
+  
+  const batches = [];
+  for (let i = 0; i < ids.length; i += ID_BATCH_SIZE) {
+    batches.push(ids.slice(i, i + ID_BATCH_SIZE));
+  }
+  return batches;
+}
+
 export class SupabaseClient {
   constructor(url, key) {
     this.url = url;
@@ -11,6 +35,16 @@ export class SupabaseClient {
     };
   }
 
+  tableUrl(tier = 'hot') {
+    return `${this.url}/rest/v1/${TIER_TABLES[tier] || TIER_TABLES.hot}`;
+  }
+
+  // Trashed rows stay in their table until purged and are only seen when asked for
+  trashFilter(options = {}) {
+    if (options.deletedBefore) return `lt.${options.deletedBefore}`;
+    return options.trashed ? 'not.is.null' : 'is.null';
+  }
+
   async createUser(userId) {
     try {
       const response = await fetch(`${this.url}/rest/v1/users`, {
@@ -36,12 +70,16 @@ export class SupabaseClient {
 
   async storeMemory(memory) {
     try {
-      const response = await fetch(`${this.url}/rest/v1/memories`, {
+      // Upsert so a retried write with the same id doesn't conflict
+      const response = await fetch(this.tableUrl(memory.tier), {
         method: 'POST',
-        headers: this.headers,
+        headers: {
+          ...this.headers,
+          'Prefer': 'return=representation,resolution=merge-duplicates'
+        },
         body: JSON.stringify({
           ...memory,
-          created_at: new Date().toISOString()
+          created_at: memory.created_at || new Date().toISOString()
         })
       });
       
@@ -57,20 +95,81 @@ export class SupabaseClient {
     }
   }
 
+  async updateMemory(id, changes, options = {}) {
+    try {
+      const response = await fetch(`${this.tableUrl(options.tier)}?id=eq.${id}`, {
+        method: 'PATCH',
+        headers: {
+          ...this.headers,
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify(changes)
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Failed to update memory: ${response.status}`);
+      }
+      
+      const data = await response.json();
+      return data[0] || null;
+    } catch (error) {
+      console.error('Update memory error:', error);
+      throw error;
+    }
+  }
+
+  async updateMemories(userId, ids, changes, options = {}) {
+    try {
+      const updated = [];
+      
+      for (const batch of idBatches(ids)) {
+        const params = new URLSearchParams({
+          user_id: `eq.${userId}`,
+          id: `in.(${batch.join(',')})`
+        });
+        
+        const response = await fetch(`${this.tableUrl(options.tier)}?${params}`, {
+          method: 'PATCH',
+          headers: {
+            ...this.headers,
+            'Prefer': 'return=representation'
+          },
+          body: JSON.stringify(changes)
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Failed to update memories: ${response.status}`);
+        }
+        
+        updated.push(...(await response.json()));
+      }
+      
+      return updated;
+    } catch (error) {
+      console.error('Update memories error:', error);
+      throw error;
+    }
+  }
+
   async searchMemories(userId, query, options = {}) {
     try {
       const params = new URLSearchParams({
         user_id: `eq.${userId}`,
+        deleted_at: this.trashFilter(options),
         order: 'created_at.desc',
         limit: options.limit || 5
       });
       
+      if (options.conversation_id) {
+        params.append('conversation_id', `eq.${options.conversation_id}`);
+      }
+      
       // Add text search if query provided
       if (query) {
         params.append('content', `ilike.*${query}*`);
       }
       
-      const response = await fetch(`${this.url}/rest/v1/memories?${params}`, {
+      const response = await fetch(`${this.tableUrl(options.tier)}?${params}`, {
         headers: this.headers
       });
       
@@ -85,21 +184,85 @@ export class SupabaseClient {
     }
   }
 
-  async deleteMemories(userId, options = {}) {
+  // Oldest first, for migration between tiers
+  async listMemories(userId, options = {}) {
     try {
-      let url = `${this.url}/rest/v1/memories?user_id=eq.${userId}`;
+      const params = new URLSearchParams({
+        user_id: `eq.${userId}`,
+        deleted_at: this.trashFilter(options),
+        order: 'created_at.asc',
+        limit: options.limit || 100
+      });
       
-      if (options.after) {
-        url += `&created_at=gte.${options.after}`;
+      if (options.before) {
+        params.append('created_at', `lt.${options.before}`);
       }
       
-      const response = await fetch(url, {
-        method: 'DELETE',
+      const response = await fetch(`${this.tableUrl(options.tier)}?${params}`, {
         headers: this.headers
       });
       
       if (!response.ok) {
-        throw new Error(`Failed to delete memories: ${response.status}`);
+        throw new Error(`Failed to list memories: ${response.status}`);
+      }
+      
+      return await response.json();
+    } catch (error) {
+      console.error('List memories error:', error);
+      throw error;
+    }
+  }
+
+  async getMemoriesByIds(userId, ids, options = {}) {
+    try {
+      const memories = [];
+      
+      for (const batch of idBatches(ids)) {
+        const params = new URLSearchParams({
+          user_id: `eq.${userId}`,
+          id: `in.(${batch.join(',')})`,
+          deleted_at: this.trashFilter(options)
+        });
+        
+        const response = await fetch(`${this.tableUrl(options.tier)}?${params}`, {
+          headers: this.headers
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Failed to get memories: ${response.status}`);
+        }
+        
+        memories.push(...(await response.json()));
+      }
+      
+      return memories;
+    } catch (error) {
+      console.error('Get memories error:', error);
+      return [];
+    }
+  }
+
+  async deleteMemories(userId, options = {}) {
+    try {
+      let url = `${this.tableUrl(options.tier)}?user_id=eq.${userId}&deleted_at=${this.trashFilter(options)}`;
+      
+      if (options.after) {
+        url += `&created_at=gte.${options.after}`;
+      }
+      
+      if (options.before) {
+        url += `&created_at=lt.${options.before}`;
+      }
+      
+      for (const batch of idBatches(options.ids)) {
+        const response = await fetch(batch ? `${url}&id=in.(${batch.join(',')})` : url, {
+          method: 'DELETE',
+          headers: this.headers
+        });
+        
+        if (!response.ok) {
+          throw new Error(`Failed to delete memories: ${response.status}`);
+        }
       }
       
       return { success: true };
@@ -109,10 +272,10 @@ export class SupabaseClient {
     }
   }
 
-  async getMemoryCount(userId) {
+  async getMemoryCount(userId, options = {}) {
     try {
       const response = await fetch(
-        `${this.url}/rest/v1/memories?user_id=eq.${userId}&select=count`,
+        `${this.tableUrl(options.tier)}?user_id=eq.${userId}&deleted_at=${this.trashFilter(options)}&select=count`,
         {
           headers: {
             ...this.headers,
@@ -138,18 +301,59 @@ export class SupabaseClient {
     }
   }
 
-  async exportMemories(userId) {
+  async exportMemories(userId, options = {}) {
     try {
-      const response = await fetch(
-        `${this.url}/rest/v1/memories?user_id=eq.${userId}&order=created_at.desc`,
-        { headers: this.headers }
-      );
+      const memories = [];
       
-      if (!response.ok) {
-        throw new Error(`Failed to export: ${response.status}`);
+      for (const batch of idBatches(options.ids)) {
+        // The server may cap pages below EXPORT_PAGE_SIZE, so step by what came
+        // back and stop on an empty page rather than a short one
+        for (let offset = 0; ;) {
+          const params = new URLSearchParams({
+            user_id: `eq.${userId}`,
+            deleted_at: this.trashFilter(options),
+            order: 'created_at.desc,id.asc',
+            limit: EXPORT_PAGE_SIZE,
+            offset
+          });
+          
+          if (options.after) {
+            params.append('created_at', `gte.${options.after}`);
+          }
+          if (options.before) {
+            params.append('created_at', `lt.${options.before}`);
+          }
+          if (options.site) {
+            params.append('site', `eq.${options.site}`);
+          }
+          if (options.conversation_id) {
+            params.append('conversation_id', `eq.${options.conversation_id}`);
+          }
+          if (batch) {
+            params.append('id', `in.(${batch.join(',')})`);
+          }
+          
+          const response = await fetch(`${this.tableUrl(options.tier)}?${params}`, {
+            headers: this.headers
+          });
+          
+          if (!response.ok) {
+            throw new Error(`Failed to export: ${response.status}`);
+          }
+          
+          const page = await response.json();
+          if (page.length === 0) break;
+          memories.push(...page);
+          offset += page.length;
+        }
       }
       
-      return await response.json();
+      // Each batch comes back in order; keep the combined list in the same order
+      if (options.ids) {
+        memories.sort((a, b) => b.created_at.localeCompare(a.created_at) || String(a.id).localeCompare(String(b.id)));
+      }
+      
+      return memories;
     } catch (error) {
       console.error('Export error:', error);
       throw error;
@@ -0,0 +1,136 @@
+// Text utilities shared by the on-device search features
+
+export const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any',
+  'are', 'as', 'at', 'be', 'because', 'been', 'before', 'being', 'both', 'but',
+  'by', 'can', 'could', 'did', 'do', 'does', 'doing', 'for', 'from', 'had',
+  'has', 'have', 'having', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no', 'not', 'of', 'on',
+  'or', 'our', 'out', 'over', 'she', 'so', 'some', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to',
+  'too', 'up', 'us', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Lowercased word tokens with stopwords removed
+export function tokenize(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])
+    .filter(token => !STOPWORDS.has(token));
+}
+
+// 32-bit FNV-1a hash
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Porter stemmer (English), applied to plain ASCII words only
+const STEP2_SUFFIXES = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const STEP3_SUFFIXES = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONSONANTS = CONSONANT + '[^aeiouy]*';
+const VOWELS = VOWEL + '[aeiou]*';
+
+const MEASURE_GT_0 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS);
+const MEASURE_EQ_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + '(' + VOWELS + ')?$');
+const MEASURE_GT_1 = new RegExp('^(' + CONSONANTS + ')?' + VOWELS + CONSONANTS + VOWELS + CONSONANTS);
+const HAS_VOWEL = new RegExp('^(' + CONSONANTS + ')?' + VOWEL);
+const ENDS_CVC = new RegExp('^' + CONSONANTS + VOWEL + '[^aeiouwxy]$');
+
+export function stem(word) {
+  if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+  let w = word;
+  let match;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) {
+      w += 'e';
+    } else if (/([^aeiouylsz])\1$/.test(w)) {
+      w = w.slice(0, -1);
+    } else if (ENDS_CVC.test(w)) {
+      w += 'e';
+    }
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: trailing e and double l
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) {
+      w = base;
+    }
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+// Tokens as indexed for keyword search: stopwords removed, then stemmed
+export function analyze(text) {
+  return tokenize(text).map(stem);
+}
+
+// True when the text contains every query term; stopword-only queries
+// fall back to a plain substring match
+export function matchesQuery(text, query) {
+  const terms = analyze(query);
+  if (terms.length === 0) {
+    return text.toLowerCase().includes(query.trim().toLowerCase());
+  }
+
+  const textTerms = new Set(analyze(text));
+  return terms.every(term => textTerms.has(term));
+}
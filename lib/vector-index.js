@@ -0,0 +1,64 @@
+// Local vector index for Kit Memory Extension
+// Keeps one embedding per memory in IndexedDB, whatever backend holds the content
+
+import { openDatabase, promisifyRequest, withTransaction, matchesFilters } from './db.js';
+import { embedText, cosineSimilarity } from './embeddings.js';
+
+export class VectorIndex {
+  constructor(dbName) {
+    this.dbName = dbName;
+  }
+
+  async getUserVectors(userId) {
+    const db = await openDatabase(this.dbName);
+    const store = db.transaction('vectors', 'readonly').objectStore('vectors');
+    return await promisifyRequest(store.index('user_id').getAll(userId));
+  }
+
+  async addMemory(memory) {
+    const entry = {
+      id: memory.id,
+      user_id: memory.user_id,
+      conversation_id: memory.conversation_id,
+      tier: memory.tier || 'hot',
+      created_at: memory.created_at || new Date().toISOString(),
+      vector: embedText(memory.content)
+    };
+
+    await withTransaction(this.dbName, 'vectors', 'readwrite', store => store.put(entry));
+    return entry;
+  }
+
+  async getIndexedIds(userId) {
+    const vectors = await this.getUserVectors(userId);
+    return new Set(vectors.map(v => v.id));
+  }
+
+  // Nearest memories to the query vector, best first; `tier` limits the search to one tier
+  async search(userId, queryVector, options = {}) {
+    const minSimilarity = options.minSimilarity ?? 0.08;
+    const vectors = await this.getUserVectors(userId);
+
+    return vectors
+      .filter(entry => matchesFilters(entry, { tier: options.tier }))
+      .map(entry => ({
+        id: entry.id,
+        conversation_id: entry.conversation_id,
+        tier: entry.tier || 'hot',
+        created_at: entry.created_at,
+        similarity: cosineSimilarity(queryVector, entry.vector)
+      }))
+      .filter(hit => hit.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, options.limit || 20);
+  }
+
+  async deleteMemories(userId, options = {}) {
+    const vectors = await this.getUserVectors(userId);
+    const doomed = vectors.filter(v => matchesFilters(v, options));
+
+    await withTransaction(this.dbName, 'vectors', 'readwrite', store => {
+      doomed.forEach(v => store.delete(v.id));
+    });
+  }
+}
@@ -0,0 +1,1063 @@
+// Options page logic for Kit Memory Extension
+
+import { parseChatGPTExport, parseClaudeExport } from '../lib/importers.js';
+import { buildExport } from '../lib/exporters.js';
+import { MessageParser } from '../lib/parser.js';
+import { matchesQuery } from '../lib/text.js';
+import { SITE_ADAPTERS, parseSelectorOverrides } from '../lib/sites.js';
+import { CAPTURE_RULE_ACTIONS, validateCaptureRule } from '../lib/exclusions.js';
+import { REDACTION_ACTIONS, REDACTION_CATEGORIES, DEFAULT_REDACTION_SETTINGS, validateCustomRule } from '../lib/redaction.js';
+
+// Small batches keep each message to the service worker quick
+const IMPORT_BATCH_SIZE = 50;
+
+const PARSERS = {
+  chatgpt: parseChatGPTExport,
+  claude: parseClaudeExport
+};
+
+// Conversations rendered per page of the memory browser
+const BROWSE_PAGE_SIZE = 50;
+
+const SITE_NAMES = Object.fromEntries(
+  Object.entries(SITE_ADAPTERS).map(([site, adapter]) => [site, adapter.name])
+);
+
+// Page parts whose selectors are tracked, as named in the health list
+const PART_LABELS = {
+  input: 'Chat input',
+  sendButton: 'Send button',
+  conversationContainer: 'Conversation',
+  messages: 'Messages'
+};
+
+// Trashed memories listed at once; the rest are still purged or emptied
+const TRASH_DISPLAY_LIMIT = 100;
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Elements
+  const elements = {
+    browseQuery: document.getElementById('browseQuery'),
+    browseSite: document.getElementById('browseSite'),
+    browseRole: document.getElementById('browseRole'),
+    browseFrom: document.getElementById('browseFrom'),
+    browseTo: document.getElementById('browseTo'),
+    browseConversation: document.getElementById('browseConversation'),
+    browseStatus: document.getElementById('browseStatus'),
+    deleteSelected: document.getElementById('deleteSelected'),
+    deleteMatching: document.getElementById('deleteMatching'),
+    undoBar: document.getElementById('undoBar'),
+    undoText: document.getElementById('undoText'),
+    undoDelete: document.getElementById('undoDelete'),
+    extractFacts: document.getElementById('extractFacts'),
+    suggestedFacts: document.getElementById('suggestedFacts'),
+    suggestedList: document.getElementById('suggestedList'),
+    factList: document.getElementById('factList'),
+    factContent: document.getElementById('factContent'),
+    factSite: document.getElementById('factSite'),
+    factProject: document.getElementById('factProject'),
+    factStatus: document.getElementById('factStatus'),
+    addFact: document.getElementById('addFact'),
+    captureRules: document.getElementById('captureRules'),
+    ruleMode: document.getElementById('ruleMode'),
+    ruleSite: document.getElementById('ruleSite'),
+    ruleUrl: document.getElementById('ruleUrl'),
+    captureStatus: document.getElementById('captureStatus'),
+    addCaptureRule: document.getElementById('addCaptureRule'),
+    excludedConversations: document.getElementById('excludedConversations'),
+    redactionActions: document.getElementById('redactionActions'),
+    redactionRules: document.getElementById('redactionRules'),
+    ruleName: document.getElementById('ruleName'),
+    rulePattern: document.getElementById('rulePattern'),
+    ruleAction: document.getElementById('ruleAction'),
+    redactionStatus: document.getElementById('redactionStatus'),
+    addRule: document.getElementById('addRule'),
+    trashRetention: document.getElementById('trashRetention'),
+    trashStatus: document.getElementById('trashStatus'),
+    emptyTrash: document.getElementById('emptyTrash'),
+    trashList: document.getElementById('trashList'),
+    memoryList: document.getElementById('memoryList'),
+    showMore: document.getElementById('showMore'),
+    importSource: document.getElementById('importSource'),
+    importFile: document.getElementById('importFile'),
+    startImport: document.getElementById('startImport'),
+    importProgress: document.getElementById('importProgress'),
+    importProgressBar: document.getElementById('importProgressBar'),
+    importStatus: document.getElementById('importStatus'),
+    exportFormat: document.getElementById('exportFormat'),
+    exportFrom: document.getElementById('exportFrom'),
+    exportTo: document.getElementById('exportTo'),
+    exportSite: document.getElementById('exportSite'),
+    exportConversation: document.getElementById('exportConversation'),
+    startExport: document.getElementById('startExport'),
+    exportStatus: document.getElementById('exportStatus'),
+    selectorHealth: document.getElementById('selectorHealth'),
+    selectorFile: document.getElementById('selectorFile'),
+    selectorStatus: document.getElementById('selectorStatus'),
+    loadSelectors: document.getElementById('loadSelectors'),
+    resetSelectors: document.getElementById('resetSelectors')
+  };
+
+  const parser = new MessageParser();
+  const browser = {
+    memories: [],
+    visible: BROWSE_PAGE_SIZE,
+    selected: new Set(),
+    lastTrashed: []
+  };
+  let trash = [];
+  let redaction = DEFAULT_REDACTION_SETTINGS;
+
+  // Site pickers offer every platform with an adapter
+  [elements.browseSite, elements.factSite, elements.ruleSite, elements.exportSite].forEach(select => {
+    for (const [site, name] of Object.entries(SITE_NAMES)) {
+      select.add(new Option(name, site));
+    }
+  });
+
+  // Site, dates and conversation are filtered by the store; role and text here
+  async function loadMemories() {
+    setStatus(elements.browseStatus, 'Loading...');
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'LIST_MEMORIES',
+        filters: getBrowseFilters()
+      });
+      
+      if (!result?.success) {
+        setStatus(elements.browseStatus, result?.error || 'Failed to load memories', 'error');
+        return;
+      }
+      
+      browser.memories = result.memories;
+      browser.visible = BROWSE_PAGE_SIZE;
+      browser.selected.clear();
+      renderMemories();
+      
+    } catch (error) {
+      console.error('Load memories error:', error);
+      setStatus(elements.browseStatus, 'Error loading memories', 'error');
+    }
+  }
+
+  function getBrowseFilters() {
+    return {
+      ...getDateRange(elements.browseFrom, elements.browseTo),
+      site: elements.browseSite.value || undefined,
+      conversationId: elements.browseConversation.value.trim() || undefined
+    };
+  }
+
+  function filterMemories() {
+    const role = elements.browseRole.value;
+    const query = elements.browseQuery.value.trim();
+    
+    // Artifacts and attachments have a role too, but are listed by kind
+    return browser.memories.filter(memory =>
+      (!role || (memory.kind ? memory.kind === role : memory.role === role))
+      && (!query || matchesQuery(memory.content, query))
+    );
+  }
+
+  function renderMemories() {
+    const memories = filterMemories();
+    const grouped = parser.groupByConversation(memories);
+    
+    // Most recently active conversations first
+    const conversations = Object.entries(grouped).sort(([, a], [, b]) =>
+      new Date(b[b.length - 1].created_at) - new Date(a[a.length - 1].created_at)
+    );
+    
+    elements.memoryList.replaceChildren(
+      ...conversations.slice(0, browser.visible).map(([convId, convMemories]) =>
+        renderConversation(convId, convMemories)
+      )
+    );
+    
+    elements.showMore.style.display = conversations.length > browser.visible ? 'block' : 'none';
+    setStatus(elements.browseStatus, `${memories.length} memories in ${conversations.length} conversations`);
+    updateSelection();
+  }
+
+  function renderConversation(convId, convMemories) {
+    const section = document.createElement('div');
+    section.className = 'conversation';
+    
+    const header = document.createElement('div');
+    header.className = 'conversation-header';
+    
+    const selectAll = document.createElement('input');
+    selectAll.type = 'checkbox';
+    selectAll.checked = convMemories.every(memory => browser.selected.has(memory.id));
+    selectAll.addEventListener('change', () => {
+      convMemories.forEach(memory => {
+        if (selectAll.checked) browser.selected.add(memory.id);
+        else browser.selected.delete(memory.id);
+      });
+      section.querySelectorAll('.memory input[type="checkbox"]').forEach(box => {
+        box.checked = selectAll.checked;
+      });
+      updateSelection();
+    });
+    
+    const title = document.createElement('span');
+    title.textContent = convMemories[0].metadata?.title
+      || `Conversation from ${new Date(convMemories[0].created_at).toLocaleDateString()}`;
+    
+    const details = document.createElement('span');
+    details.className = 'hint';
+    details.textContent = [convMemories[0].site, convId].filter(Boolean).join(' · ');
+    
+    header.append(selectAll, title, details);
+    section.append(header, ...convMemories.map(renderMemory));
+    return section;
+  }
+
+  function renderMemory(memory) {
+    const formatted = parser.formatMemory(memory);
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = browser.selected.has(memory.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) browser.selected.add(memory.id);
+      else browser.selected.delete(memory.id);
+      updateSelection();
+    });
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = memory.role === 'summary' ? `Summary (${new Date(memory.created_at).toLocaleString()})` : formatted.header;
+    
+    if (memory.tier && memory.tier !== 'hot') {
+      const tier = document.createElement('span');
+      tier.className = 'tier';
+      tier.textContent = memory.tier;
+      header.append(tier);
+    }
+    
+    // Replaced by an edit or regeneration
+    if (memory.superseded_at || memory.metadata?.active_branch === false) {
+      const version = document.createElement('span');
+      version.className = 'tier';
+      version.textContent = 'earlier version';
+      header.append(version);
+    }
+    
+    if (memory.metadata?.redactions) {
+      const redacted = document.createElement('span');
+      redacted.className = 'tier';
+      redacted.textContent = 'redacted';
+      redacted.title = Object.entries(memory.metadata.redactions).map(([type, count]) => `${type} × ${count}`).join(', ');
+      header.append(redacted);
+    }
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = formatted.content;
+    
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    actions.append(
+      createButton('Edit', 'btn-secondary', () => startEditing(memory, body, content, actions)),
+      createButton('Delete', 'btn-danger', () => trashMemories({ ids: [memory.id] }))
+    );
+    
+    body.append(header, content, actions);
+    item.append(checkbox, body);
+    return item;
+  }
+
+  function startEditing(memory, body, content, actions) {
+    const textarea = document.createElement('textarea');
+    textarea.value = memory.content;
+    
+    const editActions = document.createElement('div');
+    editActions.className = 'memory-actions';
+    
+    const finish = () => {
+      textarea.replaceWith(content);
+      editActions.replaceWith(actions);
+    };
+    
+    editActions.append(
+      createButton('Save', 'btn-primary', async (button) => {
+        button.disabled = true;
+        const result = await chrome.runtime.sendMessage({
+          type: 'UPDATE_MEMORY',
+          id: memory.id,
+          tier: memory.tier,
+          content: textarea.value
+        });
+        
+        if (result?.success) {
+          memory.content = result.memory.content;
+          content.textContent = memory.content;
+          finish();
+        } else {
+          button.disabled = false;
+          setStatus(elements.browseStatus, result?.error || 'Failed to save memory', 'error');
+        }
+      }),
+      createButton('Cancel', 'btn-secondary', finish)
+    );
+    
+    content.replaceWith(textarea);
+    actions.replaceWith(editActions);
+    textarea.focus();
+  }
+
+  // Deletes go to the trash first, so each one can be undone
+  async function trashMemories(filters) {
+    const result = await chrome.runtime.sendMessage({ type: 'TRASH_MEMORIES', filters });
+    
+    if (!result?.success) {
+      setStatus(elements.browseStatus, result?.error || 'Failed to delete memories', 'error');
+      return;
+    }
+    
+    browser.lastTrashed = result.memories;
+    elements.undoText.textContent = `Moved ${result.count} memories to the trash`;
+    elements.undoBar.style.display = 'flex';
+    
+    await loadMemories();
+    loadTrash();
+  }
+
+  async function restoreMemories(memories) {
+    const result = await chrome.runtime.sendMessage({ type: 'RESTORE_MEMORIES', memories });
+    
+    if (!result?.success) {
+      setStatus(elements.trashStatus, result?.error || 'Failed to restore memories', 'error');
+      return;
+    }
+    
+    await loadMemories();
+    loadTrash();
+  }
+
+  function updateSelection() {
+    const count = browser.selected.size;
+    elements.deleteSelected.disabled = count === 0;
+    elements.deleteSelected.textContent = count ? `Delete Selected (${count})` : 'Delete Selected';
+  }
+
+  function createButton(text, className, onClick) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+  }
+
+  elements.deleteSelected.addEventListener('click', () => {
+    trashMemories({ ids: [...browser.selected] });
+  });
+
+  // Same filters as the list: conversation, site, dates, role and keywords
+  elements.deleteMatching.addEventListener('click', () => {
+    const count = filterMemories().length;
+    if (count === 0) return;
+    if (!confirm(`Move all ${count} matching memories to the trash?`)) return;
+    
+    trashMemories({
+      ...getBrowseFilters(),
+      role: elements.browseRole.value || undefined,
+      query: elements.browseQuery.value.trim() || undefined
+    });
+  });
+
+  elements.undoDelete.addEventListener('click', async () => {
+    elements.undoBar.style.display = 'none';
+    await restoreMemories(browser.lastTrashed);
+    browser.lastTrashed = [];
+  });
+
+  elements.showMore.addEventListener('click', () => {
+    browser.visible += BROWSE_PAGE_SIZE;
+    renderMemories();
+  });
+
+  // Role and text filter what is already loaded; the rest refetch
+  let searchTimer = null;
+  elements.browseQuery.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+      browser.visible = BROWSE_PAGE_SIZE;
+      renderMemories();
+    }, 200);
+  });
+  elements.browseRole.addEventListener('change', renderMemories);
+  [elements.browseSite, elements.browseFrom, elements.browseTo, elements.browseConversation]
+    .forEach(input => input.addEventListener('change', loadMemories));
+
+  loadMemories();
+
+  // Pinned facts
+  async function loadFacts() {
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'LIST_FACTS' });
+      
+      if (!result?.success) {
+        setStatus(elements.factStatus, result?.error || 'Failed to load facts', 'error');
+        return;
+      }
+      
+      // Superseded and rejected facts stay on file but out of sight
+      const pinned = result.facts.filter(fact => !fact.status || fact.status === 'active');
+      const suggested = result.facts.filter(fact => fact.status === 'pending');
+      
+      elements.factList.replaceChildren(...pinned.map(renderFact));
+      elements.suggestedList.replaceChildren(...suggested.map(renderFact));
+      elements.suggestedFacts.style.display = suggested.length > 0 ? 'block' : 'none';
+      setStatus(elements.factStatus, `${pinned.length} pinned facts`);
+      
+    } catch (error) {
+      console.error('Load facts error:', error);
+      setStatus(elements.factStatus, 'Error loading facts', 'error');
+    }
+  }
+
+  function renderFact(fact) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = [
+      fact.site ? SITE_NAMES[fact.site] : 'All sites',
+      fact.project ? `project "${fact.project}"` : null,
+      fact.source ? `from ${SITE_NAMES[fact.source.site] || 'a'} chat on ${new Date(fact.source.created_at).toLocaleDateString()}` : null
+    ].filter(Boolean).join(' · ');
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = fact.content;
+    
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    if (fact.status === 'pending') {
+      actions.append(createButton('Approve', 'btn-primary', () => reviewFact(fact, true)));
+    }
+    actions.append(createButton('Edit', 'btn-secondary', () => editFact(fact, content, actions)));
+    if (fact.source?.conversation_id) {
+      actions.append(createButton('Show Source', 'btn-secondary', () => showConversation(fact.source.conversation_id)));
+    }
+    actions.append(fact.status === 'pending'
+      ? createButton('Reject', 'btn-danger', () => reviewFact(fact, false))
+      : createButton('Delete', 'btn-danger', () => deleteFact(fact)));
+    
+    body.append(header, content, actions);
+    item.append(body);
+    return item;
+  }
+
+  async function reviewFact(fact, approve) {
+    const result = await chrome.runtime.sendMessage({ type: 'REVIEW_FACT', id: fact.id, approve });
+    
+    if (!result?.success) {
+      setStatus(elements.factStatus, result?.error || 'Failed to update fact', 'error');
+      return;
+    }
+    
+    // Read by the background worker on each captured message
+  elements.extractFacts.addEventListener('change', () => {
+    chrome.storage.local.set({ extractFacts: elements.extractFacts.checked });
+  });
+
+  chrome.storage.local.get('extractFacts').then(({ extractFacts = true }) => {
+    elements.extractFacts.checked = extractFacts;
+  });
+
+  loadFacts();
+  }
+
+  // Opens the memory browser on the conversation a fact came from
+  function showConversation(conversationId) {
+    elements.browseConversation.value = conversationId;
+    loadMemories();
+    document.getElementById('browserSection').scrollIntoView({ behavior: 'smooth' });
+  }
+
+  function editFact(fact, content, actions) {
+    const textarea = document.createElement('textarea');
+    textarea.value = fact.content;
+    
+    const editActions = document.createElement('div');
+    editActions.className = 'memory-actions';
+    editActions.append(
+      createButton('Save', 'btn-primary', async (button) => {
+        button.disabled = true;
+        if (await saveFact({ ...fact, content: textarea.value })) return;
+        button.disabled = false;
+      }),
+      createButton('Cancel', 'btn-secondary', () => {
+        textarea.replaceWith(content);
+        editActions.replaceWith(actions);
+      })
+    );
+    
+    content.replaceWith(textarea);
+    actions.replaceWith(editActions);
+    textarea.focus();
+  }
+
+  // Returns true once saved and the list is reloaded
+  async function saveFact(fact) {
+    const result = await chrome.runtime.sendMessage({ type: 'SAVE_FACT', fact });
+    
+    if (!result?.success) {
+      setStatus(elements.factStatus, result?.error || 'Failed to save fact', 'error');
+      return false;
+    }
+    
+    await loadFacts();
+    return true;
+  }
+
+  async function deleteFact(fact) {
+    if (!confirm('Delete this pinned fact?')) return;
+    
+    const result = await chrome.runtime.sendMessage({ type: 'DELETE_FACT', id: fact.id });
+    
+    if (!result?.success) {
+      setStatus(elements.factStatus, result?.error || 'Failed to delete fact', 'error');
+      return;
+    }
+    
+    loadFacts();
+  }
+
+  elements.addFact.addEventListener('click', async () => {
+    elements.addFact.disabled = true;
+    
+    const saved = await saveFact({
+      content: elements.factContent.value,
+      site: elements.factSite.value,
+      project: elements.factProject.value
+    });
+    
+    if (saved) {
+      elements.factContent.value = '';
+      elements.factProject.value = '';
+    }
+    elements.addFact.disabled = false;
+  });
+
+  loadFacts();
+
+  // Capture rules and excluded conversations, checked by the background worker on each capture
+  async function loadCaptureSettings() {
+    const { captureRules = [], excludedConversations = {} } = await chrome.storage.local.get(['captureRules', 'excludedConversations']);
+    elements.captureRules.replaceChildren(...captureRules.map((rule, index) => renderCaptureRule(rule, index, captureRules)));
+    
+    const excluded = Object.entries(excludedConversations)
+      .sort(([, a], [, b]) => new Date(b.excluded_at) - new Date(a.excluded_at));
+    elements.excludedConversations.replaceChildren(...excluded.map(([id, entry]) => renderExcludedConversation(id, entry)));
+    if (excluded.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'hint';
+      empty.textContent = 'Exclude a conversation from the popup, or with /kit exclude in the chat.';
+      elements.excludedConversations.append(empty);
+    }
+  }
+
+  function renderCaptureRule(rule, index, rules) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = `${CAPTURE_RULE_ACTIONS[rule.action]} · ${rule.site ? SITE_NAMES[rule.site] : 'All sites'}`;
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = rule.pattern || 'Every page';
+    
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    actions.append(createButton('Delete', 'btn-danger', () => {
+      chrome.storage.local.set({ captureRules: rules.filter((_, i) => i !== index) });
+    }));
+    
+    body.append(header, content, actions);
+    item.append(body);
+    return item;
+  }
+
+  function renderExcludedConversation(id, entry) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = `${SITE_NAMES[entry.site] || 'Unknown site'} · excluded ${new Date(entry.excluded_at).toLocaleDateString()}`;
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = entry.title || id;
+    
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    actions.append(
+      createButton('Show Messages', 'btn-secondary', () => showConversation(id)),
+      createButton('Remember Again', 'btn-secondary', async () => {
+        const { excludedConversations = {} } = await chrome.storage.local.get('excludedConversations');
+        delete excludedConversations[id];
+        await chrome.storage.local.set({ excludedConversations });
+      })
+    );
+    
+    body.append(header, content, actions);
+    item.append(body);
+    return item;
+  }
+
+  elements.addCaptureRule.addEventListener('click', async () => {
+    const rule = {
+      action: elements.ruleMode.value,
+      site: elements.ruleSite.value,
+      pattern: elements.ruleUrl.value.trim()
+    };
+    
+    try {
+      validateCaptureRule(rule);
+    } catch (error) {
+      setStatus(elements.captureStatus, error.message, 'error');
+      return;
+    }
+    
+    const { captureRules = [] } = await chrome.storage.local.get('captureRules');
+    await chrome.storage.local.set({ captureRules: [...captureRules, rule] });
+    elements.ruleUrl.value = '';
+    setStatus(elements.captureStatus, 'Rule added', 'success');
+  });
+
+  for (const [action, label] of Object.entries(CAPTURE_RULE_ACTIONS)) {
+    elements.ruleMode.add(new Option(label, action));
+  }
+
+  // The popup and `/kit exclude` change the list too
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.captureRules || changes.excludedConversations)) {
+      loadCaptureSettings();
+    }
+  });
+
+  loadCaptureSettings();
+
+  // Redaction: applied by the content script, which reads these settings from storage
+  async function loadRedaction() {
+    const { redaction: stored } = await chrome.storage.local.get('redaction');
+    redaction = {
+      actions: { ...DEFAULT_REDACTION_SETTINGS.actions, ...stored?.actions },
+      customRules: stored?.customRules || []
+    };
+    renderRedaction();
+  }
+
+  function renderRedaction() {
+    elements.redactionActions.replaceChildren(...Object.entries(REDACTION_CATEGORIES).map(([category, label]) => {
+      const field = document.createElement('label');
+      field.className = 'inline-field';
+      
+      const select = createActionSelect(redaction.actions[category]);
+      select.addEventListener('change', () => {
+        saveRedaction({ ...redaction, actions: { ...redaction.actions, [category]: select.value } });
+      });
+      
+      field.append(label, select);
+      return field;
+    }));
+    
+    elements.redactionRules.replaceChildren(...redaction.customRules.map(renderRule));
+  }
+
+  function renderRule(rule, index) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = `${rule.name} · ${REDACTION_ACTIONS[rule.action]}`;
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = rule.pattern;
+    
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    actions.append(createButton('Delete', 'btn-danger', () => {
+      saveRedaction({ ...redaction, customRules: redaction.customRules.filter((_, i) => i !== index) });
+    }));
+    
+    body.append(header, content, actions);
+    item.append(body);
+    return item;
+  }
+
+  function createActionSelect(value) {
+    const select = document.createElement('select');
+    for (const [action, label] of Object.entries(REDACTION_ACTIONS)) {
+      select.add(new Option(label, action));
+    }
+    select.value = value;
+    return select;
+  }
+
+  async function saveRedaction(settings) {
+    redaction = settings;
+    await chrome.storage.local.set({ redaction });
+    renderRedaction();
+    setStatus(elements.redactionStatus, 'Saved. Applies to messages captured from now on', 'success');
+  }
+
+  elements.addRule.addEventListener('click', async () => {
+    const rule = {
+      name: elements.ruleName.value.trim(),
+      pattern: elements.rulePattern.value,
+      action: elements.ruleAction.value
+    };
+    
+    try {
+      validateCustomRule(rule);
+    } catch (error) {
+      setStatus(elements.redactionStatus, error.message, 'error');
+      return;
+    }
+    
+    await saveRedaction({ ...redaction, customRules: [...redaction.customRules, rule] });
+    elements.ruleName.value = '';
+    elements.rulePattern.value = '';
+  });
+
+  for (const [action, label] of Object.entries(REDACTION_ACTIONS)) {
+    elements.ruleAction.add(new Option(label, action));
+  }
+
+  loadRedaction();
+
+  // Trash
+  async function loadTrash() {
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'LIST_MEMORIES',
+        filters: { trashed: true }
+      });
+      
+      if (!result?.success) {
+        setStatus(elements.trashStatus, result?.error || 'Failed to load trash', 'error');
+        return;
+      }
+      
+      trash = result.memories.sort((a, b) => new Date(b.deleted_at) - new Date(a.deleted_at));
+      renderTrash();
+      
+    } catch (error) {
+      console.error('Load trash error:', error);
+      setStatus(elements.trashStatus, 'Error loading trash', 'error');
+    }
+  }
+
+  function renderTrash() {
+    elements.trashList.replaceChildren(...trash.slice(0, TRASH_DISPLAY_LIMIT).map(renderTrashItem));
+    elements.emptyTrash.disabled = trash.length === 0;
+    
+    const shown = Math.min(trash.length, TRASH_DISPLAY_LIMIT);
+    setStatus(elements.trashStatus, trash.length > shown
+      ? `Showing ${shown} of ${trash.length} deleted memories`
+      : `${trash.length} deleted memories`);
+  }
+
+  function renderTrashItem(memory) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = `${parser.formatMemory(memory).header} · deleted ${new Date(memory.deleted_at).toLocaleString()}`;
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = memory.content.length > 300 ? `${memory.content.substring(0, 300)}...` : memory.content;
+    
+    const ref = { id: memory.id, tier: memory.tier };
+    const actions = document.createElement('div');
+    actions.className = 'memory-actions';
+    actions.append(
+      createButton('Restore', 'btn-secondary', () => restoreMemories([ref])),
+      createButton('Delete Forever', 'btn-danger', () => purgeMemories([ref]))
+    );
+    
+    body.append(header, content, actions);
+    item.append(body);
+    return item;
+  }
+
+  async function purgeMemories(memories) {
+    const label = memories.length === 1 ? 'this memory' : `${memories.length} memories`;
+    if (!confirm(`Permanently delete ${label}? This cannot be undone.`)) return;
+    
+    const result = await chrome.runtime.sendMessage({ type: 'DELETE_MEMORIES', memories });
+    
+    if (!result?.success) {
+      setStatus(elements.trashStatus, result?.error || 'Failed to delete memories', 'error');
+      return;
+    }
+    
+    loadTrash();
+  }
+
+  elements.emptyTrash.addEventListener('click', () => {
+    purgeMemories(trash.map(memory => ({ id: memory.id, tier: memory.tier })));
+  });
+
+  // Read by the daily purge in the background worker
+  elements.trashRetention.addEventListener('change', () => {
+    chrome.storage.local.set({ trashRetentionDays: Number(elements.trashRetention.value) });
+  });
+
+  chrome.storage.local.get('trashRetentionDays').then(({ trashRetentionDays = 30 }) => {
+    elements.trashRetention.value = String(trashRetentionDays);
+  });
+
+  loadTrash();
+
+  // Site selectors: what still matches on each site, and override files
+  async function loadSelectors() {
+    const { selectorHealth = {}, selectorOverrides } = await chrome.storage.local.get(['selectorHealth', 'selectorOverrides']);
+    const sites = Object.entries(selectorHealth);
+    
+    elements.selectorHealth.replaceChildren(...sites.map(([site, health]) => renderSelectorHealth(site, health)));
+    if (sites.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'hint';
+      empty.textContent = 'Kit reports here once you open a supported chat site.';
+      elements.selectorHealth.append(empty);
+    }
+    
+    setStatus(elements.selectorStatus, selectorOverrides
+      ? `Using ${selectorOverrides.file}, loaded ${new Date(selectorOverrides.loaded_at).toLocaleDateString()}`
+      : 'Using built-in selectors');
+    elements.resetSelectors.disabled = !selectorOverrides;
+  }
+
+  function renderSelectorHealth(site, health) {
+    const item = document.createElement('div');
+    item.className = 'memory';
+    
+    const body = document.createElement('div');
+    body.className = 'memory-body';
+    
+    const header = document.createElement('div');
+    header.className = 'memory-header';
+    header.textContent = [
+      SITE_NAMES[site] || health.name || site,
+      health.problem === 'missing' ? 'capture is failing'
+        : health.problem === 'heuristic' ? 'selectors need updating' : 'working',
+      `checked ${new Date(health.updated_at).toLocaleString()}`
+    ].join(' · ');
+    
+    const content = document.createElement('div');
+    content.className = 'memory-content';
+    content.textContent = Object.entries(health.parts).map(([part, state]) => {
+      const found = state.status === 'ok' ? `found by ${state.match}`
+        : state.status === 'heuristic' ? 'found by guessing, no selector matched' : 'not found';
+      return `${PART_LABELS[part] || part}: ${found}${state.misses ? `, missed ${state.misses} times` : ''}`;
+    }).join('\n');
+    
+    body.append(header, content);
+    item.append(body);
+    return item;
+  }
+
+  elements.loadSelectors.addEventListener('click', async () => {
+    const file = elements.selectorFile.files[0];
+    if (!file) {
+      setStatus(elements.selectorStatus, 'Choose a selector file first', 'error');
+      return;
+    }
+    
+    try {
+      const sites = parseSelectorOverrides(JSON.parse(await file.text()));
+      
+      // Open chat tabs pick this up from storage
+      await chrome.storage.local.set({
+        selectorOverrides: { file: file.name, loaded_at: new Date().toISOString(), sites }
+      });
+      elements.selectorFile.value = '';
+    } catch (error) {
+      console.error('Load selectors error:', error);
+      setStatus(elements.selectorStatus, `Could not load selectors: ${error.message}`, 'error');
+    }
+  });
+
+  elements.resetSelectors.addEventListener('click', () => {
+    chrome.storage.local.remove('selectorOverrides');
+  });
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && (changes.selectorHealth || changes.selectorOverrides)) {
+      loadSelectors();
+    }
+  });
+
+  loadSelectors();
+
+  // Import history from a data export
+  elements.startImport.addEventListener('click', async () => {
+    const file = elements.importFile.files[0];
+    if (!file) {
+      setStatus(elements.importStatus, 'Choose an export file first', 'error');
+      return;
+    }
+    
+    elements.startImport.disabled = true;
+    
+    try {
+      const parse = PARSERS[elements.importSource.value];
+      const memories = parse(JSON.parse(await file.text()));
+      
+      if (memories.length === 0) {
+        setStatus(elements.importStatus, 'No messages found in this file', 'error');
+        return;
+      }
+      
+      const totals = await importInBatches(memories);
+      setStatus(elements.importStatus, `Imported ${totals.imported} messages, skipped ${totals.duplicates} already in Kit`, 'success');
+      
+    } catch (error) {
+      console.error('Import error:', error);
+      setStatus(elements.importStatus, error instanceof SyntaxError ? 'This file is not valid JSON' : `Import failed: ${error.message}`, 'error');
+    } finally {
+      elements.startImport.disabled = false;
+    }
+  });
+
+  async function importInBatches(memories) {
+    const totals = { imported: 0, duplicates: 0 };
+    elements.importProgress.style.display = 'block';
+    updateProgress(0, memories.length);
+    
+    for (let i = 0; i < memories.length; i += IMPORT_BATCH_SIZE) {
+      const result = await chrome.runtime.sendMessage({
+        type: 'IMPORT_MEMORIES',
+        memories: memories.slice(i, i + IMPORT_BATCH_SIZE)
+      });
+      
+      // Batches already stored stay stored; report how far we got
+      if (!result?.success) {
+        throw new Error(`${result?.error || 'Unknown error'} after ${totals.imported} messages`);
+      }
+      
+      totals.imported += result.imported;
+      totals.duplicates += result.duplicates;
+      updateProgress(Math.min(i + IMPORT_BATCH_SIZE, memories.length), memories.length);
+    }
+    
+    return totals;
+  }
+
+  function updateProgress(done, total) {
+    elements.importProgressBar.style.width = `${Math.round(done / total * 100)}%`;
+    setStatus(elements.importStatus, `Importing ${done} of ${total} messages...`);
+  }
+
+  // Export memories in the chosen format
+  elements.startExport.addEventListener('click', async () => {
+    elements.startExport.disabled = true;
+    setStatus(elements.exportStatus, 'Exporting...');
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'EXPORT_MEMORIES',
+        filters: getExportFilters()
+      });
+      
+      if (!result?.success) {
+        setStatus(elements.exportStatus, result?.error || 'Failed to export memories', 'error');
+        return;
+      }
+      if (result.count === 0) {
+        setStatus(elements.exportStatus, 'No memories match these filters', 'error');
+        return;
+      }
+      
+      const file = buildExport(result.memories, elements.exportFormat.value);
+      await downloadFile(file);
+      setStatus(elements.exportStatus, `Exported ${result.count} memories`, 'success');
+      
+    } catch (error) {
+      console.error('Export error:', error);
+      setStatus(elements.exportStatus, 'Error exporting memories', 'error');
+    } finally {
+      elements.startExport.disabled = false;
+    }
+  });
+
+  function getExportFilters() {
+    const filters = getDateRange(elements.exportFrom, elements.exportTo);
+    
+    if (elements.exportSite.value) {
+      filters.site = elements.exportSite.value;
+    }
+    if (elements.exportConversation.value.trim()) {
+      filters.conversationId = elements.exportConversation.value.trim();
+    }
+    
+    return filters;
+  }
+
+  async function downloadFile(file) {
+    const url = URL.createObjectURL(new Blob([file.data], { type: file.mimeType }));
+    
+    try {
+      await chrome.downloads.download({ url, filename: file.filename, saveAs: true });
+    } finally {
+      // The download keeps its own reference once it has started
+      setTimeout(() => URL.revokeObjectURL(url), 60000);
+    }
+  }
+
+  // Date inputs are whole days; the end date is inclusive
+  function getDateRange(fromInput, toInput) {
+    const range = {};
+    
+    if (fromInput.value) {
+      range.after = new Date(`${fromInput.value}T00:00:00`).toISOString();
+    }
+    if (toInput.value) {
+      const end = new Date(`${toInput.value}T00:00:00`);
+      end.setDate(end.getDate() + 1);
+      range.before = end.toISOString();
+    }
+    
+    return range;
+  }
+
+  function setStatus(element, text, type = '') {
+    element.textContent = text;
+    element.className = `hint ${type}`.trim();
+  }
+});
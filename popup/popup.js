@@ -4,6 +4,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements
   const elements = {
     enabled: document.getElementById('enabled'),
+    reviewBeforeSend: document.getElementById('reviewBeforeSend'),
     status: document.getElementById('status'),
     memoryCount: document.getElementById('memoryCount'),
     daysActive: document.getElementById('daysActive'),
@@ -11,12 +12,26 @@ document.addEventListener('DOMContentLoaded', async () => {
     configSection: document.getElementById('configSection'),
     toggleConfig: document.getElementById('toggleConfig'),
     configToggleText: document.getElementById('configToggleText'),
+    storageMode: document.getElementById('storageMode'),
+    supabaseFields: document.getElementById('supabaseFields'),
     supabaseUrl: document.getElementById('supabaseUrl'),
     supabaseKey: document.getElementById('supabaseKey'),
     saveConfig: document.getElementById('saveConfig'),
+    encryptionStatus: document.getElementById('encryptionStatus'),
+    passphrase: document.getElementById('passphrase'),
+    newPassphrase: document.getElementById('newPassphrase'),
+    keyStorage: document.getElementById('keyStorage'),
+    encryptionAction: document.getElementById('encryptionAction'),
+    changePassphrase: document.getElementById('changePassphrase'),
     clearRecent: document.getElementById('clearRecent'),
     exportMemories: document.getElementById('exportMemories'),
-    feedback: document.getElementById('feedback')
+    feedback: document.getElementById('feedback'),
+    selectorWarning: document.getElementById('selectorWarning'),
+    captureNote: document.getElementById('captureNote'),
+    excludeOption: document.getElementById('excludeOption'),
+    excludeConversation: document.getElementById('excludeConversation'),
+    pauseCapture: document.getElementById('pauseCapture'),
+    saveFixture: document.getElementById('saveFixture')
   };
 
   // Load current state
@@ -24,13 +39,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     try {
       const storage = await chrome.storage.local.get([
         'enabled', 
+        'reviewBeforeSend',
+        'storageMode',
         'supabaseUrl', 
-        'supabaseKey'
+        'supabaseKey',
+        'selectorHealth'
       ]);
       
       // Set enabled state
       elements.enabled.checked = storage.enabled !== false;
       updateStatus(storage.enabled !== false);
+      elements.reviewBeforeSend.checked = storage.reviewBeforeSend === true;
+      updateSelectorWarning(storage.selectorHealth || {});
+      await loadCaptureStatus();
+      
+      // Set storage mode
+      elements.storageMode.value = getStorageMode(storage);
+      updateSupabaseFields();
       
       // Set config if exists
       if (storage.supabaseUrl) {
@@ -44,6 +69,10 @@ document.addEventListener('DOMContentLoaded', async () => {
       const stats = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
       updateStats(stats);
       
+      // Get encryption state
+      const encryption = await chrome.runtime.sendMessage({ type: 'GET_ENCRYPTION_STATUS' });
+      updateEncryption(encryption);
+      
     } catch (error) {
       console.error('Failed to load state:', error);
     }
@@ -65,6 +94,85 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
+  // Set by the background worker when a site's selectors stop matching
+  function updateSelectorWarning(selectorHealth) {
+    const failing = Object.values(selectorHealth).filter(site => site.problem);
+    elements.selectorWarning.style.display = failing.length > 0 ? 'block' : 'none';
+    if (failing.length === 0) return;
+    
+    const names = failing.map(site => site.name).join(', ');
+    elements.selectorWarning.textContent = failing.some(site => site.problem === 'missing')
+      ? `Capture has stopped on ${names}: the page changed. Load updated selectors in Options.`
+      : `${names} changed its page; Kit is guessing where things are. Load updated selectors in Options.`;
+  }
+
+  // Whether the active tab is being captured: paused, or left out and why
+  async function loadCaptureStatus() {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const status = await chrome.runtime.sendMessage({
+      type: 'GET_CAPTURE_STATUS',
+      url: tabs[0]?.url,
+      incognito: tabs[0]?.incognito
+    });
+    if (!status?.success) return;
+    
+    elements.pauseCapture.dataset.paused = status.pausedUntil ? 'true' : '';
+    elements.pauseCapture.textContent = status.pausedUntil
+      ? `Resume Capture (paused until ${new Date(status.pausedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })})`
+      : 'Pause Capture for 1 Hour';
+    
+    // Only an open conversation has something to exclude
+    elements.excludeOption.style.display = status.conversationId ? 'flex' : 'none';
+    elements.excludeConversation.checked = status.excluded;
+    
+    // Turning Kit off already shows in the status line
+    const note = status.supported && status.block !== 'disabled' ? status.reason : null;
+    elements.captureNote.textContent = note || '';
+    elements.captureNote.style.display = note ? 'block' : 'none';
+  }
+
+  // Mirrors resolveStorageMode in lib/storage.js
+  function getStorageMode(storage) {
+    if (storage.storageMode) return storage.storageMode;
+    return storage.supabaseUrl && storage.supabaseKey ? 'supabase' : 'local';
+  }
+
+  // Supabase credentials are only needed when syncing to the cloud
+  function updateSupabaseFields() {
+    const needsSupabase = elements.storageMode.value !== 'local';
+    elements.supabaseFields.style.display = needsSupabase ? 'block' : 'none';
+  }
+
+  // Update encryption controls
+  function updateEncryption(encryption) {
+    elements.keyStorage.value = encryption.keyStorage;
+    elements.encryptionAction.dataset.action = !encryption.enabled
+      ? 'enable'
+      : encryption.locked ? 'unlock' : '';
+    
+    if (!encryption.enabled) {
+      elements.encryptionStatus.textContent = 'Off: memories are sent to Supabase in plaintext';
+      elements.encryptionAction.textContent = 'Enable Encryption';
+    } else if (encryption.locked) {
+      // Captures made while locked can't be sealed, so they only live until the browser restarts Kit
+      elements.encryptionStatus.textContent = encryption.held > 0
+        ? `Locked: ${encryption.held} unsaved ${encryption.held === 1 ? 'capture is' : 'captures are'} lost if the browser restarts Kit; enter your passphrase to save them`
+        : 'Locked: enter your passphrase to sync';
+      elements.encryptionAction.textContent = 'Unlock';
+    } else if (encryption.keyStorage === 'memory') {
+      elements.encryptionStatus.textContent = 'On: content is encrypted before upload. Kit locks again when the browser restarts it, and captures made while locked are kept only in memory';
+    } else {
+      elements.encryptionStatus.textContent = 'On: content is encrypted before upload';
+    }
+    
+    const unlocked = encryption.enabled && !encryption.locked;
+    elements.encryptionAction.style.display = unlocked ? 'none' : 'block';
+    elements.changePassphrase.style.display = unlocked ? 'block' : 'none';
+    elements.passphrase.style.display = unlocked && elements.newPassphrase.style.display === 'none'
+      ? 'none'
+      : 'block';
+  }
+
   // Update statistics
   function updateStats(stats) {
     if (stats.totalMemories !== undefined) {
@@ -126,6 +234,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
+  // Content scripts pick this up from storage
+  elements.reviewBeforeSend.addEventListener('change', async (e) => {
+    await chrome.storage.local.set({ reviewBeforeSend: e.target.checked });
+  });
+
+  // Keyed by the conversation id in the tab's URL; `/kit exclude` sets the same flag
+  elements.excludeConversation.addEventListener('change', async (e) => {
+    const excluded = e.target.checked;
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    const result = await chrome.runtime.sendMessage({
+      type: 'SET_CONVERSATION_EXCLUDED',
+      url: tabs[0]?.url,
+      excluded,
+      title: tabs[0]?.title
+    });
+    
+    if (!result?.success) {
+      e.target.checked = !excluded;
+      showMessage(result?.error || 'Failed to update this conversation', 'error');
+      return;
+    }
+    
+    showMessage(excluded ? 'This conversation will not be remembered or recalled' : 'This conversation will be remembered again', 'success');
+    loadCaptureStatus();
+  });
+
+  elements.pauseCapture.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'PAUSE_CAPTURE', paused: !elements.pauseCapture.dataset.paused });
+    loadCaptureStatus();
+  });
+
   // Toggle configuration section
   elements.toggleConfig.addEventListener('click', () => {
     const isVisible = elements.configSection.style.display !== 'none';
@@ -139,26 +278,31 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Switch storage mode
+  elements.storageMode.addEventListener('change', updateSupabaseFields);
+
   // Save configuration
   elements.saveConfig.addEventListener('click', async () => {
+    const storageMode = elements.storageMode.value;
     const url = elements.supabaseUrl.value.trim();
     const key = elements.supabaseKey.value.trim();
     
-    if (!url || !key) {
+    if (storageMode !== 'local' && (!url || !key)) {
       showMessage('Please enter both Supabase URL and Key', 'error');
       return;
     }
     
+    const config = storageMode === 'local'
+      ? { storageMode }
+      : { storageMode, supabaseUrl: url, supabaseKey: key };
+    
     // Save to storage
-    await chrome.storage.local.set({
-      supabaseUrl: url,
-      supabaseKey: key
-    });
+    await chrome.storage.local.set(config);
     
     // Update background
     await chrome.runtime.sendMessage({
       type: 'UPDATE_CONFIG',
-      config: { supabaseUrl: url, supabaseKey: key }
+      config
     });
     
     showMessage('Configuration saved!', 'success');
@@ -171,9 +315,88 @@ document.addEventListener('DOMContentLoaded', async () => {
     setTimeout(loadState, 1000);
   });
 
+  // Enable or unlock encryption
+  elements.encryptionAction.addEventListener('click', async () => {
+    const action = elements.encryptionAction.dataset.action;
+    const passphrase = elements.passphrase.value;
+    
+    if (action === 'enable' && passphrase.length < 8) {
+      showMessage('Use a passphrase of at least 8 characters', 'error');
+      return;
+    }
+    if (!passphrase) {
+      showMessage('Please enter your passphrase', 'error');
+      return;
+    }
+    
+    elements.encryptionAction.disabled = true;
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: action === 'enable' ? 'ENABLE_ENCRYPTION' : 'UNLOCK_ENCRYPTION',
+        passphrase,
+        keyStorage: elements.keyStorage.value
+      });
+      
+      if (result.success) {
+        elements.passphrase.value = '';
+        showMessage(action === 'enable' ? 'Encryption enabled' : 'Unlocked', 'success');
+        loadState();
+      } else {
+        showMessage(result.error || 'Encryption failed', 'error');
+      }
+    } catch (error) {
+      showMessage('Error updating encryption', 'error');
+    } finally {
+      elements.encryptionAction.disabled = false;
+    }
+  });
+
+  // Change passphrase (first click reveals the fields)
+  elements.changePassphrase.addEventListener('click', async () => {
+    if (elements.newPassphrase.style.display === 'none') {
+      elements.passphrase.placeholder = 'Current passphrase';
+      elements.passphrase.style.display = 'block';
+      elements.newPassphrase.style.display = 'block';
+      return;
+    }
+    
+    if (elements.newPassphrase.value.length < 8) {
+      showMessage('Use a passphrase of at least 8 characters', 'error');
+      return;
+    }
+    
+    elements.changePassphrase.disabled = true;
+    elements.changePassphrase.textContent = 'Re-encrypting...';
+    
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'CHANGE_PASSPHRASE',
+        currentPassphrase: elements.passphrase.value,
+        newPassphrase: elements.newPassphrase.value
+      });
+      
+      if (result.success) {
+        elements.passphrase.value = '';
+        elements.passphrase.placeholder = 'Passphrase';
+        elements.newPassphrase.value = '';
+        elements.newPassphrase.style.display = 'none';
+        showMessage(`Passphrase changed, ${result.count} memories re-encrypted`, 'success');
+        loadState();
+      } else {
+        showMessage(result.error || 'Failed to change passphrase', 'error');
+      }
+    } catch (error) {
+      showMessage('Error changing passphrase', 'error');
+    } finally {
+      elements.changePassphrase.disabled = false;
+      elements.changePassphrase.textContent = 'Change Passphrase';
+    }
+  });
+
   // Clear recent memories
   elements.clearRecent.addEventListener('click', async () => {
-    if (!confirm('Clear memories from the last 24 hours?')) {
+    if (!confirm('Move memories from the last 24 hours to the trash?')) {
       return;
     }
     
@@ -184,7 +407,14 @@ document.addEventListener('DOMContentLoaded', async () => {
       const result = await chrome.runtime.sendMessage({ type: 'CLEAR_RECENT' });
       
       if (result.success) {
-        showMessage('Recent memories cleared', 'success');
+        showMessage(`Moved ${result.count} memories to the trash`, 'success', {
+          label: 'Undo',
+          onClick: async () => {
+            await chrome.runtime.sendMessage({ type: 'RESTORE_MEMORIES', memories: result.memories });
+            showMessage('Memories restored', 'success');
+            loadState();
+          }
+        });
         loadState(); // Refresh stats
       } else {
         showMessage('Failed to clear memories', 'error');
@@ -197,25 +427,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
-  // Export memories
-  elements.exportMemories.addEventListener('click', async () => {
-    elements.exportMemories.disabled = true;
-    elements.exportMemories.textContent = 'Exporting...';
-    
-    try {
-      const result = await chrome.runtime.sendMessage({ type: 'EXPORT_MEMORIES' });
-      
-      if (result.success) {
-        showMessage(`Exported ${result.count} memories`, 'success');
-      } else {
-        showMessage('Failed to export memories', 'error');
-      }
-    } catch (error) {
-      showMessage('Error exporting memories', 'error');
-    } finally {
-      elements.exportMemories.disabled = false;
-      elements.exportMemories.textContent = 'Export All';
-    }
+  // Export options (format, filters) live on the options page
+  elements.exportMemories.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
+  });
+
+  elements.selectorWarning.addEventListener('click', () => {
+    chrome.runtime.openOptionsPage();
   });
 
   // Feedback link
@@ -226,8 +444,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
-  // Show message
-  function showMessage(text, type) {
+  // The page records itself and downloads the fixture when done
+  elements.saveFixture.addEventListener('click', async (e) => {
+    e.preventDefault();
+    
+    try {
+      const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+      const result = await chrome.tabs.sendMessage(tabs[0].id, { type: 'SAVE_FIXTURE' });
+      
+      if (result?.success) {
+        showMessage(`Recording the page for ${result.duration / 1000}s, then saving the fixture`, 'success');
+      } else {
+        showMessage(result?.error || 'Failed to save fixture', 'error');
+      }
+    } catch (error) {
+      // No content script: not a supported chat page
+      showMessage('Open a supported chat page first', 'error');
+    }
+  });
+
+  // Show message, optionally with an action such as undo
+  function showMessage(text, type, action = null) {
     // Remove existing messages
     const existing = document.querySelector('.error, .success');
     if (existing) existing.remove();
@@ -236,21 +473,37 @@ document.addEventListener('DOMContentLoaded', async () => {
     message.className = type;
     message.textContent = text;
     
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'message-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        message.remove();
+        action.onClick();
+      });
+      message.append(button);
+    }
+    
     elements.status.parentNode.insertBefore(message, elements.status.nextSibling);
     
+    // Leave time to reach the action
     setTimeout(() => {
       message.remove();
-    }, 3000);
+    }, action ? 8000 : 3000);
   }
 
   // Check for Supabase configuration
   async function checkConfiguration() {
-    const { supabaseUrl, supabaseKey } = await chrome.storage.local.get([
+    const storage = await chrome.storage.local.get([
+      'storageMode',
       'supabaseUrl', 
       'supabaseKey'
     ]);
     
-    if (!supabaseUrl || !supabaseKey) {
+    // Local-only mode works without any account
+    if (getStorageMode(storage) === 'local') return;
+    
+    if (!storage.supabaseUrl || !storage.supabaseKey) {
       // Show configuration section by default if not configured
       elements.configSection.style.display = 'block';
       elements.configToggleText.textContent = 'Hide Config';
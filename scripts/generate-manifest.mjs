@@ -0,0 +1,22 @@
+// Regenerates manifest.json's site match lists from the adapters in lib/sites.js
+// Run from anywhere after adding or changing an adapter:
+//   node scripts/generate-manifest.mjs
+// (or `npm run generate-manifest`)
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { getMatchPatterns } from '../lib/sites.js';
+
+const MANIFEST_PATH = new URL('../manifest.json', import.meta.url);
+
+// Host permissions that aren't chat sites
+const EXTRA_HOST_PERMISSIONS = ['https://*.supabase.co/*'];
+
+const manifest = JSON.parse(readFileSync(MANIFEST_PATH, 'utf8'));
+const matches = getMatchPatterns();
+
+manifest.host_permissions = [...matches, ...EXTRA_HOST_PERMISSIONS];
+manifest.content_scripts[0].matches = matches;
+manifest.web_accessible_resources[0].matches = matches;
+
+writeFileSync(MANIFEST_PATH, `${JSON.stringify(manifest, null, 2)}\n`);
+console.log(`Updated manifest.json with ${matches.length} site match patterns`);
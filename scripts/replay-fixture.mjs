@@ -0,0 +1,33 @@
+// Replays a page fixture saved from the popup and prints what Kit stored,
+// for reproducing a capture bug report away from the live site:
+//   node scripts/replay-fixture.mjs kit-fixture-chatgpt-....json [--prompt "..."] [--speed 4]
+// The prompt is sent through the input before the page changes replay
+
+import { parseArgs } from 'node:util';
+import { loadFixture, replayFixture } from '../test/harness/replay.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    prompt: { type: 'string' },
+    speed: { type: 'string', default: '1' }
+  }
+});
+
+if (positionals.length !== 1) {
+  console.error('Usage: node scripts/replay-fixture.mjs <fixture.json> [--prompt "..."] [--speed 4]');
+  process.exit(1);
+}
+
+const fixture = await loadFixture(positionals[0]);
+const result = await replayFixture(fixture, { prompt: values.prompt, speed: Number(values.speed) || 1 });
+
+result.logs.forEach(line => console.log(line));
+console.log(`\nStored ${result.stored.length} memories:`);
+result.stored.forEach(memory => {
+  console.log(`\n[${memory.role}${memory.item ? ` ${memory.item.kind}` : ''}] ${memory.lineage?.message_id || '(no message id)'}`);
+  console.log(memory.content);
+});
+if (result.enhanced !== null) console.log(`\nEnhanced prompt:\n${result.enhanced}`);
+if (result.skipped > 0) console.log(`\n${result.skipped} recorded changes did not match the page`);
+console.log(`\nSelector health:\n${JSON.stringify(result.health, null, 2)}`);
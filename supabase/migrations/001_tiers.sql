@@ -0,0 +1,29 @@
+-- Kit Memory Extension: tier tables and the columns written with every row
+-- Safe to re-run; run it again after upgrading Kit
+
+CREATE TABLE IF NOT EXISTS memories_warm (LIKE memories INCLUDING ALL);
+CREATE TABLE IF NOT EXISTS memories_cold (LIKE memories INCLUDING ALL);
+ALTER TABLE memories_warm ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memories_cold ENABLE ROW LEVEL SECURITY;
+
+ALTER TABLE memories ADD COLUMN IF NOT EXISTS tier text;
+ALTER TABLE memories_warm ADD COLUMN IF NOT EXISTS tier text;
+ALTER TABLE memories_cold ADD COLUMN IF NOT EXISTS tier text;
+ALTER TABLE memories ADD COLUMN IF NOT EXISTS token_count integer;
+ALTER TABLE memories_warm ADD COLUMN IF NOT EXISTS token_count integer;
+ALTER TABLE memories_cold ADD COLUMN IF NOT EXISTS token_count integer;
+
+-- Trash: soft deletes
+ALTER TABLE memories ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE memories_warm ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+ALTER TABLE memories_cold ADD COLUMN IF NOT EXISTS deleted_at timestamptz;
+
+-- Edits and regenerations: earlier versions of a turn
+ALTER TABLE memories ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+ALTER TABLE memories_warm ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+ALTER TABLE memories_cold ADD COLUMN IF NOT EXISTS superseded_at timestamptz;
+
+-- Attachments and artifacts: null for chat messages
+ALTER TABLE memories ADD COLUMN IF NOT EXISTS kind text;
+ALTER TABLE memories_warm ADD COLUMN IF NOT EXISTS kind text;
+ALTER TABLE memories_cold ADD COLUMN IF NOT EXISTS kind text;
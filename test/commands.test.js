@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCommand } from '../lib/commands.js';
+
+test('reads the command name and its argument from the first line', () => {
+  assert.deepEqual(parseCommand('/kit recall helm charts'), { name: 'recall', argument: 'helm charts', prompt: '' });
+  assert.deepEqual(parseCommand('/kit conv Deploy plan'), { name: 'conv', argument: 'Deploy plan', prompt: '' });
+});
+
+test('commands without an argument', () => {
+  for (const name of ['forget', 'off', 'on', 'exclude', 'include']) {
+    assert.deepEqual(parseCommand(`/kit ${name}`), { name, argument: '', prompt: '' });
+  }
+});
+
+test('later lines are the prompt to send', () => {
+  assert.deepEqual(parseCommand('/kit recall helm\nHow do I roll back?\n\nThanks'), {
+    name: 'recall',
+    argument: 'helm',
+    prompt: 'How do I roll back?\n\nThanks'
+  });
+  assert.deepEqual(parseCommand('/kit forget\n  My card ends in 4242  '), { name: 'forget', argument: '', prompt: 'My card ends in 4242' });
+});
+
+test('tolerates leading space and any case', () => {
+  assert.deepEqual(parseCommand('  /KIT Off'), { name: 'off', argument: '', prompt: '' });
+});
+
+test('a bare /kit has an empty name', () => {
+  assert.deepEqual(parseCommand('/kit'), { name: '', argument: '', prompt: '' });
+});
+
+test('ignores text that is not a command', () => {
+  for (const text of ['recall helm', 'Please /kit recall helm', '/kitchen sink', '/kits', '', null, undefined]) {
+    assert.equal(parseCommand(text), null, String(text));
+  }
+});
@@ -0,0 +1,54 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compressText, compressMemory, decompressMemory } from '../lib/compression.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+const PREFIXED = 'gz: shorthand for gzip';
+const LONG_PREFIXED = `gz: ${'is how Kit marks compressed text. '.repeat(6)}`;
+
+test('compressed rows are flagged and read back', async () => {
+  const row = await compressMemory({ content: LONG_PREFIXED, metadata: { turn: 3 } });
+  assert.equal(row.metadata.compressed, true);
+  assert.notEqual(row.content, LONG_PREFIXED);
+
+  const read = await decompressMemory(row);
+  assert.equal(read.content, LONG_PREFIXED);
+  assert.deepEqual(read.metadata, { turn: 3 });
+});
+
+test('text that would not shrink is stored as it is, flagged uncompressed', async () => {
+  const row = await compressMemory({ content: PREFIXED });
+  assert.deepEqual(row, { content: PREFIXED, metadata: { compressed: false } });
+  assert.equal((await decompressMemory(row)).content, PREFIXED);
+});
+
+test('rows from before the flag are recognised by their prefix', async () => {
+  const legacy = { content: await compressText(LONG_PREFIXED), metadata: null };
+  assert.equal((await decompressMemory(legacy)).content, LONG_PREFIXED);
+  assert.equal((await decompressMemory({ content: PREFIXED, metadata: null })).content, PREFIXED);
+});
+
+test('a message starting with "gz:" can be listed, recalled and migrated', async () => {
+  const store = new LocalStore('compression-test');
+  const memory = new MemoryManager(store);
+  await memory.storeMemory({ user_id: 'u', conversation_id: 'c1', role: 'user', content: PREFIXED, site: 'chatgpt' });
+
+  assert.deepEqual((await memory.exportMemories('u')).map(row => row.content), [PREFIXED]);
+  assert.deepEqual((await memory.getRecallSuggestions('u')).conversations.map(c => c.title), [PREFIXED]);
+
+  // Aged into WARM, it still reads back
+  const [row] = await store.exportMemories('u', { tier: 'hot' });
+  await store.updateMemory(row.id, { created_at: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000).toISOString() }, { tier: 'hot' });
+  const original = console.log;
+  console.log = () => {};
+  try {
+    await memory.migrateMemories('u');
+  } finally {
+    console.log = original;
+  }
+
+  const exported = await memory.exportMemories('u');
+  assert.deepEqual(exported.map(m => [m.tier, m.content]), [['warm', PREFIXED]]);
+});
@@ -0,0 +1,109 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryCipher, generateSalt, isEncryptedValue } from '../lib/crypto.js';
+import { EncryptedStore } from '../lib/storage.js';
+import { LocalStore } from '../lib/local-store.js';
+
+// Far below PBKDF2_ITERATIONS, to keep the tests quick
+const ITERATIONS = 1000;
+
+function cipherFor(passphrase, salt) {
+  return MemoryCipher.fromPassphrase(passphrase, salt, ITERATIONS);
+}
+
+test('memories round-trip through the cipher', async () => {
+  const cipher = await cipherFor('correct horse', generateSalt());
+  const memory = { id: 'm1', role: 'user', content: 'Staging runs on port 8443', metadata: { turn: 2 } };
+
+  const encrypted = await cipher.encryptMemory(memory);
+  assert.ok(isEncryptedValue(encrypted.content));
+  assert.ok(isEncryptedValue(encrypted.metadata));
+  assert.equal(encrypted.role, 'user');
+
+  assert.deepEqual(await cipher.decryptMemory(encrypted), memory);
+});
+
+test('the verifier accepts the passphrase and rejects any other', async () => {
+  const salt = generateSalt();
+  const verifier = await (await cipherFor('correct horse', salt)).createVerifier();
+
+  assert.equal(await (await cipherFor('correct horse', salt)).checkVerifier(verifier), true);
+  assert.equal(await (await cipherFor('wrong horse', salt)).checkVerifier(verifier), false);
+  assert.equal(await (await cipherFor('correct horse', generateSalt())).checkVerifier(verifier), false);
+});
+
+test('a wrong key cannot read a memory', async () => {
+  const salt = generateSalt();
+  const encrypted = await (await cipherFor('correct horse', salt)).encrypt('secret');
+  await assert.rejects((await cipherFor('wrong horse', salt)).decrypt(encrypted));
+});
+
+test('a remembered key still reads what it wrote', async () => {
+  const cipher = await cipherFor('correct horse', generateSalt());
+  const restored = await MemoryCipher.fromRawKey(await cipher.exportKey());
+  assert.equal(await restored.decrypt(await cipher.encrypt('secret')), 'secret');
+});
+
+test('EncryptedStore keeps only ciphertext in the inner store', async () => {
+  const inner = new LocalStore('crypto-store-test');
+  const store = new EncryptedStore(inner, await cipherFor('correct horse', generateSalt()));
+
+  const stored = await store.storeMemory({ user_id: 'u', role: 'user', content: 'Staging runs on port 8443', metadata: { turn: 1 } });
+  assert.equal(stored.content, 'Staging runs on port 8443');
+
+  const [raw] = await inner.exportMemories('u');
+  assert.ok(isEncryptedValue(raw.content));
+  assert.ok(isEncryptedValue(raw.metadata));
+  assert.deepEqual((await store.exportMemories('u')).map(m => [m.content, m.metadata]), [['Staging runs on port 8443', { turn: 1 }]]);
+});
+
+test('a locked EncryptedStore refuses writes and hides encrypted rows', async () => {
+  const inner = new LocalStore('crypto-locked-test');
+  await new EncryptedStore(inner, await cipherFor('correct horse', generateSalt()))
+    .storeMemory({ user_id: 'u', role: 'user', content: 'secret' });
+  await inner.storeMemory({ user_id: 'u', role: 'user', content: 'from before encryption' });
+
+  const locked = new EncryptedStore(inner, null);
+  assert.equal(locked.locked, true);
+  await assert.rejects(locked.storeMemory({ user_id: 'u', content: 'new' }), /locked/);
+  assert.deepEqual((await locked.exportMemories('u')).map(m => m.content), ['from before encryption']);
+});
+
+test('reencryptAll moves every row to the new key, trashed rows included', async () => {
+  const inner = new LocalStore('crypto-rekey-test');
+  const salt = generateSalt();
+  const store = new EncryptedStore(inner, await cipherFor('old passphrase', salt));
+  await store.storeMemory({ user_id: 'u', content: 'kept' });
+  await store.storeMemory({ user_id: 'u', content: 'trashed', deleted_at: new Date().toISOString() });
+
+  const next = await cipherFor('new passphrase', salt);
+  assert.equal(await store.reencryptAll('u', next), 2);
+  assert.equal(store.cipher, next);
+
+  const reader = new EncryptedStore(inner, next);
+  const rows = [...await reader.exportMemories('u'), ...await reader.exportMemories('u', { trashed: true })];
+  assert.deepEqual(rows.map(m => m.content).sort(), ['kept', 'trashed']);
+});
+
+test('reencryptAll puts rows back under the old key when a write fails', async (t) => {
+  const inner = new LocalStore('crypto-rollback-test');
+  const salt = generateSalt();
+  const old = await cipherFor('old passphrase', salt);
+  const store = new EncryptedStore(inner, old);
+  for (const content of ['first', 'second', 'third']) {
+    await store.storeMemory({ user_id: 'u', content });
+  }
+
+  // The third rewrite fails; the rollback writes after it succeed
+  const updateMemory = inner.updateMemory.bind(inner);
+  let writes = 0;
+  t.mock.method(inner, 'updateMemory', async (...args) => {
+    if (++writes === 3) throw new Error('Network down');
+    return await updateMemory(...args);
+  });
+
+  await assert.rejects(store.reencryptAll('u', await cipherFor('new passphrase', salt)), /Network down/);
+  assert.equal(store.cipher, old);
+  assert.deepEqual((await store.exportMemories('u')).map(m => m.content).sort(), ['first', 'second', 'third']);
+});
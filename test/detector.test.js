@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import { getAdapter } from '../lib/sites.js';
+
+const SCRIPT = await readFile(new URL('../content/detector.js', import.meta.url), 'utf8');
+
+// A detector for ChatGPT running in its own page, as the content script does
+function load(body) {
+  const { window } = new JSDOM(`<!DOCTYPE html><body>${body}</body>`, { url: 'https://chatgpt.com/', runScripts: 'outside-only' });
+  window.eval(SCRIPT);
+  return { window, detector: new window.KitSiteDetector(getAdapter('chatgpt')) };
+}
+
+// Reports are built in the page's realm, so compare them as plain data
+function report(detector) {
+  return JSON.parse(JSON.stringify(detector.takeHealthReport()));
+}
+
+test('the selector that found a part is recorded with its hit count', () => {
+  const { window, detector } = load('<form><textarea id="prompt-textarea"></textarea></form>');
+  let changes = 0;
+  detector.onHealthChange = () => changes++;
+
+  assert.equal(detector.getInput().id, 'prompt-textarea');
+  detector.getInput();
+
+  assert.deepEqual(report(detector), {
+    site: 'chatgpt',
+    name: getAdapter('chatgpt').name,
+    parts: { input: { status: 'ok', match: '#prompt-textarea', hits: { '#prompt-textarea': 2 }, misses: 0 } }
+  });
+  assert.equal(changes, 1);
+  window.close();
+});
+
+test('a part only the heuristics find is flagged, and a part nothing finds is missing', () => {
+  const { window, detector } = load('<form><textarea id="prompt-textarea"></textarea><button type="submit"></button></form>');
+  let changes = 0;
+  detector.onHealthChange = () => changes++;
+
+  assert.equal(detector.getSendButton().type, 'submit');
+  window.document.querySelector('form').remove();
+  assert.equal(detector.getSendButton(), null);
+
+  const { parts } = report(detector);
+  assert.deepEqual(parts.sendButton, { status: 'missing', match: null, hits: { heuristic: 1 }, misses: 1 });
+  assert.equal(changes, 2);
+  window.close();
+});
+
+test('each report starts the counts again but keeps the last status', () => {
+  const { window, detector } = load('<textarea id="prompt-textarea"></textarea>');
+
+  detector.getInput();
+  detector.takeHealthReport();
+
+  assert.deepEqual(report(detector).parts.input, { status: 'ok', match: '#prompt-textarea', hits: {}, misses: 0 });
+  window.close();
+});
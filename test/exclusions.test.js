@@ -0,0 +1,96 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCaptureBlock, validateCaptureRule } from '../lib/exclusions.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+const CHAT = 'https://chatgpt.com/c/abc-123';
+
+test('captures when nothing is set', () => {
+  assert.equal(getCaptureBlock({ url: CHAT, incognito: false }), null);
+});
+
+test('reports why capture is blocked, turned off first', () => {
+  const context = { url: CHAT, incognito: true };
+  assert.equal(getCaptureBlock(context, { enabled: false, pausedUntil: Date.now() + 1000 }), 'disabled');
+  assert.equal(getCaptureBlock(context, { pausedUntil: Date.now() + 1000 }), 'paused');
+  assert.equal(getCaptureBlock(context, { pausedUntil: Date.now() - 1000 }), 'incognito');
+});
+
+test('never captures temporary chats', () => {
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/?temporary-chat=true' }), 'temporary');
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/?temporary-chat=false' }), null);
+});
+
+test('blocks conversations the user excluded', () => {
+  const settings = { excludedConversations: { 'abc-123': true } };
+  assert.equal(getCaptureBlock({ url: CHAT }, settings), 'conversation');
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/c/def-456' }, settings), null);
+});
+
+test('deny rules match by site and by URL pattern', () => {
+  const bySite = { captureRules: [{ action: 'deny', site: 'claude' }] };
+  assert.equal(getCaptureBlock({ url: 'https://claude.ai/chat/1' }, bySite), 'rule');
+  assert.equal(getCaptureBlock({ url: CHAT }, bySite), null);
+
+  const byPattern = { captureRules: [{ action: 'deny', pattern: 'chatgpt.com/g/*' }] };
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/g/g-xyz/c/1' }, byPattern), 'rule');
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/g/g-xyz' }, byPattern), 'rule');
+  assert.equal(getCaptureBlock({ url: CHAT }, byPattern), null);
+});
+
+test('patterns match from the start of the URL, with or without a scheme', () => {
+  const rules = [{ action: 'deny', pattern: 'https://chatgpt.com/c/abc' }];
+  assert.equal(getCaptureBlock({ url: CHAT }, { captureRules: rules }), 'rule');
+
+  const anchored = [{ action: 'deny', pattern: 'c/abc' }];
+  assert.equal(getCaptureBlock({ url: CHAT }, { captureRules: anchored }), null);
+});
+
+test('patterns treat regex characters literally', () => {
+  const rules = [{ action: 'deny', pattern: 'chatgpt.com/c/abc-1+3' }];
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/c/abc-113' }, { captureRules: rules }), null);
+});
+
+test('allow rules capture only what they match, and deny rules win', () => {
+  const settings = {
+    captureRules: [
+      { action: 'allow', site: 'chatgpt' },
+      { action: 'deny', pattern: 'chatgpt.com/c/abc-*' }
+    ]
+  };
+  assert.equal(getCaptureBlock({ url: 'https://claude.ai/chat/1' }, settings), 'rule');
+  assert.equal(getCaptureBlock({ url: CHAT }, settings), 'rule');
+  assert.equal(getCaptureBlock({ url: 'https://chatgpt.com/c/def-456' }, settings), null);
+});
+
+test('validateCaptureRule explains what is wrong', () => {
+  assert.throws(() => validateCaptureRule({ site: 'chatgpt' }), /capture or not/);
+  assert.throws(() => validateCaptureRule({ action: 'deny', pattern: '  ' }), /site or enter/);
+  assert.throws(() => validateCaptureRule({ action: 'deny', site: 'myspace' }), /Unknown site/);
+  assert.doesNotThrow(() => validateCaptureRule({ action: 'allow', pattern: 'chatgpt.com/g/' }));
+});
+
+test('excluded conversations are left out of search and recall', async () => {
+  const memory = new MemoryManager(new LocalStore('exclusions-test'));
+  const turn = (conversation, content) => ({
+    user_id: 'u',
+    conversation_id: conversation,
+    role: 'user',
+    content,
+    site: 'chatgpt',
+    metadata: { title: 'Kubernetes deploy plan' }
+  });
+  // The excluded conversation is the most recent, so it would be matched first
+  await memory.storeTurn(turn('open-plan', 'Kubernetes deploy plan for the open project'));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await memory.storeTurn(turn('secret-plan', 'Kubernetes deploy plan for the secret project'));
+
+  const found = await memory.searchMemories('u', 'kubernetes deploy plan', { excludeConversations: ['secret-plan'] });
+  assert.deepEqual(found.map(result => result.conversation_id), ['open-plan']);
+
+  const recalled = await memory.recallConversation('u', 'Kubernetes deploy plan', { excludeConversations: ['secret-plan'] });
+  assert.deepEqual(recalled.map(result => result.conversation_id), ['open-plan']);
+  assert.deepEqual(await memory.recallConversation('u', 'secret-plan', { excludeConversations: ['secret-plan'] }), []);
+});
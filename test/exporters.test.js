@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { buildExport } from '../lib/exporters.js';
+
+const MEMORIES = [
+  { id: 'm1', conversation_id: 'conv/1', site: 'chatgpt', role: 'user', content: 'How do I rotate the keys?', created_at: '2026-03-01T10:00:00.000Z' },
+  { id: 'm2', conversation_id: 'conv/1', site: 'chatgpt', role: 'assistant', content: 'Run the rotate script.', created_at: '2026-03-01T10:01:00.000Z' },
+  { id: 'm3', conversation_id: 'conv_1', site: 'chatgpt', role: 'user', content: 'Plan the offsite — café at 9', created_at: '2026-03-01T12:00:00.000Z' }
+];
+
+// Reads a stored (uncompressed) ZIP back through its central directory
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(end + 12, true), end - position);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 24, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const offset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    // The local header repeats what the central directory says
+    assert.equal(view.getUint32(offset, true), 0x04034b50);
+    assert.equal(view.getUint16(offset + 8, true), 0);
+    assert.equal(view.getUint32(offset + 14, true), crc);
+    assert.equal(view.getUint32(offset + 18, true), size);
+    assert.equal(decoder.decode(bytes.subarray(offset + 30, offset + 30 + nameLength)), name);
+
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    const data = bytes.subarray(dataStart, dataStart + size);
+    entries.push({ name, crc, data, text: decoder.decode(data) });
+    position += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+test('the ZIP export holds one Markdown file per conversation with valid CRCs', () => {
+  const { filename, mimeType, data } = buildExport(MEMORIES, 'zip');
+  assert.match(filename, /^kit-memories-\d{4}-\d{2}-\d{2}\.zip$/);
+  assert.equal(mimeType, 'application/zip');
+
+  const entries = readZip(data);
+
+  // Both ids sanitise to the same name, so the second is numbered
+  assert.deepEqual(entries.map(entry => entry.name), ['chatgpt-2026-03-01-conv_1.md', 'chatgpt-2026-03-01-conv_1-2.md']);
+  for (const entry of entries) {
+    assert.equal(entry.crc, crc32(entry.data));
+  }
+  assert.match(entries[0].text, /How do I rotate the keys\?/);
+  assert.match(entries[0].text, /Run the rotate script\./);
+  assert.match(entries[1].text, /café at 9/);
+});
+
+test('an empty ZIP export is still a valid archive', () => {
+  assert.deepEqual(readZip(buildExport([], 'zip').data), []);
+});
+
+test('the HTML export escapes markup in content and titles', () => {
+  const { data } = buildExport([{
+    ...MEMORIES[0],
+    content: '<script>alert("hi")</script> & <b>bold</b>',
+    metadata: { title: '<img src=x onerror=alert(1)>' }
+  }], 'html');
+
+  assert.ok(!data.includes('<script>alert'));
+  assert.ok(!data.includes('<img'));
+  assert.ok(data.includes('&lt;script&gt;alert(&quot;hi&quot;)&lt;/script&gt; &amp; &lt;b&gt;bold&lt;/b&gt;'));
+  assert.ok(data.includes('<h2>&lt;img src=x onerror=alert(1)&gt;</h2>'));
+});
+
+test('JSONL puts one memory on each line', () => {
+  const lines = buildExport(MEMORIES, 'jsonl').data.trimEnd().split('\n');
+  assert.deepEqual(lines.map(line => JSON.parse(line).id), ['m1', 'm2', 'm3']);
+});
@@ -0,0 +1,103 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FactStore } from '../lib/facts.js';
+import { extractFacts, normalizeFact } from '../lib/fact-extractor.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+let databases = 0;
+
+function setup() {
+  const name = `fact-extractor-test-${++databases}`;
+  const factStore = new FactStore(`${name}-facts`);
+  return { factStore, memory: new MemoryManager(new LocalStore(name), { factStore }) };
+}
+
+function userTurn(content) {
+  return { id: 'm1', role: 'user', conversation_id: 'c1', site: 'chatgpt', content };
+}
+
+function byContent(facts) {
+  return Object.fromEntries(facts.map(fact => [fact.content, fact.status]));
+}
+
+test('extractFacts finds first-person statements in a user turn', () => {
+  const facts = extractFacts([
+    'Hi! My name is Sam Lee and I need help.',
+    'I work at Acme Robotics.',
+    "I'm currently working on the billing migration.",
+    'Our stack is Rails and Postgres.',
+    'We decided to drop IE support.'
+  ].join(' '));
+
+  assert.deepEqual(facts, [
+    { kind: 'name', key: 'name', content: 'My name is Sam Lee' },
+    { kind: 'employer', key: 'employer', content: 'I work at Acme Robotics' },
+    { kind: 'project', key: 'project', content: "I'm currently working on the billing migration" },
+    { kind: 'stack', key: 'stack', content: 'Our stack is Rails and Postgres' },
+    { kind: 'decision', key: null, content: 'We decided to drop IE support' }
+  ]);
+});
+
+test('extractFacts skips questions, hypotheticals and code', () => {
+  assert.deepEqual(extractFacts('Do you know where I work at these days?'), []);
+  assert.deepEqual(extractFacts('Suppose I work at a bank, what changes.'), []);
+  assert.deepEqual(extractFacts('```\n// my name is Bob\n```'), []);
+  assert.deepEqual(extractFacts('I prefer.'), []);
+});
+
+test('normalizeFact ignores case, punctuation and spacing', () => {
+  assert.equal(normalizeFact('  I work at   Acme, Inc.! '), normalizeFact('i work at acme inc'));
+});
+
+test('suggestions start pending and are not suggested twice', async () => {
+  const { memory } = setup();
+
+  const first = await memory.suggestFacts('u', userTurn('I work at Acme Robotics.'));
+  assert.deepEqual(first.map(fact => [fact.content, fact.status, fact.source.conversation_id]), [['I work at Acme Robotics', 'pending', 'c1']]);
+
+  // The same statement with different case and punctuation
+  assert.deepEqual(await memory.suggestFacts('u', userTurn('i work at ACME robotics!!')), []);
+
+  // Rejected ones stay on file so they aren't offered again
+  await memory.reviewFact('u', first[0].id, false);
+  assert.deepEqual(await memory.suggestFacts('u', userTurn('I work at Acme Robotics')), []);
+
+  // Only the user's own turns are mined
+  assert.deepEqual(await memory.suggestFacts('u', { ...userTurn('My name is Sam'), role: 'assistant' }), []);
+});
+
+test('a newer one-value fact replaces the older suggestion and, once approved, the active fact', async () => {
+  const { memory, factStore } = setup();
+
+  const [acme] = await memory.suggestFacts('u', userTurn('I work at Acme Robotics.'));
+  await memory.reviewFact('u', acme.id, true);
+  assert.deepEqual((await memory.getPinnedFacts('u', {}, 500)).map(fact => fact.content), ['I work at Acme Robotics']);
+
+  const [globex] = await memory.suggestFacts('u', userTurn('I work for Globex now.'));
+  const [initech] = await memory.suggestFacts('u', userTurn('Actually I work for Initech.'));
+  assert.deepEqual(byContent(await factStore.listFacts('u')), {
+    'I work at Acme Robotics': 'active',
+    'I work for Globex now': 'superseded',
+    'I work for Initech': 'pending'
+  });
+  assert.equal((await factStore.getFact('u', globex.id)).superseded_by, initech.id);
+
+  await memory.reviewFact('u', initech.id, true);
+  assert.deepEqual(byContent(await factStore.listFacts('u')), {
+    'I work at Acme Robotics': 'superseded',
+    'I work for Globex now': 'superseded',
+    'I work for Initech': 'active'
+  });
+  assert.deepEqual((await memory.getPinnedFacts('u', {}, 500)).map(fact => fact.content), ['I work for Initech']);
+});
+
+test('facts without a key pile up', async () => {
+  const { memory, factStore } = setup();
+
+  await memory.suggestFacts('u', userTurn('We decided to use Postgres.'));
+  await memory.suggestFacts('u', userTurn('We decided to ship on Fridays.'));
+
+  assert.deepEqual(Object.values(byContent(await factStore.listFacts('u'))), ['pending', 'pending']);
+});
@@ -0,0 +1,44 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FactStore, factApplies } from '../lib/facts.js';
+
+test('saveFact creates facts with defaults and merges later changes', async () => {
+  const store = new FactStore('facts-store-test');
+
+  const fact = await store.saveFact({ user_id: 'u', content: 'Deploys go through Argo' });
+  assert.equal(fact.status, 'active');
+  assert.equal(fact.site, null);
+  assert.equal(fact.project, null);
+
+  const updated = await store.saveFact({ id: fact.id, user_id: 'u', site: 'claude', content: undefined });
+  assert.equal(updated.content, 'Deploys go through Argo');
+  assert.equal(updated.site, 'claude');
+  assert.equal(updated.created_at, fact.created_at);
+
+  await assert.rejects(store.saveFact({ id: 'missing', user_id: 'u', content: 'x' }), /not found/);
+  await assert.rejects(store.saveFact({ id: fact.id, user_id: 'someone-else', status: 'rejected' }), /not found/);
+});
+
+test('facts are listed per user and deleted only by their owner', async () => {
+  const store = new FactStore('facts-owner-test');
+  const fact = await store.saveFact({ user_id: 'u', content: 'Prefers TypeScript' });
+  await store.saveFact({ user_id: 'someone-else', content: 'Prefers Go' });
+
+  assert.deepEqual((await store.listFacts('u')).map(f => f.content), ['Prefers TypeScript']);
+  assert.equal(await store.deleteFact('someone-else', fact.id), false);
+  assert.equal(await store.deleteFact('u', fact.id), true);
+  assert.deepEqual(await store.listFacts('u'), []);
+});
+
+test('factApplies scopes facts by site and project', () => {
+  assert.equal(factApplies({ content: 'legacy fact without status' }), true);
+  assert.equal(factApplies({ status: 'pending' }), false);
+  assert.equal(factApplies({ status: 'active', site: 'claude' }, { site: 'chatgpt' }), false);
+  assert.equal(factApplies({ status: 'active', site: 'claude' }, { site: 'claude' }), true);
+
+  const project = { status: 'active', project: 'Atlas' };
+  assert.equal(factApplies(project, { query: 'How is the atlas rollout going?' }), true);
+  assert.equal(factApplies(project, { url: 'https://chatgpt.com/g/atlas-team' }), true);
+  assert.equal(factApplies(project, { query: 'Book a dinner' }), false);
+});
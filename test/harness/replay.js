@@ -0,0 +1,270 @@
+// Fixture replay for Kit Memory Extension
+// Loads a page fixture saved from the popup into jsdom, runs the content
+// scripts against a stubbed chrome API, replays the recorded page changes
+// and reports what Kit stored
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { SITE_ADAPTERS } from '../../lib/sites.js';
+
+const ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+export const FIXTURE_VERSION = 2;
+
+// Longer than the content script's reply settle window, so the last reply is stored
+const SETTLE_MS = 2500;
+
+// The shared lib modules load in Node's realm rather than the window's, so
+// the DOM globals they read point at the page while a replay runs
+const DOM_GLOBALS = ['document', 'Node', 'NodeFilter', 'getComputedStyle'];
+
+export async function loadFixture(path) {
+  return JSON.parse(await readFile(path, 'utf8'));
+}
+
+// options:
+//   prompt    sent through the input before the page changes replay, as the
+//             user would have; the enhanced text is returned as `enhanced`
+//   memories  what SEARCH_MEMORIES answers with
+//   storage   extra chrome.storage.local values
+//   speed     replay speed, e.g. 10 for ten times faster than recorded
+// Returns { stored, enhanced, skipped, health, logs }
+export async function replayFixture(fixture, options = {}) {
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Fixture version ${fixture.version} is not supported; save it again with this version of Kit`);
+  }
+
+  const adapter = SITE_ADAPTERS[fixture.site];
+  if (!adapter) throw new Error(`Unknown site "${fixture.site}"`);
+
+  const logs = [];
+  const virtualConsole = new VirtualConsole();
+  for (const level of ['log', 'info', 'warn', 'error']) {
+    virtualConsole.on(level, (...args) => logs.push(`${level}: ${args.join(' ')}`));
+  }
+  virtualConsole.on('jsdomError', error => logs.push(`jsdom: ${error.message}`));
+
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head>${fixture.html}</html>`, {
+    url: `https://${adapter.hosts[0]}${fixture.path}`,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole
+  });
+  const { window } = dom;
+  addInnerText(window);
+  const chrome = createChromeStub(fixture, options);
+  window.chrome = chrome.api;
+
+  const saved = DOM_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  for (const name of DOM_GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+
+  try {
+    for (const script of await getContentScripts()) {
+      window.eval(await readFile(ROOT + script, 'utf8'));
+    }
+
+    const capture = window.kitMemoryCapture;
+    await waitUntil(() => capture.detector && capture.input, 'the content script to find the input');
+
+    let enhanced = null;
+    if (options.prompt) {
+      capture.setInputText(capture.input, options.prompt);
+      await capture.enhancePrompt(capture.input);
+      enhanced = capture.getInputText(capture.input);
+      await capture.captureUserMessage(capture.input);
+    }
+
+    const skipped = await replayMutations(window, fixture.mutations, options.speed || 1);
+    await delay(SETTLE_MS);
+
+    return {
+      stored: chrome.stored,
+      enhanced,
+      skipped,
+      health: capture.detector.takeHealthReport(),
+      logs
+    };
+  } finally {
+    window.close();
+    for (const [name, descriptor] of saved) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  }
+}
+
+// jsdom has no layout and so no innerText, which rich editors are read and
+// written through. Lines become <br>s as in the browser, and blocks start new lines
+function addInnerText(window) {
+  const readText = (node) => {
+    let text = '';
+    for (const child of node.childNodes) {
+      if (child.nodeType === window.Node.TEXT_NODE) {
+        text += child.data;
+      } else if (child.tagName === 'BR') {
+        text += '\n';
+      } else if (child.nodeType === window.Node.ELEMENT_NODE) {
+        const isBlock = /^(P|DIV|LI|PRE|BLOCKQUOTE|H[1-6])$/.test(child.tagName);
+        text += (isBlock && text && !text.endsWith('\n') ? '\n' : '') + readText(child);
+      }
+    }
+    return text;
+  };
+
+  Object.defineProperty(window.HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return readText(this);
+    },
+    set(text) {
+      const lines = String(text).split('\n');
+      this.replaceChildren(...lines.flatMap((line, i) => i === 0 ? [line] : [this.ownerDocument.createElement('br'), line]));
+    }
+  });
+}
+
+// The manifest's content scripts, in the order the browser loads them
+async function getContentScripts() {
+  const manifest = JSON.parse(await readFile(ROOT + 'manifest.json', 'utf8'));
+  return manifest.content_scripts.flatMap(entry => entry.js);
+}
+
+// Applies each change at its recorded offset. Returns how many changes
+// pointed at nodes that were not on the page
+async function replayMutations(window, mutations, speed) {
+  let elapsed = 0;
+  let skipped = 0;
+
+  for (const mutation of mutations) {
+    await delay(Math.max(0, mutation.at - elapsed) / speed);
+    elapsed = mutation.at;
+
+    const target = resolvePath(window.document.body, mutation.target);
+    if (!target) {
+      skipped++;
+      continue;
+    }
+
+    switch (mutation.type) {
+      case 'childList': {
+        for (let i = 0; i < mutation.removed; i++) {
+          target.childNodes[mutation.index]?.remove();
+        }
+        const before = target.childNodes[mutation.index] || null;
+        for (const node of mutation.added) {
+          target.insertBefore(createNode(window.document, node), before);
+        }
+        break;
+      }
+      case 'characterData':
+        target.data = mutation.text;
+        break;
+      case 'attributes':
+        if (mutation.value === null) {
+          target.removeAttribute(mutation.name);
+        } else {
+          target.setAttribute(mutation.name, mutation.value);
+        }
+        break;
+      default:
+        skipped++;
+    }
+  }
+
+  return skipped;
+}
+
+function resolvePath(body, path) {
+  let node = body;
+  for (const index of path) {
+    node = node?.childNodes[index];
+  }
+  return node || null;
+}
+
+function createNode(document, serialized) {
+  if ('text' in serialized) return document.createTextNode(serialized.text);
+  if ('comment' in serialized) return document.createComment(serialized.comment);
+
+  const template = document.createElement('template');
+  template.innerHTML = serialized.html;
+  return template.content.firstChild;
+}
+
+// Answers the messages the content scripts send, keeping what they store
+function createChromeStub(fixture, options) {
+  const storage = {
+    selectorOverrides: { file: 'fixture', loaded_at: fixture.captured_at, sites: { [fixture.site]: fixture.selectors } },
+    ...options.storage
+  };
+  const stored = [];
+
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'STORE_MEMORY': {
+        const id = `replay-${stored.length + 1}`;
+        stored.push({ id, ...message.data });
+        return { success: true, id };
+      }
+      case 'UPDATE_MEMORY': {
+        const memory = stored.find(entry => entry.id === message.id);
+        if (!memory) return { success: false, error: 'Memory not found' };
+        memory.content = message.content;
+        return { success: true };
+      }
+      case 'SEARCH_MEMORIES':
+        return options.memories || [];
+      case 'GET_CAPTURE_STATUS':
+        return { success: true, block: null };
+      case 'GET_RECALL_SUGGESTIONS':
+        return { success: true, conversations: [], tags: [] };
+      default:
+        return { success: true };
+    }
+  };
+
+  const api = {
+    runtime: {
+      getURL: path => pathToFileURL(ROOT + path).href,
+      getManifest: () => ({ version: 'replay' }),
+      sendMessage: async message => structuredClone(handleMessage(structuredClone(message))),
+      onMessage: { addListener() {} }
+    },
+    storage: {
+      local: {
+        get: async (keys) => {
+          const names = keys === null || keys === undefined ? Object.keys(storage) : [].concat(keys);
+          return Object.fromEntries(names.filter(name => name in storage).map(name => [name, storage[name]]));
+        },
+        set: async (values) => {
+          Object.assign(storage, values);
+        },
+        remove: async (keys) => {
+          [].concat(keys).forEach(name => delete storage[name]);
+        }
+      },
+      onChanged: { addListener() {} }
+    },
+    extension: { inIncognitoContext: false }
+  };
+
+  return { api, stored };
+}
+
+async function waitUntil(check, what, timeout = 5000) {
+  const startTime = Date.now();
+  while (!check()) {
+    if (Date.now() - startTime > timeout) throw new Error(`Timed out waiting for ${what}`);
+    await delay(50);
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
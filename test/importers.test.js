@@ -0,0 +1,153 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChatGPTExport, parseClaudeExport, importKeys } from '../lib/importers.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+function chatGPTNode(id, parent, children, role, parts, extra = {}) {
+  return {
+    id,
+    parent,
+    children,
+    message: role && {
+      id,
+      author: { role },
+      create_time: 1760000000,
+      content: { content_type: 'text', parts },
+      metadata: {},
+      ...extra
+    }
+  };
+}
+
+// A regenerated reply: u1 has two answers, and a2 is the one showing
+const CHATGPT_EXPORT = [{
+  id: 'conv-1',
+  title: 'Deploy plan',
+  create_time: 1759990000,
+  current_node: 'a2',
+  mapping: {
+    root: chatGPTNode('root', null, ['sys'], null),
+    sys: chatGPTNode('sys', 'root', ['u1'], 'system', ['You are ChatGPT']),
+    u1: chatGPTNode('u1', 'sys', ['a1', 'a2'], 'user', ['How do I deploy?']),
+    a1: chatGPTNode('a1', 'u1', [], 'assistant', ['Use helm.'], { metadata: { model_slug: 'gpt-4o' } }),
+    a2: chatGPTNode('a2', 'u1', ['hidden'], 'assistant', ['Use an operator.', { asset_pointer: 'file-1' }]),
+    hidden: chatGPTNode('hidden', 'a2', [], 'user', ['context'], { metadata: { is_visually_hidden_from_conversation: true } })
+  }
+}];
+
+test('parses every branch of a ChatGPT conversation in tree order', () => {
+  const memories = parseChatGPTExport(CHATGPT_EXPORT);
+
+  assert.deepEqual(memories.map(memory => [memory.metadata.message_id, memory.role, memory.content]), [
+    ['u1', 'user', 'How do I deploy?'],
+    ['a1', 'assistant', 'Use helm.'],
+    ['a2', 'assistant', 'Use an operator.']
+  ]);
+  assert.deepEqual(memories.map(memory => memory.metadata.active_branch), [true, false, true]);
+});
+
+test('numbers ChatGPT turns as the page shows them, per branch', () => {
+  const memories = parseChatGPTExport(CHATGPT_EXPORT);
+
+  // The system message isn't shown, and both answers are the second turn
+  assert.deepEqual(memories.map(memory => [memory.metadata.message_id, memory.metadata.turn]), [['u1', 0], ['a1', 1], ['a2', 1]]);
+});
+
+test('keeps ChatGPT conversation details on each memory', () => {
+  const [, reply] = parseChatGPTExport(CHATGPT_EXPORT);
+
+  assert.equal(reply.site, 'chatgpt');
+  assert.equal(reply.conversation_id, 'conv-1');
+  assert.equal(reply.created_at, new Date(1760000000 * 1000).toISOString());
+  assert.deepEqual(reply.metadata, {
+    source: 'chatgpt-export',
+    title: 'Deploy plan',
+    message_id: 'a1',
+    parent_id: 'u1',
+    turn: 1,
+    active_branch: false,
+    model: 'gpt-4o'
+  });
+});
+
+test('renders ChatGPT code messages as fenced blocks', () => {
+  const conversation = {
+    id: 'conv-2',
+    current_node: 'c1',
+    mapping: {
+      c1: { id: 'c1', parent: null, children: [], message: { id: 'c1', author: { role: 'assistant' }, content: { content_type: 'code', language: 'python', text: 'print(1)' } } }
+    }
+  };
+
+  const [memory] = parseChatGPTExport(conversation);
+  assert.equal(memory.content, '```python\nprint(1)\n```');
+});
+
+test('skips entries that are not ChatGPT conversations', () => {
+  assert.deepEqual(parseChatGPTExport([{ title: 'no mapping' }, null]), []);
+});
+
+test('importing an export twice stores each message once', async () => {
+  const memory = new MemoryManager(new LocalStore('importers-test'));
+  const memories = parseChatGPTExport(CHATGPT_EXPORT);
+
+  assert.deepEqual(await memory.importMemories('u', memories), { imported: 3, duplicates: 0 });
+  assert.deepEqual(await memory.importMemories('u', memories), { imported: 0, duplicates: 3 });
+});
+
+test('import keys match live captures by content and imports by message id', () => {
+  const memory = { conversation_id: 'conv-1', role: 'user', content: 'How do I deploy?', metadata: { message_id: 'u1' } };
+  assert.deepEqual(importKeys(memory), ['content:conv-1:user:How do I deploy?', 'id:u1']);
+  assert.deepEqual(importKeys({ ...memory, metadata: {} }), ['content:conv-1:user:How do I deploy?']);
+});
+
+const CLAUDE_EXPORT = [{
+  uuid: 'chat-1',
+  name: 'Trip ideas',
+  created_at: '2026-10-01T08:00:00Z',
+  chat_messages: [
+    { uuid: 'm1', sender: 'human', text: 'Where should I go in May?', content: [], created_at: '2026-10-01T08:00:05Z' },
+    {
+      uuid: 'm2',
+      sender: 'assistant',
+      parent_message_uuid: 'm1',
+      content: [
+        { type: 'text', text: 'Lisbon is warm in May.' },
+        { type: 'tool_use', name: 'web_search', input: {} },
+        { type: 'text', text: 'Porto is quieter.' }
+      ]
+    },
+    { uuid: 'm3', sender: 'human', text: '   ', content: [] },
+    { uuid: 'm4', sender: 'system', text: 'ignored' }
+  ]
+}];
+
+test('parses Claude messages in order, joining their text blocks', () => {
+  const memories = parseClaudeExport(CLAUDE_EXPORT);
+
+  assert.deepEqual(memories.map(memory => [memory.metadata.message_id, memory.role, memory.content]), [
+    ['m1', 'user', 'Where should I go in May?'],
+    ['m2', 'assistant', 'Lisbon is warm in May.\nPorto is quieter.']
+  ]);
+});
+
+test('keeps Claude conversation details on each memory', () => {
+  const [question, answer] = parseClaudeExport(CLAUDE_EXPORT);
+
+  assert.equal(question.site, 'claude');
+  assert.equal(question.conversation_id, 'chat-1');
+  assert.equal(question.created_at, '2026-10-01T08:00:05.000Z');
+  assert.deepEqual(question.metadata, { source: 'claude-export', title: 'Trip ideas', message_id: 'm1', parent_id: null, turn: 0 });
+
+  // Messages without a time take the conversation's
+  assert.equal(answer.created_at, '2026-10-01T08:00:00.000Z');
+  assert.equal(answer.metadata.parent_id, 'm1');
+  assert.equal(answer.metadata.turn, 1);
+});
+
+test('skips entries that are not Claude conversations', () => {
+  assert.deepEqual(parseClaudeExport([{ uuid: 'x' }, null]), []);
+  assert.equal(parseClaudeExport(CLAUDE_EXPORT[0]).length, 2);
+});
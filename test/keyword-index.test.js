@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeywordIndex, parseQuery } from '../lib/keyword-index.js';
+import { analyze } from '../lib/text.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+async function buildIndex(name, documents) {
+  const index = new KeywordIndex(name);
+  for (const [id, content, conversation = 'c1'] of documents) {
+    await index.addMemory({ id, user_id: 'u', conversation_id: conversation, content });
+  }
+  return index;
+}
+
+test('parseQuery drops stopwords and keeps quoted phrases in order', () => {
+  const { terms, phrases } = parseQuery('how do I "rotate the keys" for staging');
+  assert.deepEqual(terms, analyze('rotate keys staging'));
+  assert.deepEqual(phrases, [analyze('rotate keys')]);
+});
+
+test('rare terms outweigh common ones', async () => {
+  const index = await buildIndex('keyword-rare-test', [
+    ['m1', 'deploy the service'],
+    ['m2', 'deploy the database'],
+    ['m3', 'deploy the kubernetes operator'],
+    ['m4', 'deploy the frontend']
+  ]);
+
+  const hits = await index.search('u', 'deploy kubernetes');
+  assert.equal(hits[0].id, 'm3');
+  assert.equal(hits.length, 4);
+  assert.ok(hits[0].score > hits[1].score);
+});
+
+test('shorter documents rank above longer ones with the same matches', async () => {
+  const index = await buildIndex('keyword-length-test', [
+    ['long', 'postgres tuning notes covering vacuum, indexes, replication, pooling and monitoring'],
+    ['short', 'postgres tuning']
+  ]);
+
+  const hits = await index.search('u', 'postgres tuning');
+  assert.deepEqual(hits.map(hit => hit.id), ['short', 'long']);
+});
+
+test('stemming matches other forms of a word', async () => {
+  const index = await buildIndex('keyword-stem-test', [['m1', 'We were deploying containers']]);
+  assert.deepEqual((await index.search('u', 'deployed container')).map(hit => hit.id), ['m1']);
+});
+
+test('quoted phrases must appear in order', async () => {
+  const index = await buildIndex('keyword-phrase-test', [
+    ['m1', 'rotate the api keys monthly'],
+    ['m2', 'keys rotate automatically']
+  ]);
+
+  assert.deepEqual((await index.search('u', '"rotate api keys"')).map(hit => hit.id), ['m1']);
+  assert.deepEqual((await index.search('u', 'rotate keys')).map(hit => hit.id).sort(), ['m1', 'm2']);
+});
+
+test('stopword-only queries and other users find nothing', async () => {
+  const index = await buildIndex('keyword-empty-test', [['m1', 'deploy the service']]);
+  assert.deepEqual(await index.search('u', 'the and of'), []);
+  assert.deepEqual(await index.search('someone-else', 'deploy'), []);
+});
+
+test('re-indexing an edited memory drops its old terms', async () => {
+  const index = await buildIndex('keyword-edit-test', [['m1', 'deploy with helm']]);
+  await index.addMemory({ id: 'm1', user_id: 'u', conversation_id: 'c1', content: 'deploy with an operator' });
+
+  assert.deepEqual(await index.search('u', 'helm'), []);
+  assert.deepEqual((await index.search('u', 'operator')).map(hit => hit.id), ['m1']);
+});
+
+test('deleting by conversation removes those documents from search', async () => {
+  const index = await buildIndex('keyword-delete-test', [
+    ['m1', 'deploy the service', 'c1'],
+    ['m2', 'deploy the database', 'c2']
+  ]);
+
+  await index.deleteMemories('u', { conversation_id: 'c1' });
+  assert.deepEqual((await index.search('u', 'deploy')).map(hit => hit.id), ['m2']);
+});
+
+test('keyword search returns stored memories with their BM25 score', async () => {
+  const memory = new MemoryManager(new LocalStore('keyword-search-test'), { keywordIndex: new KeywordIndex('keyword-search-test-index') });
+  await memory.storeMemory({ user_id: 'u', conversation_id: 'c1', role: 'user', content: 'Rotate the staging API keys every month', site: 'chatgpt' });
+  await memory.storeMemory({ user_id: 'u', conversation_id: 'c2', role: 'user', content: 'Book the team dinner', site: 'chatgpt' });
+
+  const results = await memory.keywordSearch('u', 'staging keys', {});
+  assert.deepEqual(results.map(result => result.content), ['Rotate the staging API keys every month']);
+  assert.ok(results[0].bm25 > 0);
+});
@@ -0,0 +1,138 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStore } from '../lib/local-store.js';
+import { SyncedStore } from '../lib/storage.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+async function seed(store) {
+  const rows = [
+    { id: 'old', conversation_id: 'c1', site: 'chatgpt', role: 'user', content: 'Deploy with Helm', created_at: daysAgo(30) },
+    { id: 'mid', conversation_id: 'c1', site: 'chatgpt', role: 'assistant', content: 'Helm is installed', created_at: daysAgo(20), tier: 'hot' },
+    { id: 'new', conversation_id: 'c2', site: 'claude', role: 'user', content: 'Plan the offsite', created_at: daysAgo(10) },
+    { id: 'warm', conversation_id: 'c3', site: 'claude', role: 'user', content: 'Old helm notes', created_at: daysAgo(120), tier: 'warm' },
+    { id: 'binned', conversation_id: 'c1', site: 'chatgpt', role: 'user', content: 'Helm typo', created_at: daysAgo(5), deleted_at: daysAgo(1) },
+    { id: 'other', user_id: 'someone-else', conversation_id: 'c9', role: 'user', content: 'Helm elsewhere', created_at: daysAgo(5) }
+  ];
+  for (const row of rows) {
+    await store.storeMemory({ user_id: 'u', ...row });
+  }
+}
+
+function ids(memories) {
+  return memories.map(memory => memory.id);
+}
+
+test('stored memories get an id and a creation time, and can be read back', async () => {
+  const store = new LocalStore('local-crud-test');
+
+  const stored = await store.storeMemory({ user_id: 'u', role: 'user', content: 'hello' });
+  assert.ok(stored.id);
+  assert.ok(!Number.isNaN(Date.parse(stored.created_at)));
+
+  assert.deepEqual(await store.getMemoriesByIds('u', [stored.id]), [stored]);
+  assert.deepEqual(await store.getMemoriesByIds('someone-else', [stored.id]), []);
+
+  const updated = await store.updateMemory(stored.id, { content: 'hello again' });
+  assert.equal(updated.content, 'hello again');
+  assert.equal((await store.exportMemories('u'))[0].content, 'hello again');
+
+  await store.deleteMemories('u', { ids: [stored.id] });
+  assert.deepEqual(await store.exportMemories('u'), []);
+});
+
+test('exports filter by tier, site, conversation and date, newest first', async () => {
+  const store = new LocalStore('local-filter-test');
+  await seed(store);
+
+  // Rows without a tier are HOT
+  assert.deepEqual(ids(await store.exportMemories('u')), ['new', 'mid', 'old']);
+  assert.deepEqual(ids(await store.exportMemories('u', { tier: 'warm' })), ['warm']);
+  assert.deepEqual(ids(await store.exportMemories('u', { site: 'chatgpt' })), ['mid', 'old']);
+  assert.deepEqual(ids(await store.exportMemories('u', { conversation_id: 'c2' })), ['new']);
+  assert.deepEqual(ids(await store.exportMemories('u', { after: daysAgo(25), before: daysAgo(15) })), ['mid']);
+  assert.deepEqual(ids(await store.exportMemories('u', { trashed: true })), ['binned']);
+});
+
+test('list, search and count follow the same filters', async () => {
+  const store = new LocalStore('local-query-test');
+  await seed(store);
+
+  // Oldest first, for migration
+  assert.deepEqual(ids(await store.listMemories('u', { limit: 2 })), ['old', 'mid']);
+  assert.deepEqual(ids(await store.listMemories('u', { before: daysAgo(15) })), ['old', 'mid']);
+
+  // Case-insensitive, newest first, HOT unless a tier is named
+  assert.deepEqual(ids(await store.searchMemories('u', 'HELM', { limit: 10 })), ['mid', 'old']);
+  assert.deepEqual(ids(await store.searchMemories('u', 'helm', { limit: 1 })), ['mid']);
+  assert.deepEqual(ids(await store.searchMemories('u', 'helm', { tier: 'warm' })), ['warm']);
+
+  assert.equal(await store.getMemoryCount('u', { tier: 'hot' }), 3);
+  assert.equal(await store.getMemoryCount('u', { tier: 'warm' }), 1);
+});
+
+test('deletes only touch the tier named, HOT by default', async () => {
+  const store = new LocalStore('local-delete-test');
+  await seed(store);
+
+  await store.deleteMemories('u', { conversation_id: 'c3' });
+  assert.deepEqual(ids(await store.exportMemories('u', { tier: 'warm' })), ['warm']);
+
+  await store.deleteMemories('u', { tier: 'warm' });
+  assert.deepEqual(ids(await store.exportMemories('u', { tier: 'warm' })), []);
+  assert.equal(await store.getMemoryCount('u', { tier: 'hot' }), 3);
+});
+
+test('updates only touch a row in the tier named', async () => {
+  const store = new LocalStore('local-update-tier-test');
+  await seed(store);
+
+  assert.equal(await store.updateMemory('warm', { content: 'changed' }, { tier: 'hot' }), null);
+  assert.deepEqual(ids(await store.updateMemories('u', ['old', 'warm'], { content: 'changed' }, { tier: 'warm' })), ['warm']);
+
+  const contents = Object.fromEntries((await store.getUserMemories('u')).map(row => [row.id, row.content]));
+  assert.equal(contents.old, 'Deploy with Helm');
+  assert.equal(contents.warm, 'changed');
+  assert.equal((await store.updateMemory('old', { content: 'edited' }, { tier: 'hot' })).content, 'edited');
+});
+
+// Supabase stand-in that is offline until told otherwise
+function fakeRemote() {
+  return {
+    online: false,
+    rows: [],
+    async storeMemory(memory) {
+      if (!this.online) throw new Error('Failed to fetch');
+      this.rows.push(memory);
+      return memory;
+    }
+  };
+}
+
+test('SyncedStore keeps writes locally while Supabase is unreachable and pushes them later', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const local = new LocalStore('synced-fallback-test');
+  const remote = fakeRemote();
+  const store = new SyncedStore(local, remote);
+
+  const stored = await store.storeMemory({ user_id: 'u', role: 'user', content: 'Deploy with Helm' });
+
+  assert.equal(stored.synced, false);
+  assert.deepEqual(ids(await store.searchMemories('u', 'helm')), [stored.id]);
+  assert.deepEqual(remote.rows, []);
+
+  // Still offline: nothing is lost or marked synced
+  assert.equal(await store.syncPending('u'), 0);
+
+  remote.online = true;
+  assert.equal(await store.syncPending('u'), 1);
+  assert.deepEqual(ids(remote.rows), [stored.id]);
+  assert.equal(remote.rows[0].synced, undefined);
+  assert.equal((await local.getMemoriesByIds('u', [stored.id]))[0].synced, true);
+  assert.equal(await store.syncPending('u'), 0);
+});
@@ -0,0 +1,130 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStore } from '../lib/local-store.js';
+import { KeywordIndex } from '../lib/keyword-index.js';
+import { MemoryManager } from '../lib/memory.js';
+import { compressMemory, decompressText } from '../lib/compression.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Long enough to shrink when compressed; short text is kept as it is
+const LONG_QUESTION = 'Old question about helm charts, values files and releases. '.repeat(4).trim();
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+async function seed(store, keywordIndex) {
+  const hot = [
+    { id: 'recent', conversation_id: 'a', role: 'user', content: 'Recent question about helm', created_at: daysAgo(10) },
+    { id: 'old-1', conversation_id: 'a', role: 'user', content: LONG_QUESTION, created_at: daysAgo(120) },
+    { id: 'old-2', conversation_id: 'a', role: 'assistant', content: 'Old answer about helm', created_at: daysAgo(110) },
+    { id: 'old-3', conversation_id: 'a', role: 'user', content: 'Another old helm question', created_at: daysAgo(100) }
+  ];
+  const warm = [
+    { id: 'warm-1', conversation_id: 'b', role: 'user', content: 'How do I bake bread? It keeps failing.', created_at: daysAgo(200) },
+    { id: 'warm-2', conversation_id: 'b', role: 'assistant', content: 'Use more water. Knead longer.', created_at: daysAgo(190) },
+    { id: 'warm-3', conversation_id: 'c', role: 'user', content: 'Not old enough for COLD', created_at: daysAgo(150) }
+  ];
+  const cold = [
+    { id: 'expired', conversation_id: 'd', role: 'summary', content: 'Ancient summary', created_at: daysAgo(400) },
+    { id: 'kept', conversation_id: 'e', role: 'summary', content: 'Recent summary', created_at: daysAgo(300) }
+  ];
+
+  for (const memory of hot) {
+    await store.storeMemory({ ...memory, user_id: 'u', site: 'chatgpt', tier: 'hot' });
+    await keywordIndex.addMemory({ ...memory, user_id: 'u' });
+  }
+  for (const memory of warm) {
+    await store.storeMemory(await compressMemory({ ...memory, user_id: 'u', site: 'chatgpt', tier: 'warm' }));
+  }
+  for (const memory of cold) {
+    await store.storeMemory(await compressMemory({ ...memory, user_id: 'u', site: 'chatgpt', tier: 'cold' }));
+  }
+
+  return { hot, warm, cold };
+}
+
+// migrateMemories logs a line per run
+async function migrateQuietly(memory) {
+  const original = console.log;
+  console.log = () => {};
+  try {
+    return await memory.migrateMemories('u');
+  } finally {
+    console.log = original;
+  }
+}
+
+async function ids(store, tier) {
+  return (await store.exportMemories('u', { tier })).map(memory => memory.id).sort();
+}
+
+test('migration moves memories down the tiers by age', async () => {
+  const store = new LocalStore('migration-test');
+  const keywordIndex = new KeywordIndex('migration-test-index');
+  const memory = new MemoryManager(store, { keywordIndex });
+  // Smaller than the number of rows to move, so batching is exercised
+  memory.migrationBatchSize = 2;
+  await seed(store, keywordIndex);
+
+  const result = await migrateQuietly(memory);
+
+  assert.deepEqual(result, { warmed: 3, cooled: 2, expired: 1 });
+  assert.deepEqual(await ids(store, 'hot'), ['recent']);
+  assert.deepEqual(await ids(store, 'warm'), ['old-1', 'old-2', 'old-3', 'warm-3']);
+
+  const coldRows = await store.exportMemories('u', { tier: 'cold' });
+  assert.equal(coldRows.length, 2);
+  assert.ok(coldRows.some(row => row.id === 'kept'));
+});
+
+test('WARM rows are compressed and indexed under WARM', async () => {
+  const store = new LocalStore('migration-warm-test');
+  const keywordIndex = new KeywordIndex('migration-warm-test-index');
+  const memory = new MemoryManager(store, { keywordIndex });
+  await seed(store, keywordIndex);
+
+  await migrateQuietly(memory);
+
+  const [warmed] = (await store.exportMemories('u', { tier: 'warm' })).filter(row => row.id === 'old-1');
+  assert.equal(warmed.metadata.compressed, true);
+  assert.equal(await decompressText(warmed.content), LONG_QUESTION);
+  assert.deepEqual((await keywordIndex.search('u', 'helm', { tier: 'hot' })).map(hit => hit.id), ['recent']);
+  assert.deepEqual((await keywordIndex.search('u', 'helm', { tier: 'warm' })).map(hit => hit.id).sort(), ['old-1', 'old-2', 'old-3']);
+});
+
+test('COLD keeps one summary per conversation, dated by its newest message', async () => {
+  const store = new LocalStore('migration-cold-test');
+  const keywordIndex = new KeywordIndex('migration-cold-test-index');
+  const memory = new MemoryManager(store, { keywordIndex });
+  const { warm } = await seed(store, keywordIndex);
+
+  await migrateQuietly(memory);
+
+  const [summary] = (await store.exportMemories('u', { tier: 'cold' })).filter(row => row.conversation_id === 'b');
+  const text = await decompressText(summary.content);
+
+  assert.equal(summary.role, 'summary');
+  assert.equal(summary.created_at, warm[1].created_at);
+  assert.equal(summary.metadata.message_count, 2);
+  assert.match(text, /\(2 messages\)/);
+  assert.match(text, /Topics:\n- How do I bake bread\?/);
+  assert.match(text, /Last answer: Use more water\./);
+  assert.deepEqual((await keywordIndex.search('u', 'bread', { tier: 'cold' })).map(hit => hit.id), [summary.id]);
+});
+
+test('the index follows rows out of WARM and drops expired COLD rows', async () => {
+  const store = new LocalStore('migration-index-test');
+  const keywordIndex = new KeywordIndex('migration-index-test-index');
+  const memory = new MemoryManager(store, { keywordIndex });
+  await seed(store, keywordIndex);
+  await keywordIndex.addMemory({ id: 'warm-1', user_id: 'u', conversation_id: 'b', tier: 'warm', content: 'How do I bake bread?', created_at: daysAgo(200) });
+  await keywordIndex.addMemory({ id: 'expired', user_id: 'u', conversation_id: 'd', tier: 'cold', content: 'Ancient summary', created_at: daysAgo(400) });
+
+  await migrateQuietly(memory);
+
+  assert.deepEqual(await keywordIndex.search('u', 'bread', { tier: 'warm' }), []);
+  assert.deepEqual(await keywordIndex.search('u', 'ancient'), []);
+});
@@ -0,0 +1,104 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { MessageParser } from '../lib/parser.js';
+
+// The parser reads these as globals, as it does in the content script
+const DOM_GLOBALS = ['Node', 'getComputedStyle'];
+
+const { window } = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://chatgpt.com/c/abc' });
+const parser = new MessageParser('chatgpt');
+let saved;
+
+before(() => {
+  saved = DOM_GLOBALS.map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  for (const name of DOM_GLOBALS) {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+  }
+});
+
+after(() => {
+  for (const [name, descriptor] of saved) {
+    if (descriptor) {
+      Object.defineProperty(globalThis, name, descriptor);
+    } else {
+      delete globalThis[name];
+    }
+  }
+  window.close();
+});
+
+function markdown(html) {
+  const element = window.document.createElement('div');
+  element.innerHTML = html;
+  return parser.toMarkdown(element);
+}
+
+test('inline formatting and paragraphs', () => {
+  assert.equal(
+    markdown('<p>Use <strong>helm </strong>or <em>kubectl</em>, see <a href="https://helm.sh/docs">the docs</a>.</p><p><code>a`b</code></p>'),
+    'Use **helm** or *kubectl*, see [the docs](https://helm.sh/docs).\n\n``a`b``'
+  );
+});
+
+test('code blocks keep their language, lines and a fence longer than any inside', () => {
+  assert.equal(
+    markdown('<pre><div>python</div><button>Copy</button><code class="language-python">def f():\n    return 1\n</code></pre>'),
+    '```python\ndef f():\n    return 1\n```'
+  );
+  assert.equal(
+    markdown('<pre><code>```\nnested\n```</code></pre>'),
+    '````\n```\nnested\n```\n````'
+  );
+  assert.equal(
+    markdown('<pre data-language="js"><div class="cm-line">let a = 1;</div><div class="cm-line">let b = 2;</div></pre>'),
+    '```js\nlet a = 1;\nlet b = 2;\n```'
+  );
+});
+
+test('nested lists are indented under their item', () => {
+  assert.equal(
+    markdown('<ol start="3"><li>Build<ul><li>lint</li><li>test</li></ul></li><li>Ship</li></ol>'),
+    '3. Build\n   - lint\n   - test\n4. Ship'
+  );
+  assert.equal(
+    markdown('<ul><li><p>First</p><p>More on first</p></li><li><input type="checkbox" checked>Done</li></ul>'),
+    '- First\n\n  More on first\n- [x] Done'
+  );
+});
+
+test('tables become GitHub tables with pipes escaped and short rows padded', () => {
+  assert.equal(
+    markdown('<table><thead><tr><th>Flag</th><th>Meaning</th></tr></thead><tbody>'
+      + '<tr><td><code>-a|-b</code></td><td>either<br>one</td></tr>'
+      + '<tr><td>-c</td></tr></tbody></table>'),
+    '| Flag | Meaning |\n| --- | --- |\n| `-a\\|-b` | either<br>one |\n| -c |  |'
+  );
+  assert.equal(markdown('<table></table>'), '');
+});
+
+test('KaTeX and MathJax keep their TeX source', () => {
+  const katex = tex => `<span class="katex"><span class="katex-mathml"><math><semantics><mrow></mrow>`
+    + `<annotation encoding="application/x-tex">${tex}</annotation></semantics></math></span>`
+    + `<span class="katex-html">rendered</span></span>`;
+
+  assert.equal(markdown(`<p>Energy is ${katex('E = mc^2')} here.</p>`), 'Energy is $E = mc^2$ here.');
+  assert.equal(markdown(`<span class="katex-display">${katex('\\sum_i x_i')}</span>`), '$$\n\\sum_i x_i\n$$');
+  assert.equal(markdown('<mjx-container display="true" data-latex="a^2 + b^2"><svg></svg></mjx-container>'), '$$\na^2 + b^2\n$$');
+  assert.equal(
+    markdown('<span class="MathJax">x</span><script type="math/tex">x^2</script> and <script type="math/tex; mode=display">y</script>'),
+    '$x^2$ and\n\n$$\ny\n$$'
+  );
+});
+
+test('math without a TeX source falls back to its text', () => {
+  assert.equal(markdown('<span class="katex">x + y</span>'), 'x + y');
+});
+
+test('citations become numbered footnotes, one per source', () => {
+  assert.equal(
+    markdown('<p>Fact<sup><a href="https://a.example/" title="Source A">1</a></sup> again'
+      + '<sup><a href="https://a.example/">1</a></sup> and<sup><a href="https://b.example/">2</a></sup>.</p>'),
+    'Fact[^1] again[^1] and[^2].\n\n[^1]: [Source A](https://a.example/)\n[^2]: https://b.example/'
+  );
+});
@@ -0,0 +1,35 @@
+// Replays each checked-in page fixture that has a `.expected.json` beside it
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync } from 'node:fs';
+import { loadFixture, replayFixture } from './harness/replay.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+
+const names = readdirSync(FIXTURES)
+  .filter(file => file.endsWith('.expected.json'))
+  .map(file => file.replace(/\.expected\.json$/, ''));
+
+for (const name of names) {
+  test(`replays ${name}`, async () => {
+    const fixture = await loadFixture(new URL(`${name}.json`, FIXTURES));
+    const expected = await loadFixture(new URL(`${name}.expected.json`, FIXTURES));
+
+    const result = await replayFixture(fixture, { prompt: expected.prompt, memories: expected.memories, speed: 4 });
+
+    assert.equal(result.skipped, 0, 'every recorded change applies to the page');
+    assert.deepEqual(
+      result.stored.map(memory => ({ role: memory.role, content: memory.content, message_id: memory.lineage?.message_id ?? null })),
+      expected.stored
+    );
+
+    if (expected.prompt) {
+      assert.ok(result.enhanced.startsWith('--- Previous Context ---\n'), 'context goes in front of the prompt');
+      assert.ok(result.enhanced.endsWith(`--- Current Query ---\n${expected.prompt}`), 'the prompt follows the context');
+      for (const memory of expected.memories) {
+        assert.ok(result.enhanced.includes(memory.content), `context includes "${memory.content}"`);
+      }
+    }
+  });
+}
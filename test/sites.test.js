@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+import {
+  SITE_ADAPTERS,
+  findAdapter,
+  getAdapter,
+  extractConversationId,
+  isTemporaryChat,
+  getMatchPatterns,
+  applySelectorOverrides,
+  parseSelectorOverrides
+} from '../lib/sites.js';
+
+test('each adapter reads the conversation id from its own URLs', () => {
+  const cases = [
+    ['https://chatgpt.com/c/6712ab-34cd-ef', '6712ab-34cd-ef'],
+    ['https://chat.openai.com/c/abc-123?model=gpt-4o', 'abc-123'],
+    ['https://chatgpt.com/g/g-xyz-helper/c/abc-123', 'abc-123'],
+    ['https://claude.ai/chat/1b2c-3d4e', '1b2c-3d4e'],
+    ['https://gemini.google.com/app/a1b2_c3', 'a1b2_c3'],
+    ['https://gemini.google.com/gem/coding-partner/f00d', 'f00d'],
+    ['https://www.perplexity.ai/search/how-to-deploy-X1y.2Z', 'how-to-deploy-X1y.2Z'],
+    ['https://perplexity.ai/search/abc', 'abc'],
+    ['https://copilot.microsoft.com/chats/Zx9_q-1', 'Zx9_q-1'],
+    ['https://chat.mistral.ai/chat/5e6f-7a8b', '5e6f-7a8b'],
+    ['https://chat.deepseek.com/a/chat/s/9c8d-7e6f', '9c8d-7e6f']
+  ];
+
+  for (const [url, id] of cases) {
+    assert.equal(extractConversationId(url), id, url);
+  }
+});
+
+test('pages without a conversation, other sites and bad URLs have no id', () => {
+  for (const url of [
+    'https://chatgpt.com/',
+    'https://claude.ai/new',
+    'https://gemini.google.com/app',
+    'https://chat.deepseek.com/a/chat/',
+    // Another site's URL shape on the wrong host
+    'https://claude.ai/c/abc-123',
+    'https://chatgpt.com/chat/abc-123',
+    'https://example.com/c/abc-123',
+    'not a url'
+  ]) {
+    assert.equal(extractConversationId(url), null, url);
+  }
+});
+
+test('hosts map to their adapter, whatever the case', () => {
+  assert.equal(findAdapter('CHATGPT.com').id, 'chatgpt');
+  assert.equal(findAdapter('www.perplexity.ai').id, 'perplexity');
+  assert.equal(findAdapter('perplexity.ai').id, 'perplexity');
+  assert.equal(findAdapter('copilot.microsoft.com').id, 'copilot');
+  assert.equal(findAdapter('google.com'), null);
+  assert.equal(findAdapter(undefined), null);
+});
+
+test('temporary chats are recognised only on their own site', () => {
+  assert.equal(isTemporaryChat('https://chatgpt.com/?temporary-chat=true'), true);
+  assert.equal(isTemporaryChat('https://chatgpt.com/?model=gpt-4o&temporary-chat=true'), true);
+  assert.equal(isTemporaryChat('https://chatgpt.com/?temporary-chat=false'), false);
+  assert.equal(isTemporaryChat('https://claude.ai/new?temporary-chat=true'), false);
+  assert.equal(isTemporaryChat('not a url'), false);
+});
+
+test('every adapter host is in the manifest', async () => {
+  const manifest = JSON.parse(await readFile(new URL('../manifest.json', import.meta.url), 'utf8'));
+
+  assert.deepEqual(manifest.content_scripts[0].matches, getMatchPatterns());
+  for (const pattern of getMatchPatterns()) {
+    assert.ok(manifest.host_permissions.includes(pattern), pattern);
+  }
+});
+
+test('every adapter names its selectors as lists', () => {
+  const parts = Object.keys(SITE_ADAPTERS.chatgpt.selectors);
+
+  for (const [site, adapter] of Object.entries(SITE_ADAPTERS)) {
+    assert.deepEqual(Object.keys(adapter.selectors), parts, site);
+    for (const list of Object.values(adapter.selectors)) {
+      assert.ok(Array.isArray(list), site);
+    }
+  }
+});
+
+test('a selector file is trimmed and checked part by part', () => {
+  assert.deepEqual(parseSelectorOverrides({ claude: { input: [' div.ProseMirror '], sendButton: [] } }), {
+    claude: { input: ['div.ProseMirror'], sendButton: [] }
+  });
+  assert.deepEqual(parseSelectorOverrides({}), {});
+});
+
+test('a malformed selector file is refused with the first problem in it', () => {
+  const cases = [
+    [null, /Expected an object of sites/],
+    [[{ claude: {} }], /Expected an object of sites/],
+    [{ bard: { input: ['textarea'] } }, /Unknown site "bard"/],
+    [{ claude: ['textarea'] }, /"claude" should map parts to selector lists/],
+    [{ claude: { composer: ['textarea'] } }, /Unknown part "composer" for claude/],
+    [{ claude: { input: 'textarea' } }, /claude\.input should be a list of selectors/],
+    [{ claude: { input: ['textarea', '  '] } }, /claude\.input should be a list of selectors/],
+    [{ claude: { input: [42] } }, /claude\.input should be a list of selectors/]
+  ];
+
+  for (const [json, message] of cases) {
+    assert.throws(() => parseSelectorOverrides(json), message);
+  }
+});
+
+test('selectors that don\'t parse are refused where there is a DOM to check them', () => {
+  const { window } = new JSDOM('<!DOCTYPE html><body></body>');
+  globalThis.document = window.document;
+
+  try {
+    assert.throws(() => parseSelectorOverrides({ chatgpt: { input: ['textarea', 'div[data-id='] } }), /Invalid selector in chatgpt\.input: div\[data-id=/);
+    assert.ok(parseSelectorOverrides({ chatgpt: { input: ['div[data-id="prompt"]'] } }));
+  } finally {
+    delete globalThis.document;
+    window.close();
+  }
+});
+
+test('overrides go ahead of the adapter\'s own selectors, for their own site only', () => {
+  const claude = getAdapter('claude');
+  const overrides = { claude: { input: ['#composer', claude.selectors.input[0]] } };
+
+  const applied = applySelectorOverrides(claude, overrides);
+  assert.deepEqual(applied.selectors.input, ['#composer', ...claude.selectors.input]);
+  assert.equal(applied.selectors.messages, claude.selectors.messages);
+  assert.ok(!SITE_ADAPTERS.claude.selectors.input.includes('#composer'));
+
+  assert.equal(applySelectorOverrides(getAdapter('chatgpt'), overrides).selectors, SITE_ADAPTERS.chatgpt.selectors);
+  assert.equal(applySelectorOverrides(null, overrides), null);
+});
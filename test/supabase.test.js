@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SupabaseClient } from '../lib/supabase.js';
+
+const URL_BASE = 'https://project.supabase.co';
+
+function makeRows(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `m${String(i).padStart(3, '0')}`,
+    user_id: 'u',
+    deleted_at: null,
+    // Pairs share a timestamp, so the id tie-break matters
+    created_at: new Date(Date.UTC(2026, 0, 1) + Math.floor(i / 2) * 60000).toISOString(),
+    content: `memory ${i}`
+  }));
+}
+
+// A PostgREST stand-in over `rows` that returns at most `pageCap` rows per
+// response, and records each request
+function fakePostgrest(t, rows, pageCap = Infinity) {
+  const requests = [];
+
+  t.mock.method(globalThis, 'fetch', async (url, init = {}) => {
+    const parsed = new URL(url);
+    const params = parsed.searchParams;
+    const ids = params.get('id')?.match(/^in\.\((.*)\)$/)?.[1].split(',');
+    const offset = Number(params.get('offset') || 0);
+    requests.push({ method: init.method || 'GET', ids, offset, deleted: params.get('deleted_at') });
+
+    const matching = rows
+      .filter(row => row.user_id === params.get('user_id').slice('eq.'.length))
+      .filter(row => !ids || ids.includes(row.id))
+      .filter(row => params.get('deleted_at') !== 'is.null' || row.deleted_at === null)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at) || a.id.localeCompare(b.id));
+
+    if (init.method === 'DELETE') {
+      matching.forEach(row => rows.splice(rows.indexOf(row), 1));
+      return new Response(null, { status: 204 });
+    }
+
+    const limit = Math.min(Number(params.get('limit') || Infinity), pageCap);
+    return Response.json(matching.slice(offset, offset + limit));
+  });
+
+  return requests;
+}
+
+test('export keeps paging when the server returns fewer rows than asked for', async (t) => {
+  const rows = makeRows(7);
+  const requests = fakePostgrest(t, rows, 3);
+
+  const exported = await new SupabaseClient(URL_BASE, 'key').exportMemories('u');
+
+  assert.equal(exported.length, 7);
+  assert.equal(new Set(exported.map(row => row.id)).size, 7);
+  assert.deepEqual(requests.map(request => request.offset), [0, 3, 6, 7]);
+});
+
+test('export by ids batches the filter and keeps the combined order', async (t) => {
+  const rows = makeRows(300);
+  const requests = fakePostgrest(t, rows);
+  const ids = rows.slice(0, 250).map(row => row.id).reverse();
+
+  const exported = await new SupabaseClient(URL_BASE, 'key').exportMemories('u', { ids });
+
+  assert.ok(requests.every(request => request.ids.length <= 100));
+  assert.deepEqual(requests.filter(request => request.offset === 0).map(request => request.ids.length), [100, 100, 50]);
+  assert.deepEqual(exported.map(row => row.id), rows.slice(0, 250)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at) || a.id.localeCompare(b.id))
+    .map(row => row.id));
+});
+
+test('getMemoriesByIds batches the id filter', async (t) => {
+  const rows = makeRows(250);
+  const requests = fakePostgrest(t, rows);
+
+  const found = await new SupabaseClient(URL_BASE, 'key').getMemoriesByIds('u', rows.map(row => row.id));
+
+  assert.equal(found.length, 250);
+  assert.deepEqual(requests.map(request => request.ids.length), [100, 100, 50]);
+});
+
+test('deleteMemories batches the id filter', async (t) => {
+  const rows = makeRows(260);
+  const requests = fakePostgrest(t, rows);
+
+  await new SupabaseClient(URL_BASE, 'key').deleteMemories('u', { ids: rows.slice(0, 250).map(row => row.id) });
+
+  assert.deepEqual(requests.map(request => [request.method, request.ids.length]), [['DELETE', 100], ['DELETE', 100], ['DELETE', 50]]);
+  assert.equal(rows.length, 10);
+});
+
+test('getMemoriesByIds leaves out trashed rows unless asked for them', async (t) => {
+  const rows = makeRows(3);
+  rows[1].deleted_at = new Date().toISOString();
+  const requests = fakePostgrest(t, rows);
+  const client = new SupabaseClient(URL_BASE, 'key');
+
+  const found = await client.getMemoriesByIds('u', rows.map(row => row.id));
+  assert.deepEqual(found.map(row => row.id).sort(), ['m000', 'm002']);
+
+  await client.getMemoriesByIds('u', [rows[1].id], { trashed: true });
+  assert.deepEqual(requests.map(request => request.deleted), ['is.null', 'not.is.null']);
+});
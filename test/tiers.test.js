@@ -0,0 +1,99 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStore } from '../lib/local-store.js';
+import { KeywordIndex } from '../lib/keyword-index.js';
+import { VectorIndex } from '../lib/vector-index.js';
+import { MemoryManager } from '../lib/memory.js';
+import { embedText } from '../lib/embeddings.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+// Stores each memory in HOT at its age and lets the daily migration move
+// the old ones down, as happens in the extension
+async function setup(name, memories) {
+  const store = new LocalStore(name);
+  const keywordIndex = new KeywordIndex(`${name}-index`);
+  const memory = new MemoryManager(store, { keywordIndex });
+
+  for (const [id, conversation, content, age] of memories) {
+    await memory.storeMemory({ id, user_id: 'u', conversation_id: conversation, role: 'user', site: 'chatgpt', content, created_at: daysAgo(age) });
+  }
+
+  const original = console.log;
+  console.log = () => {};
+  try {
+    await memory.migrateMemories('u');
+  } finally {
+    console.log = original;
+  }
+
+  return { store, keywordIndex, memory };
+}
+
+const MEMORIES = [
+  ['hot-1', 'a', 'Deploy the staging cluster with helm', 5],
+  ['warm-1', 'b', 'Helm chart values for the production cluster', 120],
+  ['warm-2', 'c', 'Sourdough starter needs feeding twice a day', 130],
+  ['cold-1', 'd', 'How do I roll back a helm release?', 200]
+];
+
+test('WARM is only searched when HOT has no matches', async () => {
+  const { memory } = await setup('tiers-cascade-test', MEMORIES);
+
+  const hotFirst = await memory.searchMemories('u', 'helm cluster');
+  assert.deepEqual(hotFirst.map(m => [m.id, m.tier]), [['hot-1', 'hot']]);
+
+  const fallback = await memory.searchMemories('u', 'sourdough starter');
+  assert.deepEqual(fallback.map(m => [m.id, m.tier]), [['warm-2', 'warm']]);
+  assert.equal(fallback[0].content, 'Sourdough starter needs feeding twice a day');
+});
+
+test('archive mode searches every tier and tags each result with its tier', async () => {
+  const { memory } = await setup('tiers-archive-test', MEMORIES);
+
+  const results = await memory.searchMemories('u', 'helm', { includeArchive: true });
+  const tiers = Object.fromEntries(results.map(m => [m.conversation_id, m.tier]));
+
+  assert.deepEqual(tiers, { a: 'hot', b: 'warm', d: 'cold' });
+  assert.match(results.find(m => m.tier === 'cold').content, /roll back a helm release/);
+});
+
+test('a tier that runs past its budget is dropped and counted', async (t) => {
+  const { memory, keywordIndex } = await setup('tiers-budget-test', MEMORIES);
+  const search = keywordIndex.search.bind(keywordIndex);
+  t.mock.method(keywordIndex, 'search', async (userId, query, options) => {
+    if (options.tier === 'warm') await new Promise(resolve => setTimeout(resolve, 50));
+    return await search(userId, query, options);
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  const results = await memory.searchMemories('u', 'helm', { includeArchive: true, tierBudgets: { warm: 10 } });
+
+  assert.deepEqual(results.map(m => m.tier).sort(), ['cold', 'hot']);
+  assert.match(warn.mock.calls[0].arguments[0], /warm tier search exceeded 10ms/);
+  assert.deepEqual((await memory.getStats('u')).searchTimeouts, { hot: 0, warm: 1, cold: 0 });
+});
+
+test('backfill indexes WARM and COLD rows moved before those tiers were indexed', async () => {
+  const { memory, keywordIndex } = await setup('tiers-backfill-test', MEMORIES);
+  await keywordIndex.deleteMemories('u', { tier: 'warm' });
+  await keywordIndex.deleteMemories('u', { tier: 'cold' });
+
+  assert.equal(await memory.backfillIndexes('u'), 3);
+  assert.deepEqual((await memory.searchMemories('u', 'sourdough')).map(m => m.id), ['warm-2']);
+});
+
+test('vector search keeps to the tier asked for', async () => {
+  const index = new VectorIndex('tiers-vector-test');
+  await index.addMemory({ id: 'm1', user_id: 'u', conversation_id: 'a', content: 'helm release rollback' });
+  await index.addMemory({ id: 'm2', user_id: 'u', conversation_id: 'b', tier: 'warm', content: 'helm release rollback' });
+
+  const query = embedText('helm rollback');
+  assert.deepEqual((await index.search('u', query, { tier: 'hot' })).map(hit => [hit.id, hit.tier]), [['m1', 'hot']]);
+  assert.deepEqual((await index.search('u', query, { tier: 'warm' })).map(hit => [hit.id, hit.tier]), [['m2', 'warm']]);
+});
@@ -0,0 +1,76 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStore } from '../lib/local-store.js';
+import { KeywordIndex } from '../lib/keyword-index.js';
+import { MemoryManager } from '../lib/memory.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function setup(name) {
+  const store = new LocalStore(name);
+  const memory = new MemoryManager(store, { keywordIndex: new KeywordIndex(`${name}-index`) });
+
+  for (const [conversation, role, content] of [
+    ['c1', 'user', 'Rotate the staging keys'],
+    ['c1', 'assistant', 'Run the rotate script against staging'],
+    ['c2', 'user', 'Plan the team offsite']
+  ]) {
+    await memory.storeMemory({ user_id: 'u', conversation_id: conversation, role, site: 'chatgpt', content });
+  }
+
+  return { store, memory };
+}
+
+async function contents(memory, filters) {
+  return (await memory.exportMemories('u', filters)).map(m => m.content).sort();
+}
+
+test('trashed memories leave exports and search', async () => {
+  const { memory } = await setup('trash-hide-test');
+
+  const trashed = await memory.trashMemories('u', { query: 'staging', role: 'user' });
+
+  assert.deepEqual(trashed.map(m => m.tier), ['hot']);
+  assert.deepEqual(await contents(memory), ['Plan the team offsite', 'Run the rotate script against staging']);
+  assert.deepEqual(await contents(memory, { trashed: true }), ['Rotate the staging keys']);
+  assert.deepEqual((await memory.keywordSearch('u', 'staging keys', {})).map(m => m.content), ['Run the rotate script against staging']);
+});
+
+test('lookups by id skip trashed rows', async () => {
+  const { store, memory } = await setup('trash-ids-test');
+  const [trashed] = await memory.trashMemories('u', { conversation_id: 'c2' });
+
+  assert.deepEqual(await store.getMemoriesByIds('u', [trashed.id]), []);
+  assert.equal((await store.getMemoriesByIds('u', [trashed.id], { trashed: true })).length, 1);
+});
+
+test('restoring brings memories back into search', async () => {
+  const { memory } = await setup('trash-restore-test');
+  const trashed = await memory.trashMemories('u', { conversation_id: 'c1' });
+
+  assert.equal(await memory.restoreMemories('u', trashed), 2);
+  assert.deepEqual(await contents(memory, { trashed: true }), []);
+  assert.equal((await memory.keywordSearch('u', 'staging', {})).length, 2);
+});
+
+test('purging deletes trashed memories for good', async () => {
+  const { memory } = await setup('trash-purge-test');
+  const trashed = await memory.trashMemories('u', { conversation_id: 'c2' });
+
+  await memory.purgeMemories('u', trashed);
+
+  assert.deepEqual(await contents(memory, { trashed: true }), []);
+  assert.equal((await memory.exportMemories('u')).length, 2);
+});
+
+test('the retention window only empties trash older than it', async () => {
+  const { store, memory } = await setup('trash-retention-test');
+  const trashed = await memory.trashMemories('u', { conversation_id: 'c1' });
+  await store.updateMemory(trashed[0].id, { deleted_at: new Date(Date.now() - 40 * DAY_MS).toISOString() });
+
+  await memory.purgeTrash('u', 30);
+
+  assert.deepEqual((await memory.exportMemories('u', { trashed: true })).map(m => m.id), [trashed[1].id]);
+  assert.deepEqual(await contents(memory), ['Plan the team offsite']);
+});
@@ -0,0 +1,129 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LocalStore } from '../lib/local-store.js';
+import { KeywordIndex } from '../lib/keyword-index.js';
+import { MemoryManager } from '../lib/memory.js';
+import { parseClaudeExport } from '../lib/importers.js';
+
+let databases = 0;
+
+function setup() {
+  const name = `turns-test-${++databases}`;
+  return new MemoryManager(new LocalStore(name), { keywordIndex: new KeywordIndex(`${name}-index`) });
+}
+
+// Shaped like the rows background.js builds from a captured message, on a
+// page that shows no message ids
+function turn(number, role, content) {
+  return {
+    user_id: 'u',
+    conversation_id: 'c1',
+    role,
+    content,
+    site: 'chatgpt',
+    metadata: { message_id: null, turn: number }
+  };
+}
+
+async function storeTurns(memory, turns) {
+  for (const [number, role, content] of turns) {
+    await memory.storeTurn(turn(number, role, content));
+  }
+}
+
+// Content of each row, with the superseded ones marked
+async function versions(memory) {
+  const rows = await memory.exportMemories('u');
+  return rows.map(row => `${row.content}${row.superseded_at ? ' (superseded)' : ''}`);
+}
+
+const CONVERSATION = [
+  [0, 'user', 'How do I deploy?'],
+  [1, 'assistant', 'Use helm.'],
+  [2, 'user', 'And roll back?'],
+  [3, 'assistant', 'Run helm rollback.']
+];
+
+test('a turn Kit already holds is a duplicate', async () => {
+  const memory = setup();
+  await storeTurns(memory, CONVERSATION);
+
+  const result = await memory.storeTurn(turn(1, 'assistant', 'Use helm.'));
+
+  assert.equal(result.duplicate, true);
+  assert.equal((await memory.exportMemories('u')).length, 4);
+});
+
+test('an edited message supersedes its old version and the turns after it', async () => {
+  const memory = setup();
+  await storeTurns(memory, CONVERSATION);
+
+  const result = await memory.storeTurn(turn(2, 'user', 'And undo a release?'));
+
+  assert.equal(result.duplicate, false);
+  assert.deepEqual((await versions(memory)).sort(), [
+    'And roll back? (superseded)',
+    'And undo a release?',
+    'How do I deploy?',
+    'Run helm rollback. (superseded)',
+    'Use helm.'
+  ]);
+});
+
+test('a regenerated reply supersedes only the old reply and what followed it', async () => {
+  const memory = setup();
+  await storeTurns(memory, CONVERSATION);
+
+  await memory.storeTurn(turn(1, 'assistant', 'Use an operator.'));
+
+  assert.deepEqual((await versions(memory)).sort(), [
+    'And roll back? (superseded)',
+    'How do I deploy?',
+    'Run helm rollback. (superseded)',
+    'Use an operator.',
+    'Use helm. (superseded)'
+  ]);
+});
+
+test('switching back to an older version restores it', async () => {
+  const memory = setup();
+  await storeTurns(memory, CONVERSATION.slice(0, 2));
+  await memory.storeTurn(turn(1, 'assistant', 'Use an operator.'));
+
+  const result = await memory.storeTurn(turn(1, 'assistant', 'Use helm.'));
+
+  assert.equal(result.duplicate, true);
+  assert.deepEqual((await versions(memory)).sort(), ['How do I deploy?', 'Use an operator. (superseded)', 'Use helm.']);
+});
+
+test('superseded versions still match but rank below the current one', async () => {
+  const memory = setup();
+  await storeTurns(memory, [[0, 'user', 'Deploy the staging cluster'], [1, 'assistant', 'Deploy with helm to staging']]);
+  await memory.storeTurn(turn(1, 'assistant', 'Deploy with an operator to staging'));
+
+  const results = await memory.searchMemories('u', 'deploy staging');
+  const superseded = results.find(result => result.content === 'Deploy with helm to staging');
+
+  assert.equal(superseded.superseded, true);
+  assert.equal(results.at(-1), superseded);
+});
+
+test('a live capture of an imported message is a duplicate, even without a message id', async () => {
+  const memory = setup();
+  const now = new Date().toISOString();
+  await memory.importMemories('u', parseClaudeExport([{
+    uuid: 'c1',
+    name: 'Deploys',
+    created_at: now,
+    chat_messages: [
+      { uuid: 'm1', sender: 'human', text: 'How do I deploy?', created_at: now },
+      { uuid: 'm2', sender: 'assistant', text: 'Use helm.', parent_message_uuid: 'm1', created_at: now }
+    ]
+  }]));
+
+  const result = await memory.storeTurn(turn(1, 'assistant', 'Use helm.'));
+
+  assert.equal(result.duplicate, true);
+  assert.deepEqual((await versions(memory)).sort(), ['How do I deploy?', 'Use helm.']);
+});
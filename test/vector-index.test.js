@@ -0,0 +1,58 @@
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { embedText, cosineSimilarity, EMBEDDING_DIMENSIONS } from '../lib/embeddings.js';
+import { VectorIndex } from '../lib/vector-index.js';
+import { LocalStore } from '../lib/local-store.js';
+import { MemoryManager } from '../lib/memory.js';
+
+test('embeddings are unit length and the same for the same text', () => {
+  const vector = embedText('Deploy the API to the new cluster');
+  assert.equal(vector.length, EMBEDDING_DIMENSIONS);
+  assert.ok(Math.abs(cosineSimilarity(vector, vector) - 1) < 1e-6);
+  assert.deepEqual(embedText('Deploy the API to the new cluster'), vector);
+});
+
+test('empty text has no similarity to anything', () => {
+  assert.equal(cosineSimilarity(embedText(''), embedText('deploy')), 0);
+});
+
+test('related wording scores above unrelated text', () => {
+  const query = embedText('oauth login flow');
+  const related = cosineSimilarity(query, embedText('How the auth login works'));
+  const unrelated = cosineSimilarity(query, embedText('Recipe for banana bread'));
+  assert.ok(related > unrelated, `${related} > ${unrelated}`);
+});
+
+test('VectorIndex returns the nearest memories first, above the similarity floor', async () => {
+  const index = new VectorIndex('vector-index-test');
+  await index.addMemory({ id: 'm1', user_id: 'u', conversation_id: 'c1', content: 'Postgres backups run nightly with pg_dump' });
+  await index.addMemory({ id: 'm2', user_id: 'u', conversation_id: 'c2', content: 'Banana bread needs ripe bananas' });
+  await index.addMemory({ id: 'm3', user_id: 'u', conversation_id: 'c1', content: 'Restore Postgres backups with pg_restore' });
+  await index.addMemory({ id: 'm4', user_id: 'other', conversation_id: 'c9', content: 'Postgres backups' });
+
+  const hits = await index.search('u', embedText('postgres backups'));
+  assert.deepEqual(hits.map(hit => hit.id).sort(), ['m1', 'm3']);
+  assert.ok(hits[0].similarity >= hits[1].similarity);
+
+  assert.equal((await index.search('u', embedText('postgres backups'), { limit: 1 })).length, 1);
+});
+
+test('VectorIndex deletes by filter', async () => {
+  const index = new VectorIndex('vector-index-delete-test');
+  await index.addMemory({ id: 'm1', user_id: 'u', conversation_id: 'c1', content: 'first' });
+  await index.addMemory({ id: 'm2', user_id: 'u', conversation_id: 'c2', content: 'second' });
+
+  await index.deleteMemories('u', { conversation_id: 'c1' });
+  assert.deepEqual([...await index.getIndexedIds('u')], ['m2']);
+});
+
+test('semantic search finds stored memories by meaning', async () => {
+  const memory = new MemoryManager(new LocalStore('vector-search-test'), { vectorIndex: new VectorIndex('vector-search-test-vectors') });
+  await memory.storeMemory({ user_id: 'u', conversation_id: 'c1', role: 'user', content: 'Our authentication uses OAuth tokens', site: 'chatgpt' });
+  await memory.storeMemory({ user_id: 'u', conversation_id: 'c2', role: 'user', content: 'Weekend hiking trip to the lakes', site: 'chatgpt' });
+
+  const results = await memory.semanticSearch('u', 'oauth authentication', {});
+  assert.equal(results[0].content, 'Our authentication uses OAuth tokens');
+  assert.ok(results[0].similarity > 0);
+});